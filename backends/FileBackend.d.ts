@@ -0,0 +1,48 @@
+import type { StorageBackend } from '../index.js';
+
+/**
+ * Options for `FileBackend`.
+ */
+export interface FileBackendOptions {
+    /** Log size in bytes from which compaction is considered (default: 1 MiB, `Infinity` disables it) */
+    compactThreshold?: number;
+    /** Flush every record to disk before returning, surviving power loss and not only process crashes (default: false) */
+    fsync?: boolean;
+}
+
+/**
+ * Durable backend over a local append-only log file (Node.js only).
+ * 
+ * Writes and deletes are appended as checksummed records and the index is rebuilt
+ * from the log on open. A torn last record left by a crash is cut off; corruption
+ * anywhere else throws. The log is compacted in the background once it is past
+ * `compactThreshold` and at least half of it is superseded records: live entries
+ * are copied a chunk per turn of the event loop, together with later changes
+ * to entries already copied, before the new log replaces the old one.
+ * 
+ * @example
+ * import { FileBackend } from '@t8n/super-ls/backends/FileBackend.js';
+ * 
+ * const store = new SuperLocalStorage('app_', { backend: new FileBackend('./data/app.log') });
+ */
+export class FileBackend implements StorageBackend {
+    /**
+     * @throws {Error} If a record before the last one is corrupt
+     */
+    constructor(path: string, options?: FileBackendOptions);
+
+    read(key: string): string | null;
+    write(key: string, value: string): void;
+    delete(key: string): void;
+    list(): string[];
+    clear(): void;
+
+    /**
+     * Rewrites the log with one record per live key before returning, atomically
+     * replacing the old file. A background compaction in progress is abandoned.
+     */
+    compact(): void;
+
+    /** Closes the log file and abandons any compaction in progress */
+    close(): void;
+}
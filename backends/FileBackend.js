@@ -0,0 +1,553 @@
+// /src/backends/FileBackend.js
+
+/**
+ * @fileoverview Durable storage backend over a local append-only log file.
+ *
+ * Every write and delete is appended to the log as one record; the full
+ * index is rebuilt from the log when the backend is opened and kept in
+ * memory afterwards. Once the log has grown past a threshold and at least
+ * half of it is superseded records, it is rewritten incrementally: a chunk of
+ * live entries is copied per turn of the event loop, and records changing
+ * entries already copied are appended to both files, so writes never wait
+ * for the whole rewrite.
+ *
+ * Uses node:fs, so it is not exported from the main entry point and must be
+ * imported from `@t8n/super-ls/backends/FileBackend.js`. It assumes a single
+ * process owns the file.
+ */
+
+import fs from 'node:fs';
+import { dirname } from 'node:path';
+import { crc32 } from '../utils/crc32.js';
+
+/** @constant {number} Default log size (bytes) from which compaction is considered */
+const DEFAULT_COMPACT_THRESHOLD = 1024 * 1024;
+
+/** @constant {string} Suffix of the temporary file a compaction writes before replacing the log */
+const COMPACT_SUFFIX = '.compact';
+
+/** @constant {number} Bytes of live entries a background compaction copies per turn of the event loop */
+const COMPACT_CHUNK_SIZE = 64 * 1024;
+
+/** @constant {number} Byte terminating every record */
+const NEWLINE = 0x0a;
+
+/** @constant {number} Length of the hex checksum that starts every record */
+const CHECKSUM_LENGTH = 8;
+
+/**
+ * @typedef {['w', string, string]|['d', string]|['c']} LogOperation
+ * Write, delete or clear, as recorded in the log
+ */
+
+/**
+ * @typedef {Object} LogAccount
+ * @property {number} size - Log size in bytes
+ * @property {number} garbage - Bytes of the log taken by records a later record superseded
+ * @property {Map<string, number>} recordSizes - Size in bytes of the record that wrote each key's current value
+ */
+
+/**
+ * @typedef {Object} Compaction
+ * @property {number|null} fd - Descriptor of the temporary file, null once closed
+ * @property {Iterator<[string, string]>} pending - Live entries, iterated while they change
+ * @property {number} size - Bytes written to the temporary file
+ * @property {number} garbage - Bytes of the temporary file taken by superseded records
+ * @property {Map<string, number>} recordSizes - Record size of each key's current value in the temporary file
+ * @property {ReturnType<typeof setTimeout>|null} timer - Next copy step, if scheduled
+ */
+
+/**
+ * @typedef {Object} FileBackendOptions
+ * @property {number} [compactThreshold=1048576] - Log size in bytes from which compaction is considered (Infinity disables it)
+ * @property {boolean} [fsync=false] - Flush every record to disk before returning, surviving power loss and not only process crashes
+ */
+
+/**
+ * Encodes one log record: `<crc32 hex> <json>\n`
+ * @param {LogOperation} operation - Operation to record
+ * @returns {Buffer} Record bytes
+ */
+const encodeRecord = (operation) => {
+    const body = Buffer.from(JSON.stringify(operation));
+    const checksum = crc32(body).toString(16).padStart(CHECKSUM_LENGTH, '0');
+    return Buffer.concat([Buffer.from(`${checksum} `), body, Buffer.from('\n')]);
+};
+
+/**
+ * Decodes one log record (without its newline)
+ * @param {Buffer} line - Record bytes
+ * @returns {LogOperation|null} Operation, or null if the record is torn or corrupt
+ */
+const decodeRecord = (line) => {
+    if (line.length <= CHECKSUM_LENGTH || line[CHECKSUM_LENGTH] !== 0x20) {
+        return null;
+    }
+
+    const body = line.subarray(CHECKSUM_LENGTH + 1);
+    if (line.toString('latin1', 0, CHECKSUM_LENGTH) !== crc32(body).toString(16).padStart(CHECKSUM_LENGTH, '0')) {
+        return null;
+    }
+
+    try {
+        const operation = JSON.parse(body.toString('utf8'));
+        return Array.isArray(operation) && ['w', 'd', 'c'].includes(operation[0]) ? operation : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Adds a record to the size and garbage accounting of a log
+ * @param {LogAccount} log - Accounting to update (a backend or a compaction)
+ * @param {LogOperation} operation - Operation the record holds
+ * @param {number} recordSize - Size of the record in bytes
+ */
+const countRecord = (log, [type, key], recordSize) => {
+    if (type === 'c') {
+        log.garbage = log.size + recordSize;
+        log.recordSizes.clear();
+    } else {
+        log.garbage += log.recordSizes.get(key) ?? 0;
+        if (type === 'w') {
+            log.recordSizes.set(key, recordSize);
+        } else {
+            log.garbage += recordSize;
+            log.recordSizes.delete(key);
+        }
+    }
+    log.size += recordSize;
+};
+
+/**
+ * Flushes the directory holding a file, so a rename into it survives power loss
+ * @param {string} path - File whose directory entry changed
+ */
+const syncDirectory = (path) => {
+    let fd;
+    try {
+        fd = fs.openSync(dirname(path), 'r');
+    } catch (error) {
+        // Windows cannot open directories as files, so there is nothing to flush
+        if (process.platform === 'win32') {
+            return;
+        }
+        throw error;
+    }
+
+    try {
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+/**
+ * Stores entries in an append-only log file
+ * @implements {StorageBackend}
+ */
+export class FileBackend {
+    /**
+     * Opens (or creates) a log file and rebuilds the index from it.
+     * A torn record at the end of the file, left by a crash during a write,
+     * is cut off; corruption anywhere else throws.
+     *
+     * @param {string} path - Log file path
+     * @param {FileBackendOptions} [options={}] - Compaction and durability options
+     * @throws {Error} If a record before the last one is corrupt
+     *
+     * @example
+     * const store = new SuperLocalStorage('app_', { backend: new FileBackend('./data/app.log') });
+     */
+    constructor(path, { compactThreshold = DEFAULT_COMPACT_THRESHOLD, fsync = false } = {}) {
+        /**
+         * Log file path
+         * @type {string}
+         * @private
+         */
+        this.path = path;
+
+        /**
+         * Log size in bytes from which compaction is considered
+         * @type {number}
+         * @private
+         */
+        this.compactThreshold = compactThreshold;
+
+        /**
+         * Whether every record is flushed to disk before returning
+         * @type {boolean}
+         * @private
+         */
+        this.fsync = fsync;
+
+        /**
+         * Current value of every key, rebuilt from the log
+         * @type {Map<string, string>}
+         * @private
+         */
+        this.entries = new Map();
+
+        /**
+         * Size in bytes of the record that wrote each key's current value
+         * @type {Map<string, number>}
+         * @private
+         */
+        this.recordSizes = new Map();
+
+        /**
+         * Log size in bytes
+         * @type {number}
+         * @private
+         */
+        this.size = 0;
+
+        /**
+         * Bytes of the log taken by records a later record superseded
+         * @type {number}
+         * @private
+         */
+        this.garbage = 0;
+
+        /**
+         * Compaction in progress, if any
+         * @type {Compaction|null}
+         * @private
+         */
+        this.compaction = null;
+
+        // A leftover temporary file means a compaction died before replacing the log
+        fs.rmSync(path + COMPACT_SUFFIX, { force: true });
+
+        this._load();
+
+        /**
+         * Descriptor the log is appended through
+         * @type {number}
+         * @private
+         */
+        this.fd = fs.openSync(path, 'a');
+    }
+
+    /**
+     * Reads the string stored under a key
+     * @param {string} key - Raw storage key
+     * @returns {string|null} Stored string, or null if missing
+     */
+    read(key) {
+        return this.entries.get(key) ?? null;
+    }
+
+    /**
+     * Stores a string under a key
+     * @param {string} key - Raw storage key
+     * @param {string} value - String to store
+     */
+    write(key, value) {
+        this._append(['w', key, value]);
+    }
+
+    /**
+     * Deletes a key
+     * @param {string} key - Raw storage key
+     */
+    delete(key) {
+        if (this.entries.has(key)) {
+            this._append(['d', key]);
+        }
+    }
+
+    /**
+     * Lists every stored key
+     * @returns {string[]} Raw storage keys
+     */
+    list() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Deletes every stored key
+     */
+    clear() {
+        this._append(['c']);
+    }
+
+    /**
+     * Rewrites the log with one record per live key, now.
+     *
+     * The new log is written to a temporary file, flushed and renamed over the
+     * old one, then the directory is flushed, so a crash or power loss at any
+     * point leaves either the old or the new log. Compactions started
+     * automatically copy the entries a chunk per turn of the event loop; this
+     * one replaces any in progress and copies them all before returning.
+     */
+    compact() {
+        this._abortCompaction(this.compaction);
+
+        const compaction = this._startCompaction();
+        try {
+            this._copyEntries(compaction, Infinity);
+            this._finishCompaction(compaction);
+        } catch (error) {
+            this._abortCompaction(compaction);
+            throw error;
+        }
+    }
+
+    /**
+     * Closes the log file and abandons any compaction in progress.
+     * The backend must not be used afterwards.
+     */
+    close() {
+        this._abortCompaction(this.compaction);
+        fs.closeSync(this.fd);
+    }
+
+    /**
+     * Rebuilds the index from the log file, cutting off a torn last record
+     * @throws {Error} If a record before the last one is corrupt
+     * @private
+     */
+    _load() {
+        let data;
+        try {
+            data = fs.readFileSync(this.path);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        let offset = 0;
+        while (offset < data.length) {
+            const end = data.indexOf(NEWLINE, offset);
+            const operation = end === -1 ? null : decodeRecord(data.subarray(offset, end));
+
+            if (!operation) {
+                if (end !== -1 && end + 1 < data.length) {
+                    throw new Error(`Corrupt record at byte ${offset} of ${this.path}`);
+                }
+                fs.truncateSync(this.path, offset);
+                break;
+            }
+
+            const next = end + 1;
+            this._apply(operation, next - offset);
+            offset = next;
+        }
+    }
+
+    /**
+     * Appends a record to the log and applies it to the index.
+     * If the append fails halfway, the partial record is cut off so later
+     * records do not end up behind it. During a compaction, records changing
+     * a key already copied are also appended to the new log.
+     * @param {LogOperation} operation - Operation to record
+     * @private
+     */
+    _append(operation) {
+        const record = encodeRecord(operation);
+
+        try {
+            fs.writeSync(this.fd, record);
+            if (this.fsync) {
+                fs.fsyncSync(this.fd);
+            }
+        } catch (error) {
+            fs.ftruncateSync(this.fd, this.size);
+            throw error;
+        }
+
+        this._apply(operation, record.length);
+
+        // Keys the compaction has not copied yet are copied later with their latest value
+        const [type, key] = operation;
+        if (this.compaction && (type === 'c' || this.compaction.recordSizes.has(key))) {
+            try {
+                this._writeCompacted(this.compaction, operation);
+            } catch (error) {
+                // The write itself is in the log; only the compaction is lost
+                this._abortCompaction(this.compaction);
+                console.error('[super-ls] FileBackend compaction failed:', error);
+            }
+        }
+
+        this._scheduleCompaction();
+    }
+
+    /**
+     * Applies a logged operation to the index and garbage accounting
+     * @param {LogOperation} operation - Logged operation
+     * @param {number} recordSize - Size of its record in bytes
+     * @private
+     */
+    _apply(operation, recordSize) {
+        const [type, key, value] = operation;
+        countRecord(this, operation, recordSize);
+
+        if (type === 'c') {
+            this.entries.clear();
+        } else if (type === 'w') {
+            this.entries.set(key, value);
+        } else {
+            this.entries.delete(key);
+        }
+    }
+
+    /**
+     * Starts a background compaction once the log is past the threshold and
+     * at least half of it is garbage
+     * @private
+     */
+    _scheduleCompaction() {
+        if (this.compaction || this.size < this.compactThreshold || this.garbage * 2 < this.size) {
+            return;
+        }
+
+        try {
+            this.compaction = this._startCompaction();
+        } catch (error) {
+            console.error('[super-ls] FileBackend compaction failed:', error);
+            return;
+        }
+        this._continueCompaction(this.compaction);
+    }
+
+    /**
+     * Copies the next chunk of a background compaction on a later turn of the
+     * event loop, and replaces the log once every entry is copied
+     * @param {Compaction} compaction - Compaction in progress
+     * @private
+     */
+    _continueCompaction(compaction) {
+        compaction.timer = setTimeout(() => {
+            compaction.timer = null;
+            try {
+                if (this._copyEntries(compaction, COMPACT_CHUNK_SIZE)) {
+                    this._finishCompaction(compaction);
+                } else {
+                    this._continueCompaction(compaction);
+                }
+            } catch (error) {
+                this._abortCompaction(compaction);
+                console.error('[super-ls] FileBackend compaction failed:', error);
+            }
+        }, 0);
+
+        // Never keep a process alive just to compact. An unreferenced immediate
+        // would only run when something else wakes the loop; a timer still does.
+        compaction.timer.unref?.();
+    }
+
+    /**
+     * Opens the temporary file of a new compaction
+     * @returns {Compaction} Compaction with nothing copied yet
+     * @private
+     */
+    _startCompaction() {
+        return {
+            fd: fs.openSync(this.path + COMPACT_SUFFIX, 'w'),
+            pending: this.entries.entries(),
+            size: 0,
+            garbage: 0,
+            recordSizes: new Map(),
+            timer: null
+        };
+    }
+
+    /**
+     * Copies live entries to the temporary file, in one write. The Map iterator
+     * also visits entries written after the compaction started, and skips deleted ones.
+     * @param {Compaction} compaction - Compaction in progress
+     * @param {number} budget - Bytes to copy before yielding
+     * @returns {boolean} True once every entry is copied
+     * @private
+     */
+    _copyEntries(compaction, budget) {
+        const records = [];
+        let copied = 0;
+        let next = compaction.pending.next();
+
+        while (!next.done) {
+            const [key, value] = next.value;
+            const record = encodeRecord(['w', key, value]);
+            records.push(record);
+            countRecord(compaction, ['w', key], record.length);
+            copied += record.length;
+            if (copied >= budget) {
+                break;
+            }
+            next = compaction.pending.next();
+        }
+
+        fs.writeSync(compaction.fd, Buffer.concat(records));
+        return next.done === true;
+    }
+
+    /**
+     * Appends a record to the temporary file of a compaction
+     * @param {Compaction} compaction - Compaction in progress
+     * @param {LogOperation} operation - Operation to record
+     * @private
+     */
+    _writeCompacted(compaction, operation) {
+        const record = encodeRecord(operation);
+        fs.writeSync(compaction.fd, record);
+        countRecord(compaction, operation, record.length);
+    }
+
+    /**
+     * Flushes the temporary file and renames it over the log. The append
+     * descriptor is reopened right after the rename, even if it failed, so
+     * later writes go to whichever file is now at the log path.
+     * @param {Compaction} compaction - Compaction with every entry copied
+     * @private
+     */
+    _finishCompaction(compaction) {
+        fs.fsyncSync(compaction.fd);
+        fs.closeSync(compaction.fd);
+        compaction.fd = null;
+
+        try {
+            fs.renameSync(this.path + COMPACT_SUFFIX, this.path);
+        } finally {
+            fs.closeSync(this.fd);
+            this.fd = fs.openSync(this.path, 'a');
+        }
+
+        this.size = compaction.size;
+        this.garbage = compaction.garbage;
+        this.recordSizes = compaction.recordSizes;
+        if (this.compaction === compaction) {
+            this.compaction = null;
+        }
+
+        syncDirectory(this.path);
+    }
+
+    /**
+     * Stops a compaction and removes its temporary file
+     * @param {Compaction|null} compaction - Compaction to stop, if any
+     * @private
+     */
+    _abortCompaction(compaction) {
+        if (!compaction) {
+            return;
+        }
+
+        if (this.compaction === compaction) {
+            this.compaction = null;
+        }
+        if (compaction.timer) {
+            clearTimeout(compaction.timer);
+            compaction.timer = null;
+        }
+        if (compaction.fd !== null) {
+            fs.closeSync(compaction.fd);
+            compaction.fd = null;
+        }
+
+        fs.rmSync(this.path + COMPACT_SUFFIX, { force: true });
+    }
+}
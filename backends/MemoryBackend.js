@@ -0,0 +1,67 @@
+// /src/backends/MemoryBackend.js
+
+/**
+ * @fileoverview In-memory storage backend.
+ *
+ * Nothing is persisted and nothing is shared between threads or processes,
+ * which makes it suitable for tests, scripts and caches outside Titan.
+ */
+
+/**
+ * Stores entries in a Map owned by the backend instance
+ * @implements {StorageBackend}
+ */
+export class MemoryBackend {
+    /**
+     * Creates an empty in-memory backend
+     */
+    constructor() {
+        /**
+         * Stored strings by raw key
+         * @type {Map<string, string>}
+         * @private
+         */
+        this.store = new Map();
+    }
+
+    /**
+     * Reads the string stored under a key
+     * @param {string} key - Raw storage key
+     * @returns {string|null} Stored string, or null if missing
+     */
+    read(key) {
+        return this.store.get(key) ?? null;
+    }
+
+    /**
+     * Stores a string under a key
+     * @param {string} key - Raw storage key
+     * @param {string} value - String to store
+     */
+    write(key, value) {
+        this.store.set(key, value);
+    }
+
+    /**
+     * Deletes a key
+     * @param {string} key - Raw storage key
+     */
+    delete(key) {
+        this.store.delete(key);
+    }
+
+    /**
+     * Lists every stored key
+     * @returns {string[]} Raw storage keys
+     */
+    list() {
+        return [...this.store.keys()];
+    }
+
+    /**
+     * Deletes every stored key
+     */
+    clear() {
+        this.store.clear();
+    }
+}
@@ -0,0 +1,55 @@
+// /src/backends/TitanLsBackend.js
+
+/**
+ * @fileoverview Storage backend over Titan Planet's native `t.ls`.
+ *
+ * This is the default backend. The global `t` is looked up on every call,
+ * so the backend can be created before the runtime injects it.
+ */
+
+/**
+ * Stores entries in Titan Planet's persistent `t.ls`
+ * @implements {StorageBackend}
+ */
+export class TitanLsBackend {
+    /**
+     * Reads the string stored under a key
+     * @param {string} key - Raw storage key
+     * @returns {string|null} Stored string, or null if missing
+     */
+    read(key) {
+        return t.ls.get(key) ?? null;
+    }
+
+    /**
+     * Stores a string under a key
+     * @param {string} key - Raw storage key
+     * @param {string} value - String to store
+     */
+    write(key, value) {
+        t.ls.set(key, value);
+    }
+
+    /**
+     * Deletes a key
+     * @param {string} key - Raw storage key
+     */
+    delete(key) {
+        t.ls.remove(key);
+    }
+
+    /**
+     * Lists every stored key
+     * @returns {string[]} Raw storage keys
+     */
+    list() {
+        return t.ls.keys();
+    }
+
+    /**
+     * Deletes every stored key, including those written by other libraries
+     */
+    clear() {
+        t.ls.clear();
+    }
+}
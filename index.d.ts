@@ -13,6 +13,406 @@ type PropertiesOnly<T> = {
  */
 export type HydrateFunction<T, H = PropertiesOnly<T>> = (data: H) => T;
 
+/**
+ * Function that returns the data to store for a class instance, such as its #private fields.
+ * @template T - The type of the class instance
+ * @template H - The type of the stored data
+ */
+export type DehydrateFunction<T, H = PropertiesOnly<T>> = (instance: T) => H;
+
+/**
+ * Static method a class can define to dehydrate its instances: `static [DEHYDRATE](instance) { ... }`.
+ * Registered through `Symbol.for('super-ls.dehydrate')`, so copies of super-ls agree on it.
+ */
+export const DEHYDRATE: unique symbol;
+
+/**
+ * Static method a class can define to hydrate its instances: `static [HYDRATE](data) { ... }`.
+ * Takes precedence over a static `hydrate()` method.
+ */
+export const HYDRATE: unique symbol;
+
+/**
+ * Upgrades serialized class data from one registration version to the next.
+ */
+export type MigrateFunction = (data: any) => any;
+
+/**
+ * Options for `register()`.
+ * @template T - The type of the class instance
+ * @template H - The type of the hydrate data argument
+ */
+export interface RegisterOptions<T, H = PropertiesOnly<T>> {
+    /** Function to create instance from serialized data */
+    hydrate?: HydrateFunction<T, H>;
+    /**
+     * Returns the data to store for an instance, instead of its own enumerable properties.
+     * The data is passed as is to the hydrate function, which is then required.
+     */
+    dehydrate?: DehydrateFunction<T, H>;
+    /** Custom type name (defaults to class name) */
+    typeName?: string;
+    /** Current version of the class data shape (default: 1) */
+    version?: number;
+    /**
+     * Migration steps keyed by the version they upgrade from.
+     * `migrate[1]` turns version 1 data into version 2 data, and so on.
+     */
+    migrate?: Record<number, MigrateFunction>;
+    /** Store the upgraded form after a migrated value is read through `get()` (default: false) */
+    writeBack?: boolean;
+}
+
+/**
+ * Encryption at rest options.
+ */
+export interface EncryptionOptions {
+    /** 32-byte keys (bytes or Base64) by key id */
+    keys: Record<string, Uint8Array | string>;
+    /** Id of the key new entries are encrypted with */
+    active: string;
+    /** Nonce source (defaults to the runtime's `randomBytes`: `t.crypto.randomBytes` under Titan, `crypto.getRandomValues` in Node.js) */
+    randomBytes?: (length: number) => Uint8Array;
+}
+
+/**
+ * A compression algorithm for stored payloads.
+ */
+export interface CompressionCodec {
+    /** Name recorded in the header of compressed entries */
+    name: string;
+    compress(bytes: Uint8Array): Uint8Array;
+    /** Restores bytes, given their original length */
+    decompress(bytes: Uint8Array, size: number): Uint8Array;
+}
+
+/**
+ * Payload compression options.
+ */
+export interface CompressionOptions {
+    /** Serialized size in bytes from which payloads are compressed (default: 4096) */
+    threshold?: number;
+    /** Built-in codec name or a custom codec (default: 'lz4') */
+    algorithm?: 'lz4' | CompressionCodec;
+}
+
+/**
+ * Where a store keeps its entries. Keys and values are strings; keys include the prefix.
+ */
+export interface StorageBackend {
+    /** Returns the string stored under a key, or null */
+    read(key: string): string | null;
+    write(key: string, value: string): void;
+    delete(key: string): void;
+    /** Lists every stored key */
+    list(): string[];
+    /** Deletes every stored key */
+    clear(): void;
+}
+
+/**
+ * Backend over Titan Planet's native `t.ls` (the default under Titan).
+ */
+export class TitanLsBackend implements StorageBackend {
+    read(key: string): string | null;
+    write(key: string, value: string): void;
+    delete(key: string): void;
+    list(): string[];
+    clear(): void;
+}
+
+/**
+ * Backend keeping entries in memory, for tests and caches.
+ * Nothing is persisted or shared between threads.
+ */
+export class MemoryBackend implements StorageBackend {
+    read(key: string): string | null;
+    write(key: string, value: string): void;
+    delete(key: string): void;
+    list(): string[];
+    clear(): void;
+}
+
+/**
+ * Host primitives super-ls relies on. Both built-in runtimes produce standard
+ * V8 ValueSerializer bytes, so data written in one reads in the other.
+ */
+export interface Runtime {
+    name: 'titan' | 'node';
+    serialize(value: any): Uint8Array;
+    deserialize(bytes: Uint8Array): any;
+    toBase64(bytes: Uint8Array): string;
+    fromBase64(base64: string): Uint8Array;
+    /** Cryptographically secure random bytes, used for encryption nonces */
+    randomBytes(size: number): Uint8Array;
+    /** Registers a class with the native registry (no-op outside Titan) */
+    register(ClassRef: new (...args: any[]) => any, hydrate: ((data: any) => any) | null, typeName: string): void;
+    /** Creates an instance through the native registry; throws if unavailable */
+    hydrate(typeName: string, data: object): any;
+    setObject(key: string, value: any): void;
+    getObject(key: string): any;
+}
+
+/** Titan Planet's native `t.ls` / `t.bugger` / `t.crypto` bindings */
+export const titanRuntime: Runtime;
+
+/** `node:v8`, `Buffer` and Web Crypto, used when the Titan global `t` is absent (Node.js 20.16+) */
+export const nodeRuntime: Runtime;
+
+/**
+ * What to do with a stored instance whose type is not registered:
+ * - `'plain'`: return its data as a plain object
+ * - `'throw'`: throw
+ * - `'preserve'`: return an `UnknownTypeEnvelope`, written back exactly as it was read
+ * - a function: receives the type name, the rehydrated data and the stored version, and returns the value to read
+ */
+export type UnknownTypePolicy = 'plain' | 'throw' | 'preserve' | ((typeName: string, data: any, version: number) => any);
+
+/**
+ * Stored instance of an unregistered type, as read with `onUnknownType: 'preserve'`.
+ * Storing it again writes the original wrapper back unchanged.
+ */
+export class UnknownTypeEnvelope {
+    constructor(typeName: string, version: number, data: any);
+    /** Registered type name the data was written with */
+    typeName: string;
+    /** Registration version the data was written with */
+    version: number;
+    /** Stored data, as deserialized: nested registered instances appear as `{ __super_type__, __data__ }` wrappers */
+    data: any;
+}
+
+/**
+ * Destination of the warnings super-ls reports.
+ */
+export interface Logger {
+    warn(message: string): void;
+}
+
+/**
+ * Options for the `SuperLocalStorage` constructor.
+ */
+export interface SuperLocalStorageOptions {
+    /** Prefix for all storage keys (default: '__sls__') */
+    prefix?: string;
+    /** Where entries are stored (default: `TitanLsBackend` under Titan, `MemoryBackend` elsewhere, which warns once when first written to) */
+    backend?: StorageBackend;
+    /** Serialization primitives (default: detected, `titanRuntime` or `nodeRuntime`) */
+    runtime?: Runtime;
+    /** Throw a `SerializationError` when storing an instance whose own class is unregistered but an ancestor is (default: false) */
+    requireExactClass?: boolean;
+    /**
+     * What to do when an instance of an unregistered class would be stored as a plain object (default: false).
+     * `true` throws a `SerializationError`; `'warn'` reports each class once through `logger`.
+     */
+    strict?: boolean | 'warn';
+    /** Receives the warnings of `strict: 'warn'`, failed watch callbacks, entries `poll()` cannot read and the in-memory fallback outside Titan (default: console) */
+    logger?: Logger;
+    /** What `get()` returns for stored instances of unregistered types (default: 'plain') */
+    onUnknownType?: UnknownTypePolicy;
+    /** Store which objects are frozen, sealed or non-extensible, and lock them again when read (default: false) */
+    preserveExtensibility?: boolean;
+    /** Encrypt stored payloads with ChaCha20-Poly1305 */
+    encryption?: EncryptionOptions;
+    /** Compress payloads above a size threshold */
+    compression?: CompressionOptions;
+}
+
+/**
+ * Result of `inspect()`: how a key is stored.
+ */
+export interface EntryInfo {
+    /** Storage key (without prefix) */
+    key: string;
+    /** Current revision (0 for entries written before revisions existed) */
+    revision: number;
+    /** Expiration time in epoch milliseconds */
+    expiresAt: number | null;
+    /** Whether the value lives in a blob shared with other `setMany()` keys */
+    batched: boolean;
+    /** Codec the payload is compressed with */
+    compression: string | null;
+    /** Id of the key the payload is encrypted with */
+    keyId: string | null;
+    /** Serialized size in bytes */
+    size: number;
+    /** Size in bytes after compression (equals `size` when uncompressed) */
+    compressedSize: number;
+    /** Length of the string stored under the key */
+    storedSize: number;
+    /** `compressedSize / size` (1 when uncompressed) */
+    ratio: number;
+}
+
+/**
+ * Result of `stats()`.
+ */
+export interface StoreStats {
+    /** Number of live entries */
+    count: number;
+    /** Number of entries whose payload is compressed */
+    compressed: number;
+    /** Serialized size in bytes of all payloads (shared blobs counted once) */
+    size: number;
+    /** Size in bytes after compression */
+    compressedSize: number;
+    /** Length of all strings stored, shared blobs included */
+    storedSize: number;
+    /** `compressedSize / size` across the store */
+    ratio: number;
+    /** Per-key details */
+    entries: Record<string, EntryInfo>;
+}
+
+/**
+ * Expiration options for `set()` and `resolve()`.
+ */
+export interface SetOptions {
+    /** Time to live in milliseconds */
+    ttl?: number;
+    /** Absolute expiration time (Date or epoch milliseconds); takes precedence over `ttl` */
+    expireAt?: number | Date;
+}
+
+/**
+ * Result of `getMany()`.
+ */
+export interface GetManyResult<T = any> {
+    /** Found values keyed by name */
+    values: Record<string, T>;
+    /** Requested keys that do not exist or expired */
+    missing: string[];
+}
+
+/**
+ * Result of `removeMany()`.
+ */
+export interface RemoveManyResult {
+    /** Keys that existed and were removed */
+    removed: string[];
+    /** Keys that did not exist */
+    missing: string[];
+}
+
+/**
+ * Options for `update()`.
+ */
+export interface UpdateOptions extends SetOptions {
+    /** Attempts before `update()` gives up (default: 10) */
+    maxAttempts?: number;
+}
+
+/**
+ * Staging area passed to `transaction()` callbacks.
+ * Writes are staged in memory; reads see staged writes first.
+ */
+export interface Transaction {
+    /** Reads a value, seeing writes staged in this transaction */
+    get<T = any>(key: string): T | null;
+    /** Checks if a key has a value, seeing writes staged in this transaction */
+    has(key: string): boolean;
+    /** Stages a write; the value is serialized right away, so later changes to it are not committed */
+    set(key: string, value: any, options?: SetOptions): void;
+    /** Stages a removal */
+    remove(key: string): void;
+}
+
+/**
+ * Options for `recoverTransactions()`.
+ */
+export interface RecoverOptions {
+    /** Re-apply interrupted commits (`'forward'`, default) or restore the previous values (`'back'`) */
+    mode?: 'forward' | 'back';
+}
+
+/**
+ * What happened to a watched key.
+ */
+export type ChangeType = 'set' | 'remove' | 'clean' | 'expire';
+
+/**
+ * Event passed to `watch()` callbacks.
+ */
+export interface ChangeEvent<T = any> {
+    /** Changed key, relative to the watching instance's prefix */
+    key: string;
+    /** What happened to the key */
+    type: ChangeType;
+    /** Previous value, when it was readable (not reported by `poll()`) */
+    oldValue?: T;
+    /** New value (`undefined` for removals) */
+    newValue: T | undefined;
+}
+
+/**
+ * Options for paging through keys with `scan()`.
+ */
+export interface ScanOptions {
+    /** Cursor returned by the previous `scan()` call, or `null` to start (default: null) */
+    cursor?: string | null;
+    /** Maximum number of keys to return in this page, a positive integer (default: 100) */
+    limit?: number;
+    /** Glob pattern (`*`, `?`) that keys must match */
+    match?: string;
+}
+
+/**
+ * A page of keys returned by `scan()`.
+ */
+export interface ScanResult {
+    /** Keys in this page, with the instance prefix removed */
+    keys: string[];
+    /** Last key of this page, to pass to the next call, or `null` when the scan is complete */
+    cursor: string | null;
+}
+
+/**
+ * Options for `exportAll()`
+ */
+export interface ExportOptions {
+    /** Glob pattern (`*`, `?`) that exported keys must match */
+    match?: string;
+}
+
+/**
+ * Options for `importAll()`
+ */
+export interface ImportOptions {
+    /** Keep keys missing from the document (`'merge'`, default) or remove them first (`'replace'`) */
+    mode?: 'merge' | 'replace';
+}
+
+/**
+ * One entry of an export document.
+ */
+export interface ExportedEntry {
+    /** Storage key (without prefix) */
+    key: string;
+    /** Value as tagged JSON: `{ "$type": ... }` objects for non-JSON types, `$id`/`$ref` for shared references */
+    value: unknown;
+    /** Expiration time in epoch milliseconds */
+    expiresAt?: number;
+}
+
+/**
+ * Document written by `exportAll()`: plain JSON, independent of V8's wire format.
+ */
+export interface ExportDocument {
+    format: 'super-ls';
+    /** Layout version; `importAll()` reads this version and older */
+    version: number;
+    /** Entries sorted by key */
+    entries: ExportedEntry[];
+}
+
+/**
+ * Options for `deserialize()`
+ */
+export interface DeserializeOptions {
+    /** Only these classes (or type names) may be hydrated; any other type throws */
+    allowedTypes?: Iterable<string | (new (...args: any[]) => any)>;
+}
+
 /**
  * SuperLocalStorage - Enhanced localStorage wrapper for Titan Planet
  * that supports complex JavaScript types including Map, Set, Date, circular references,
@@ -50,8 +450,21 @@ export class SuperLocalStorage {
     /**
      * Creates a new SuperLocalStorage instance.
      * @param prefix - Prefix for all storage keys (default: '__sls__')
+     * @param options - Additional options
+     * @throws {Error} If the backend, encryption or compression options are invalid
      */
-    constructor(prefix?: string);
+    constructor(prefix?: string, options?: Omit<SuperLocalStorageOptions, 'prefix'>);
+
+    /**
+     * Creates a new SuperLocalStorage instance from options.
+     * 
+     * @example
+     * const secure = new SuperLocalStorage({
+     *     prefix: 'vault_',
+     *     encryption: { keys: { k1: oldKey, k2: newKey }, active: 'k2' }
+     * });
+     */
+    constructor(options: SuperLocalStorageOptions);
 
     /**
      * Registers a class for serialization/deserialization support.
@@ -94,6 +507,29 @@ export class SuperLocalStorage {
      */
     register<T>(ClassRef: new (...args: any[]) => T, typeName?: string): void;
 
+    /**
+     * Registers a class with options, including versioning and migrations.
+     * 
+     * The version is written into every stored instance. Data written with an
+     * older version passes through each `migrate` step before hydration.
+     * Data written before versioning was enabled counts as version 1.
+     * 
+     * @param ClassRef - The class constructor to register
+     * @param options - Registration options
+     * @throws {Error} If ClassRef is not a function/class, version is not a positive integer, or dehydrate has no hydrate
+     * 
+     * @example
+     * superLs.register(Player, {
+     *     version: 3,
+     *     migrate: {
+     *         1: (data) => ({ ...data, score: data.points }),
+     *         2: (data) => ({ ...data, level: 1 })
+     *     },
+     *     writeBack: true
+     * });
+     */
+    register<T, H = PropertiesOnly<T>>(ClassRef: new (...args: any[]) => T, options: RegisterOptions<T, H>): void;
+
     /**
      * Stores a value in localStorage with full type preservation.
      * 
@@ -101,9 +537,14 @@ export class SuperLocalStorage {
      * TypedArrays, BigInt, circular references, undefined, NaN, Infinity,
      * and registered class instances.
      * 
+     * An optional `ttl` or `expireAt` makes the entry expire: once expired it is
+     * treated as missing and deleted on the next read.
+     * 
      * @param key - Storage key
      * @param value - Value to store
-     * @throws {Error} If value contains non-serializable types (functions, WeakMap, WeakSet)
+     * @param options - Expiration options
+     * @throws {SerializationError} If value contains non-serializable types (functions, WeakMap, WeakSet, Promise, symbols, DOM nodes)
+     * @throws {Error} If ttl or expireAt is not a valid time
      * 
      * @example
      * // Store various types
@@ -118,8 +559,12 @@ export class SuperLocalStorage {
      * const obj = { name: 'circular' };
      * obj.self = obj;
      * superLs.set('circular', obj);
+     * 
+     * @example
+     * // Expire after one hour
+     * superLs.set('session', session, { ttl: 60 * 60 * 1000 });
      */
-    set(key: string, value: any): void;
+    set(key: string, value: any, options?: SetOptions): void;
 
     /**
      * Retrieves a value from localStorage with full type restoration.
@@ -158,6 +603,7 @@ export class SuperLocalStorage {
 
     /**
     * Checks if a key exists in localStorage and contains a valid value.
+    * Expired entries count as missing.
     * 
     * @param key - Storage key to check
     * @returns True if the key exists and contains a non-null, non-undefined value
@@ -192,10 +638,11 @@ export class SuperLocalStorage {
      * 
      * This method implements a "get or create" pattern: if the key exists and contains
      * a valid value, it returns that value. Otherwise, it calls the resolver function,
-     * stores the result, and returns it.
+     * stores the result, and returns it. Expired entries are resolved again.
      * 
      * @param key - Storage key
      * @param resolver - Function that computes the default value if key doesn't exist
+     * @param options - Expiration options used when storing a resolved value
      * @returns The existing value or the newly resolved and stored value
      * 
      * @example
@@ -210,9 +657,352 @@ export class SuperLocalStorage {
      * // Useful for lazy initialization of complex data structures
      * const cache = superLs.resolve('user_cache', () => new Map());
      */
-    resolve<T>(key: string, resolver: () => T): T;
+    resolve<T>(key: string, resolver: () => T, options?: SetOptions): T;
+
+    /**
+     * Removes every expired entry belonging to this instance.
+     * 
+     * @returns Number of entries removed
+     */
+    sweepExpired(): number;
+
+    /**
+     * Stores several values at once, in a single serialization pass.
+     * 
+     * Objects shared between values keep their identity when the keys are
+     * read back together with `getMany()`.
+     * 
+     * @param entries - Plain object, Map or array of `[key, value]` pairs
+     * @param options - Expiration options applied to every key
+     * 
+     * @example
+     * superLs.setMany({ cart, inventory });
+     */
+    setMany(entries: Record<string, any> | Iterable<[string, any]>, options?: SetOptions): void;
+
+    /**
+     * Retrieves several values at once.
+     * 
+     * @returns Found values keyed by name, and the keys that were missing
+     * 
+     * @example
+     * const { values, missing } = superLs.getMany(['cart', 'inventory']);
+     */
+    getMany<T = any>(keys: string[]): GetManyResult<T>;
+
+    /**
+     * Removes several keys at once.
+     * 
+     * @returns Keys that were removed, and the keys that were missing
+     */
+    removeMany(keys: string[]): RemoveManyResult;
+
+    /**
+     * Runs a synchronous callback whose writes are committed together.
+     * 
+     * If the callback throws, nothing is written. The commit goes through a
+     * journal key so that `recoverTransactions()` can finish or undo a commit
+     * interrupted by a crash.
+     * 
+     * @returns The callback's return value
+     * @throws {Error} If the callback returns a Promise
+     * 
+     * @example
+     * superLs.transaction((tx) => {
+     *     tx.set('cart', cart);
+     *     tx.set('inventory', inventory);
+     * });
+     */
+    transaction<T>(callback: (tx: Transaction) => T): T;
+
+    /**
+     * Finishes (`'forward'`) or undoes (`'back'`) commits interrupted by a crash.
+     * Call it once at startup.
+     * 
+     * @returns Number of interrupted commits recovered
+     */
+    recoverTransactions(options?: RecoverOptions): number;
+
+    /**
+     * Rewrites every entry of this instance that is not encrypted with the active key,
+     * or that was encrypted before headers were authenticated, so old keys can be retired
+     * and every entry is bound to its key and header. Revisions are unchanged and
+     * watchers are not notified.
+     * 
+     * @returns Number of stored payloads rewritten
+     * @throws {Error} If encryption is not configured, or an entry uses an unknown key
+     */
+    reencryptAll(): number;
+
+    /**
+     * Describes how a key is stored: revision, expiration, encryption and compression.
+     * For keys written by `setMany()`, sizes describe the blob shared by the batch.
+     * 
+     * @returns Entry details, or null if the key does not exist or has expired
+     * 
+     * @example
+     * const { compression, ratio } = superLs.inspect('catalog')!;
+     */
+    inspect(key: string): EntryInfo | null;
+
+    /**
+     * Summarizes storage usage of every key of this instance, with per-key details.
+     */
+    stats(): StoreStats;
+
+    /**
+     * Returns the revision of a key. Every `set()` increments it.
+     * Missing or expired keys, and entries written before revisions existed, report 0.
+     */
+    getRevision(key: string): number;
+
+    /**
+     * Stores a value only if the key is still at the expected revision.
+     * Pass 0 to only create the key if it does not exist.
+     * 
+     * @returns True if the value was written, false if the revision had changed
+     * 
+     * @example
+     * const revision = superLs.getRevision('stock');
+     * const ok = superLs.compareAndSet('stock', revision, superLs.get<number>('stock')! - 1);
+     */
+    compareAndSet(key: string, expectedRevision: number, value: any, options?: SetOptions): boolean;
+
+    /**
+     * Atomically transforms a stored value.
+     * 
+     * Reads the current value, passes it (or `null` if missing) to `fn` and stores
+     * the result with `compareAndSet()`, retrying with the fresh value if another
+     * writer changed the key in between. `fn` may run more than once.
+     * The entry keeps its expiration unless `ttl` or `expireAt` is given.
+     * 
+     * @returns The value that was stored
+     * @throws {Error} If the key kept changing for `maxAttempts` attempts
+     * 
+     * @example
+     * superLs.update<number>('visits', (count) => (count ?? 0) + 1);
+     */
+    update<T = any>(key: string, fn: (current: T | null) => T, options?: UpdateOptions): T;
+
+    /**
+     * Returns a child store scoped to a namespace.
+     * 
+     * The child stores keys under `prefix + name + ':'`, so its `clean()`, `keys()`,
+     * `scan()` and `sweepExpired()` only see that namespace. It shares this
+     * instance's class registry. Namespaces nest.
+     * 
+     * @param name - Namespace name
+     * @throws {Error} If name is not a non-empty string
+     * 
+     * @example
+     * const users = superLs.namespace('users');
+     * users.set('alice', profile); // Stored as '__sls__users:alice'
+     * 
+     * const cart = superLs.ns('tenant:42').ns('cart');
+     */
+    namespace(name: string): SuperLocalStorage;
+
+    /**
+     * Shorthand for `namespace()`.
+     */
+    ns(name: string): SuperLocalStorage;
+
+    /**
+     * Subscribes to changes of a key or of every key matching a glob pattern.
+     * 
+     * The callback runs after `set()`, `remove()`, `clean()` and TTL expiry performed
+     * through this instance, its parent or its namespaces. Changes made on other
+     * Titan threads are picked up by `poll()`.
+     * 
+     * @param keyOrGlob - Key or glob pattern (`*`, `?`), relative to this instance's prefix
+     * @param callback - Listener receiving `{ key, type, oldValue, newValue }`
+     * @returns Function that removes this subscription
+     * 
+     * @example
+     * const stop = superLs.watch('settings:*', ({ key }) => settingsView.invalidate(key));
+     */
+    watch<T = any>(keyOrGlob: string, callback: (event: ChangeEvent<T>) => void): () => void;
+
+    /**
+     * Removes subscriptions created with `watch()`.
+     * 
+     * @param keyOrGlob - Key or pattern exactly as passed to `watch()`
+     * @param callback - Only remove this listener; omit to remove all listeners of the pattern
+     */
+    unwatch(keyOrGlob: string, callback?: (event: ChangeEvent) => void): void;
+
+    /**
+     * Checks watched keys for changes made outside this thread by comparing
+     * the revision stored in each entry header with the last one seen.
+     * A changed entry that cannot be read is reported through `logger` and skipped.
+     * 
+     * @returns Number of change events emitted
+     */
+    poll(): number;
+
+    /**
+     * Returns every key stored by this instance, with the prefix removed.
+     * 
+     * @example
+     * superLs.set('a', 1);
+     * superLs.set('b', 2);
+     * superLs.keys(); // ['a', 'b']
+     */
+    keys(): string[];
+
+    /**
+     * Returns every value stored by this instance, decoded through `get()`.
+     */
+    values<T = any>(): T[];
+
+    /**
+     * Returns every `[key, value]` pair stored by this instance.
+     * Keys have the prefix removed and values are decoded through `get()`.
+     */
+    entries<T = any>(): Array<[string, T]>;
+
+    /**
+     * Counts the keys stored by this instance.
+     */
+    size(): number;
+
+    /**
+     * Iterates keys page by page using a cursor.
+     * 
+     * Keys come in sorted order. Start with cursor `null` (or omit it) and pass
+     * the returned cursor (the last key of the page) to the next call until it
+     * comes back as `null`. No key is reported twice; a key written during a
+     * scan is reported only if it sorts after the cursor.
+     * 
+     * @example
+     * let cursor: string | null = null;
+     * do {
+     *     const page = superLs.scan({ cursor, limit: 500, match: 'user:*' });
+     *     page.keys.forEach((key) => process(superLs.get(key)));
+     *     cursor = page.cursor;
+     * } while (cursor !== null);
+     */
+    scan(options?: ScanOptions): ScanResult;
+
+    /**
+     * Lists everything in a value that cannot be stored, without writing anything.
+     * `set()` runs the same checks and throws the first problem.
+     * 
+     * @param value - Value to check
+     * @returns One error per unsupported value (empty if the value can be stored)
+     * 
+     * @example
+     * for (const problem of superLs.validate(state)) {
+     *     console.log(`${problem.path}: ${problem.valueType} (${problem.suggestion})`);
+     * }
+     */
+    validate(value: any): SerializationError[];
+
+    /**
+     * Serializes a value to bytes, wrapping registered class instances.
+     * 
+     * @param value - Value to serialize
+     * @returns Serialized bytes
+     */
+    serialize(value: any): Uint8Array;
+
+    /**
+     * Deserializes bytes produced by `serialize()` and rehydrates class instances.
+     * Keys such as `__proto__` stay plain data; pass `allowedTypes` when the bytes
+     * come from an untrusted source.
+     * 
+     * @param bytes - Serialized bytes
+     * @param options - Deserialization options
+     * @returns Deserialized value
+     * 
+     * @example
+     * const order = superLs.deserialize<Order>(bytes, { allowedTypes: [Order, LineItem] });
+     */
+    deserialize<T = any>(bytes: Uint8Array, options?: DeserializeOptions): T;
+
+    /**
+     * Exports entries as a versioned JSON document for backups and migration between machines.
+     * Expired entries are left out; types registered elsewhere are exported as stored.
+     * 
+     * @param options - Glob filter
+     * @returns Document ready for `JSON.stringify()`
+     * 
+     * @example
+     * const backup = JSON.stringify(superLs.exportAll({ match: 'user:*' }), null, 2);
+     */
+    exportAll(options?: ExportOptions): ExportDocument;
+
+    /**
+     * Imports a document written by `exportAll()`. Nothing is written if any entry is invalid.
+     * 
+     * @param doc - Document, or its JSON text
+     * @param options - Whether other keys of this instance are kept
+     * @returns Number of entries imported (entries that expired since the export are skipped)
+     * 
+     * @example
+     * superLs.importAll(backupText, { mode: 'replace' });
+     */
+    importAll(doc: ExportDocument | string, options?: ImportOptions): number;
+}
+
+/**
+ * Thrown when a value holds something that cannot be stored. Nothing is written when it is thrown.
+ * 
+ * @example
+ * // error.message: 'Cannot store function at root.users[3].onChange: store the data it works on ...'
+ */
+export class SerializationError extends Error {
+    constructor(path: string, valueType: string, suggestion: string);
+    readonly name: 'SerializationError';
+    /** JS path of the value, starting at `root` (`entries[<position>]` for `setMany()`) */
+    readonly path: string;
+    /** Type of the value, e.g. `function onChange`, `WeakMap`, `Promise` */
+    readonly valueType: string;
+    /** How to store the data another way */
+    readonly suggestion: string;
+}
+
+/**
+ * Options for `@serializable`: `register()` options plus the store(s) to register with.
+ */
+export interface SerializableOptions extends RegisterOptions<any, any> {
+    /** Store(s) to register with (default: the default instance) */
+    store?: SuperLocalStorage | SuperLocalStorage[];
 }
 
+/**
+ * Class decorator that registers the class once it is fully decorated.
+ * 
+ * @example
+ * @serializable('GamePlayer')
+ * class Player {
+ *     name = '';
+ *     @transient socket: WebSocket | null = null;
+ * }
+ */
+export function serializable(typeName?: string, options?: SerializableOptions): (value: abstract new (...args: any[]) => any, context: ClassDecoratorContext) => void;
+export function serializable(options?: SerializableOptions): (value: abstract new (...args: any[]) => any, context: ClassDecoratorContext) => void;
+
+/**
+ * Class decorator that sets the version of the class data shape and its migrations.
+ * Works with `@serializable` in either order, and with a later `register()` call.
+ */
+export function version(number: number, migrate?: Record<number, MigrateFunction>): (value: abstract new (...args: any[]) => any, context: ClassDecoratorContext) => void;
+
+/**
+ * Field decorator that leaves the field out of stored data.
+ */
+export function transient(value: undefined, context: ClassFieldDecoratorContext): void;
+
+/**
+ * Field decorator that converts the field when storing (`to`) and back when hydrating (`from`).
+ * 
+ * @example
+ * @serializeAs((amount: Decimal) => amount.toString(), (text: string) => new Decimal(text))
+ * total = new Decimal(0);
+ */
+export function serializeAs<V, S>(to: (value: V) => S, from: (stored: S) => V): (value: undefined, context: ClassFieldDecoratorContext<unknown, V>) => void;
+
 /**
  * Default SuperLocalStorage instance for convenient usage.
  * 
@@ -1,11 +1,17 @@
 import { registerExtension } from "./utils/registerExtension.js";
+import { seal, open, KEY_LENGTH, NONCE_LENGTH, TAG_LENGTH } from "./utils/chacha20poly1305.js";
+import { compress as lz4Compress, decompress as lz4Decompress } from "./utils/lz4.js";
+import { TitanLsBackend } from "./backends/TitanLsBackend.js";
+import { MemoryBackend } from "./backends/MemoryBackend.js";
+import { titanRuntime, nodeRuntime, detectRuntime } from "./utils/runtime.js";
 
 /**
  * @fileoverview SuperLocalStorage - Enhanced localStorage wrapper for Titan Planet
  * that supports complex JavaScript types including Map, Set, Date, circular references,
  * and custom class instances with automatic serialization/deserialization.
  * 
- * Uses native V8 serialization via titan/core for maximum performance.
+ * Uses native V8 serialization via titan/core for maximum performance, and
+ * node:v8 when running outside Titan (see utils/runtime.js).
  * 
  * @author Titan Planet
  * @license MIT
@@ -24,6 +30,119 @@ const TYPE_MARKER = '__super_type__';
 /** @constant {string} Metadata key for serialized class data */
 const DATA_MARKER = '__data__';
 
+/** @constant {string} Metadata key for the registration version a class was written with */
+const VERSION_MARKER = '__version__';
+
+/** @constant {string} Wrapper key holding the entries of registered Map, Set and Array subclasses, or the time of Date subclasses */
+const ENTRIES_MARKER = '__entries__';
+
+/** @constant {string} Prepended to object keys that look like markers, so user data never reads as a wrapper */
+const ESCAPE_PREFIX = '~';
+
+/** @constant {RegExp} Keys escaped when stored: the markers, with any number of escape prefixes */
+const MARKER_KEY = new RegExp(`^${ESCAPE_PREFIX}*(?:${TYPE_MARKER}|${DATA_MARKER}|${VERSION_MARKER})$`);
+
+/** @constant {Set<string>} Keys that reach prototypes when assigned; never hydrated into class instances */
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/** @constant {string} Prefix of the type names given to built-in types; reserved, so register() rejects it */
+const BUILTIN_TYPE_PREFIX = 'builtin:';
+
+/** @constant {string} Type name of Error instances that are not registered classes */
+const ERROR_TYPE = `${BUILTIN_TYPE_PREFIX}Error`;
+
+/** @constant {string} Type name of objects created with Object.create(null) */
+const NULL_OBJECT_TYPE = `${BUILTIN_TYPE_PREFIX}NullObject`;
+
+/** @constant {string} Type name of URL instances */
+const URL_TYPE = `${BUILTIN_TYPE_PREFIX}URL`;
+
+/** @constant {string} Type name of URLSearchParams instances */
+const URL_SEARCH_PARAMS_TYPE = `${BUILTIN_TYPE_PREFIX}URLSearchParams`;
+
+/** @constant {string} Type name of the root wrapper listing frozen, sealed and non-extensible objects */
+const INTEGRITY_TYPE = `${BUILTIN_TYPE_PREFIX}Integrity`;
+
+/** @constant {string[]} Own properties of errors that are not enumerable but still stored */
+const ERROR_KEYS = ['message', 'stack', 'cause', 'errors'];
+
+/** @constant {number} Version assumed for data written without a version marker */
+const DEFAULT_CLASS_VERSION = 1;
+
+/** @constant {string} Separator appended to namespace names in key prefixes */
+const NAMESPACE_SEPARATOR = ':';
+
+/**
+ * @constant {string} Marks raw keys used internally (batch blobs, reference counts).
+ * User keys never contain it, so enumeration and watchers can skip these keys.
+ */
+const INTERNAL_KEY_MARKER = '\u0000';
+
+/** @constant {string} Name segment of internal keys holding batch blobs */
+const BATCH_KEY_SEGMENT = 'batch:';
+
+/** @constant {string} Name segment of internal keys holding transaction journals */
+const JOURNAL_KEY_SEGMENT = 'journal:';
+
+/** @constant {string} Suffix of the key holding a batch blob's reference count */
+const BATCH_REFS_SUFFIX = ':refs';
+
+/**
+ * @constant {number} Version of the stored entry envelope format.
+ * 1 added the header; 2 escapes object keys that look like markers;
+ * 3 binds encrypted payloads to their storage key and header.
+ */
+const ENVELOPE_VERSION = 3;
+
+/** @constant {number} First envelope version whose payloads have escaped keys */
+const ESCAPED_KEYS_VERSION = 2;
+
+/** @constant {number} First envelope version whose encrypted payloads authenticate their key and header */
+const BOUND_HEADER_VERSION = 3;
+
+/** @constant {string} `format` field of the documents written by exportAll() */
+const EXPORT_FORMAT = 'super-ls';
+
+/** @constant {number} Layout version of exportAll() documents; importAll() reads this version and older */
+const EXPORT_VERSION = 1;
+
+/** @constant {RegExp} Object keys escaped in exported JSON: the tag keys, with any number of escape prefixes */
+const JSON_TAG_KEY = new RegExp(`^${ESCAPE_PREFIX}*\\$(?:type|id|ref)$`);
+
+/** @constant {number} Default number of attempts update() makes before giving up */
+const DEFAULT_UPDATE_ATTEMPTS = 10;
+
+/** @constant {number} Default page size for scan() */
+const DEFAULT_SCAN_LIMIT = 100;
+
+/** @constant {symbol} Key under which decorators keep their annotations (on the class or its decorator metadata) */
+const ANNOTATIONS = Symbol('super-ls.annotations');
+
+// Transpilers only give decorators a metadata object when Symbol.metadata exists,
+// and Node 20 does not define it. This runs before any class importing the
+// decorators is defined; Symbol.for() matches the fallback esbuild uses.
+Symbol.metadata ??= Symbol.for('Symbol.metadata');
+
+/** @constant {symbol} Static class method that turns an instance into the data to store (shared across copies of super-ls) */
+const DEHYDRATE = Symbol.for('super-ls.dehydrate');
+
+/** @constant {symbol} Static class method that creates an instance from its stored data */
+const HYDRATE = Symbol.for('super-ls.hydrate');
+
+/** @constant {number} Default serialized size (bytes) from which payloads are compressed */
+const DEFAULT_COMPRESSION_THRESHOLD = 4096;
+
+/** @constant {number} Bytes an encrypted payload adds to its plaintext (nonce + tag) */
+const ENCRYPTION_OVERHEAD = NONCE_LENGTH + TAG_LENGTH;
+
+/**
+ * @constant {Map<string, CompressionCodec>} Codecs available without configuration.
+ * Entries compressed with them stay readable even if compression is later turned off.
+ */
+const BUILTIN_CODECS = new Map([
+    ['lz4', { name: 'lz4', compress: lz4Compress, decompress: lz4Decompress }]
+]);
+
 // ============================================================================
 // Type Definitions
 // ============================================================================
@@ -31,7 +150,8 @@ const DATA_MARKER = '__data__';
 /**
  * @typedef {Object} SerializedClassWrapper
  * @property {string} __super_type__ - The registered type name of the class
- * @property {Object} __data__ - The serialized properties of the class instance
+ * @property {number} [__version__] - Registration version the data was written with
+ * @property {any} __data__ - The serialized properties of the class instance, or its dehydrated data
  */
 
 /**
@@ -44,10 +164,313 @@ const DATA_MARKER = '__data__';
  * A function that creates a class instance from serialized data
  */
 
+/**
+ * @typedef {function(any): any} DehydrateFunction
+ * A function that returns the data to store for a class instance, such as its #private fields
+ */
+
+/**
+ * @typedef {Object} EncryptionOptions
+ * @property {Object<string, Uint8Array|string>} keys - 32-byte keys (bytes or Base64) by key id
+ * @property {string} active - Id of the key new entries are encrypted with
+ * @property {function(number): Uint8Array} [randomBytes] - Nonce source (defaults to the runtime's randomBytes)
+ */
+
+/**
+ * @typedef {Object} CompressionCodec
+ * @property {string} name - Name recorded in the header of compressed entries
+ * @property {function(Uint8Array): Uint8Array} compress - Compresses bytes
+ * @property {function(Uint8Array, number): Uint8Array} decompress - Restores bytes, given their original length
+ */
+
+/**
+ * @typedef {Object} CompressionOptions
+ * @property {number} [threshold=4096] - Serialized size in bytes from which payloads are compressed
+ * @property {string|CompressionCodec} [algorithm='lz4'] - Built-in codec name or a custom codec
+ */
+
+/**
+ * @typedef {Object} Compressor
+ * @property {number} threshold - Serialized size in bytes from which payloads are compressed
+ * @property {CompressionCodec} codec - Codec used for new entries
+ */
+
+/**
+ * @typedef {Object} StorageBackend
+ * @property {function(string): (string|null)} read - Returns the string stored under a raw key, or null
+ * @property {function(string, string): void} write - Stores a string under a raw key
+ * @property {function(string): void} delete - Deletes a raw key
+ * @property {function(): string[]} list - Lists every stored raw key
+ * @property {function(): void} clear - Deletes every stored key
+ */
+
+/**
+ * @typedef {Object} SuperLocalStorageOptions
+ * @property {string} [prefix='__sls__'] - Prefix for all storage keys
+ * @property {StorageBackend} [backend] - Where entries are stored (TitanLsBackend under Titan, MemoryBackend elsewhere, which warns once when first written to)
+ * @property {Runtime} [runtime] - Serialization primitives (detected: titanRuntime or nodeRuntime)
+ * @property {boolean} [requireExactClass=false] - Throw a SerializationError when storing an instance whose own class is unregistered but an ancestor is
+ * @property {boolean|'warn'} [strict=false] - Throw (true) or log once per class ('warn') when an unregistered class instance would be stored as a plain object
+ * @property {Logger} [logger=console] - Receives the warnings of strict: 'warn', failed watch callbacks, entries poll() cannot read and the in-memory fallback outside Titan
+ * @property {UnknownTypePolicy} [onUnknownType='plain'] - What get() returns for stored instances of unregistered types
+ * @property {boolean} [preserveExtensibility=false] - Store which objects are frozen, sealed or non-extensible and restore that state
+ * @property {EncryptionOptions} [encryption] - Encrypt stored payloads at rest
+ * @property {CompressionOptions} [compression] - Compress large payloads
+ */
+
+/**
+ * @typedef {function(string, any, number): any} UnknownTypeHandler
+ * Receives the type name, the rehydrated data and the stored version of an
+ * instance whose type is not registered, and returns the value to read
+ */
+
+/**
+ * @typedef {'plain'|'throw'|'preserve'|UnknownTypeHandler} UnknownTypePolicy
+ * 'plain' returns the data as a plain object, 'throw' throws, 'preserve'
+ * returns an UnknownTypeEnvelope that is written back exactly as it was read
+ */
+
+/**
+ * @typedef {Object} Logger
+ * @property {function(string): void} warn - Reports a warning
+ */
+
+/**
+ * @typedef {Object} Keyring
+ * @property {Map<string, Uint8Array>} keys - Decoded keys by key id
+ * @property {string} active - Id of the key new entries are encrypted with
+ * @property {function(number): Uint8Array} randomBytes - Nonce source
+ */
+
+/**
+ * @typedef {Object} EncodedPayload
+ * @property {Uint8Array} bytes - Serialized (and possibly compressed) value, sealed when the entry is written
+ * @property {Partial<EntryHeader>} fields - Header fields describing the bytes (compression, rawSize)
+ */
+
+/**
+ * @typedef {Object} SetOptions
+ * @property {number} [ttl] - Time to live in milliseconds
+ * @property {number|Date} [expireAt] - Absolute expiration time (epoch ms or Date)
+ */
+
+/**
+ * @typedef {Object} UpdateOptions
+ * @property {number} [ttl] - Time to live in milliseconds (keeps the current expiry when omitted)
+ * @property {number|Date} [expireAt] - Absolute expiration time (keeps the current expiry when omitted)
+ * @property {number} [maxAttempts=10] - Attempts before update() gives up
+ */
+
+/**
+ * @typedef {Object} EntryHeader
+ * @property {number} v - Envelope format version
+ * @property {string} [keyId] - Id of the key the payload is encrypted with (absent for plain payloads)
+ * @property {string} [compression] - Codec the payload is compressed with (absent for uncompressed payloads)
+ * @property {number} [rawSize] - Serialized size in bytes before compression
+ * @property {number} [revision] - Write counter, incremented on every set()
+ * @property {number} [expiresAt] - Expiration time in epoch milliseconds
+ * @property {string} [batch] - Raw key of the batch blob holding the value (setMany entries)
+ * @property {number} [index] - Position of the value inside the batch blob
+ */
+
+/**
+ * @typedef {Object} GetManyResult
+ * @property {Object<string, any>} values - Found values keyed by name
+ * @property {string[]} missing - Requested keys that do not exist or expired
+ */
+
+/**
+ * @typedef {Object} RemoveManyResult
+ * @property {string[]} removed - Keys that existed and were removed
+ * @property {string[]} missing - Keys that did not exist
+ */
+
+/**
+ * @typedef {Object} StoredEntry
+ * @property {EntryHeader} header - Entry metadata
+ * @property {string} payload - Base64-encoded V8 payload
+ */
+
+/**
+ * @typedef {'set'|'remove'|'clean'|'expire'} ChangeType
+ */
+
+/**
+ * @typedef {Object} ChangeEvent
+ * @property {string} key - Changed key (relative to the watching instance's prefix)
+ * @property {ChangeType} type - What happened to the key
+ * @property {any} [oldValue] - Previous value, when it was readable
+ * @property {any} newValue - New value (undefined for removals)
+ */
+
+/**
+ * @typedef {function(ChangeEvent): void} WatchCallback
+ */
+
+/**
+ * @typedef {Object} Watcher
+ * @property {string} pattern - Key or glob pattern as passed to watch()
+ * @property {string} prefix - Prefix of the instance that registered the watcher
+ * @property {RegExp} matcher - Compiled pattern, tested against keys without prefix
+ * @property {WatchCallback} callback - Listener
+ */
+
+/**
+ * @typedef {Object} StagedOperation
+ * @property {'set'|'remove'} type - Staged write
+ * @property {any} [value] - Value to store, as passed to tx.set() (set only; reported to watchers)
+ * @property {Uint8Array} [bytes] - Value encoded when it was staged (set only)
+ * @property {Partial<EntryHeader>} [fields] - Header fields describing the bytes (set only)
+ * @property {number} [expiresAt] - Expiration time in epoch milliseconds (set only)
+ */
+
+/**
+ * @typedef {Object} JournalOperation
+ * @property {string} rawKey - Key as stored in t.ls
+ * @property {string|null} previous - Stored string before the commit (null if absent)
+ * @property {string|null} next - Stored string after the commit (null for removals)
+ */
+
+/**
+ * @typedef {Object} RecoverOptions
+ * @property {'forward'|'back'} [mode='forward'] - Re-apply interrupted commits, or restore the previous values
+ */
+
+/**
+ * @typedef {Object} EntryInfo
+ * @property {string} key - Storage key (without prefix)
+ * @property {number} revision - Current revision (0 for entries written before revisions existed)
+ * @property {number|null} expiresAt - Expiration time in epoch milliseconds
+ * @property {boolean} batched - Whether the value lives in a blob shared with other setMany() keys
+ * @property {string|null} compression - Codec the payload is compressed with
+ * @property {string|null} keyId - Id of the key the payload is encrypted with
+ * @property {number} size - Serialized size in bytes
+ * @property {number} compressedSize - Size in bytes after compression (equals size when uncompressed)
+ * @property {number} storedSize - Length of the string stored under the key
+ * @property {number} ratio - compressedSize / size (1 when uncompressed)
+ */
+
+/**
+ * @typedef {Object} StoreStats
+ * @property {number} count - Number of live entries
+ * @property {number} compressed - Number of entries whose payload is compressed
+ * @property {number} size - Serialized size in bytes of all payloads (shared blobs counted once)
+ * @property {number} compressedSize - Size in bytes after compression
+ * @property {number} storedSize - Length of all strings stored, shared blobs included
+ * @property {number} ratio - compressedSize / size across the store
+ * @property {Object<string, EntryInfo>} entries - Per-key details
+ */
+
+/**
+ * @typedef {Object} ScanOptions
+ * @property {string|null} [cursor=null] - Cursor returned by the previous scan() call (null to start)
+ * @property {number} [limit=100] - Maximum number of keys to return in this page
+ * @property {string} [match] - Glob pattern (`*`, `?`) that keys must match
+ */
+
+/**
+ * @typedef {Object} ScanResult
+ * @property {string[]} keys - Keys in this page (prefix removed)
+ * @property {string|null} cursor - Last key of this page, or null when the scan is complete
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [match] - Glob pattern (`*`, `?`) that exported keys must match
+ */
+
+/**
+ * @typedef {Object} ImportOptions
+ * @property {'merge'|'replace'} [mode='merge'] - Keep keys missing from the document ('merge') or remove them first ('replace')
+ */
+
+/**
+ * @typedef {Object} ExportedEntry
+ * @property {string} key - Storage key (prefix removed)
+ * @property {any} value - Value as tagged JSON (see EXPLAIN.md)
+ * @property {number} [expiresAt] - Expiration time in epoch milliseconds
+ */
+
+/**
+ * @typedef {Object} ExportDocument
+ * @property {'super-ls'} format - Identifies the document
+ * @property {number} version - Layout version of the document
+ * @property {ExportedEntry[]} entries - Exported entries, sorted by key
+ */
+
+/**
+ * @typedef {function(Object): Object} MigrateFunction
+ * Upgrades serialized data from one registration version to the next
+ */
+
+/**
+ * @typedef {Object} RegisterOptions
+ * @property {HydrateFunction} [hydrate] - Function that creates an instance from data
+ * @property {DehydrateFunction} [dehydrate] - Function that returns the data to store for an instance (needs a hydrate)
+ * @property {string} [typeName] - Custom type name (defaults to the class name)
+ * @property {number} [version=1] - Current version of the class data shape
+ * @property {Object<number, MigrateFunction>} [migrate] - Migration steps keyed by the version they upgrade from
+ * @property {boolean} [writeBack=false] - Store the upgraded form after a migrated value is read
+ */
+
 /**
  * @typedef {Object} RegistryEntry
  * @property {ClassConstructor} Constructor - The class constructor
  * @property {HydrateFunction|null} hydrate - Optional hydrate function
+ * @property {DehydrateFunction|null} dehydrate - Optional dehydrate function
+ * @property {number} version - Current version of the class data shape
+ * @property {Object<number, MigrateFunction>} migrate - Migration steps keyed by source version
+ * @property {boolean} writeBack - Whether migrated values are written back on read
+ * @property {Set<string>} transient - Fields left out when storing (from @transient)
+ * @property {Map<string, FieldConverter>} converters - Per-field conversions (from @serializeAs)
+ */
+
+/**
+ * @typedef {Object} FieldConverter
+ * @property {function(any): any} to - Converts the field value before it is stored
+ * @property {function(any): any} from - Converts the stored value back when hydrating
+ */
+
+/**
+ * @typedef {Object} ClassAnnotations
+ * @property {string} [typeName] - Type name given to @serializable
+ * @property {number} [version] - Version given to @version
+ * @property {Object<number, MigrateFunction>} [migrate] - Migrations given to @version
+ * @property {Set<string>} transient - Fields marked @transient
+ * @property {Map<string, FieldConverter>} converters - Fields marked @serializeAs
+ */
+
+/**
+ * @typedef {Object} SerializeContext
+ * @property {SerializationError[]} [problems] - Collects unsupported values instead of throwing (validate())
+ * @property {object[]} [locked] - Collects non-extensible objects (preserveExtensibility)
+ * @property {Map<object, UnsupportedValue>} [rebuilding] - Instances whose data is being serialized and that this data must not refer back to
+ */
+
+/**
+ * @typedef {'frozen'|'sealed'|'nonExtensible'} IntegrityLevel
+ * How far an object is locked: Object.freeze(), Object.seal() or Object.preventExtensions()
+ */
+
+/**
+ * @typedef {Object} UnsupportedValue
+ * @property {string} valueType - Type of the value, as shown in errors
+ * @property {string} suggestion - How to store the data another way
+ */
+
+/**
+ * @typedef {Object} RehydrateContext
+ * @property {Set<object>} [migrated] - Migrated instances whose registration asks for their upgraded form to be stored
+ * @property {boolean} [flattened] - Set when an unregistered type was read without its type tag, so the value cannot be stored again as it was
+ * @property {Map<object, boolean>} [pending] - Placeholders of class instances being hydrated, and whether their own data refers to them
+ * @property {boolean} [escapedKeys] - Whether object keys in the payload were escaped (envelope version 2 and later)
+ * @property {Set<string>} [allowedTypes] - Type names that may be hydrated (deserialize() allowlist); any other wrapper throws
+ * @property {boolean} [preserveUnknown] - Keep unregistered types as UnknownTypeEnvelope whatever onUnknownType says (export and import)
+ */
+
+/**
+ * @typedef {Object} DeserializeOptions
+ * @property {Array<string|ClassConstructor>} [allowedTypes] - Type names or classes that may be hydrated; other types throw
  */
 
 // ============================================================================
@@ -69,441 +492,3486 @@ const isPrimitive = (value) => value === null || typeof value !== 'object';
 const hasTypeWrapper = (value) =>
     value && typeof value === 'object' && value[TYPE_MARKER] && value[DATA_MARKER] !== undefined;
 
-// ============================================================================
-// Main Class
-// ============================================================================
+/**
+ * Checks if a value is an object with the default Object prototype.
+ * Does not read `value.constructor`, which stored data can shadow.
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+const isPlainObject = (value) => !isPrimitive(value) && Object.getPrototypeOf(value) === Object.prototype;
 
 /**
- * Enhanced localStorage wrapper that supports complex JavaScript types
- * and custom class serialization/deserialization.
- * 
- * Now powered by native V8 serialization for maximum performance.
- * 
- * @class SuperLocalStorage
- * 
- * @example
- * // Basic usage with rich types
- * import superLs from 'super-ls';
- * 
- * const settings = new Map([['theme', 'dark'], ['lang', 'es']]);
- * superLs.set('user_settings', settings);
- * 
- * const recovered = superLs.get('user_settings');
- * t.log(recovered.get('theme')); // 'dark'
- * 
- * @example
- * // Usage with custom classes and hydrate function
- * class Player {
- *     constructor(name, score) {
- *         this.name = name;
- *         this.score = score;
- *     }
- *     addScore(points) {
- *         this.score += points;
- *     }
- * }
- * 
- * superLs.register(Player, (data) => new Player(data.name, data.score));
- * superLs.set('player', new Player('Alice', 100));
- * 
- * const player = superLs.get('player');
- * player.addScore(50); // Methods work!
- * 
- * @example
- * // Temporary in-memory storage (current V8 thread only)
- * superLs.setTemp('cache', expensiveComputation());
- * const cached = superLs.getTemp('cache'); // Fast retrieval, same thread
+ * Sets an own property without invoking the `__proto__` setter
+ * @param {object} target - Object to write to
+ * @param {string} key - Property key
+ * @param {any} value - Property value
  */
-export class SuperLocalStorage {
-    /**
-     * Creates a new SuperLocalStorage instance
-     * @param {string} [prefix='__sls__'] - Prefix for all storage keys
-     */
-    constructor(prefix = DEFAULT_PREFIX) {
-        /** 
-         * Registry mapping type names to class constructors and hydrate functions
-         * @type {Map<string, RegistryEntry>}
-         * @private
-         */
-        this.registry = new Map();
+const setOwn = (target, key, value) => {
+    if (key === '__proto__') {
+        Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+        target[key] = value;
+    }
+};
 
-        /**
-         * Prefix prepended to all storage keys
-         * @type {string}
-         * @private
-         */
-        this.prefix = prefix;
+/**
+ * Escapes an object key that could be mistaken for a marker
+ * @param {string} key - Key as given by the user
+ * @returns {string} Key as stored: `~__data__` for `__data__`, `~~__data__` for `~__data__`, other keys unchanged
+ */
+const escapeKey = (key) => (MARKER_KEY.test(key) ? ESCAPE_PREFIX + key : key);
+
+/**
+ * Restores a key escaped by escapeKey()
+ * @param {string} key - Key as stored
+ * @returns {string} Key as given by the user
+ */
+const unescapeKey = (key) => (key.startsWith(ESCAPE_PREFIX) && MARKER_KEY.test(key) ? key.slice(ESCAPE_PREFIX.length) : key);
+
+/**
+ * Built-in objects V8 cannot serialize, with a suggestion for each
+ * @type {Array<[string, string]>}
+ */
+const UNSUPPORTED_OBJECTS = [
+    ['WeakMap', 'use a Map instead'],
+    ['WeakSet', 'use a Set instead'],
+    ['WeakRef', 'store the referenced value instead, or leave it out'],
+    ['FinalizationRegistry', 'leave it out and create it again after reading'],
+    ['Promise', 'await it and store its result'],
+    ['Symbol', 'store a string instead']
+];
+
+/**
+ * Built-in error classes, restored as themselves
+ * @type {ErrorConstructor[]}
+ */
+const ERROR_TYPES = [
+    Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError, globalThis.AggregateError
+].filter((Type) => typeof Type === 'function');
+
+/**
+ * Typed array classes V8 stores natively
+ * @type {Function[]}
+ */
+const TYPED_ARRAY_TYPES = [
+    Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array,
+    Float32Array, Float64Array, BigInt64Array, BigUint64Array
+];
+
+/**
+ * Prototypes of the objects that keep their type without a registered class
+ * @type {Set<object>}
+ */
+const NATIVE_PROTOTYPES = new Set([
+    Object.prototype, Array.prototype, Map.prototype, Set.prototype, Date.prototype, RegExp.prototype,
+    ArrayBuffer.prototype, DataView.prototype,
+    Number.prototype, String.prototype, Boolean.prototype, BigInt.prototype,
+    ...[...TYPED_ARRAY_TYPES, ...ERROR_TYPES, globalThis.URL, globalThis.URLSearchParams]
+        .filter((Type) => typeof Type === 'function')
+        .map((Type) => Type.prototype)
+]);
+
+/**
+ * Finds the built-in error class an error is restored as
+ * @param {Error} error - Error to look up
+ * @returns {ErrorConstructor} Nearest built-in class in its prototype chain
+ */
+const errorTypeOf = (error) => {
+    for (let proto = Object.getPrototypeOf(error); proto !== null; proto = Object.getPrototypeOf(proto)) {
+        const Type = ERROR_TYPES.find((ErrorType) => ErrorType.prototype === proto);
+        if (Type) {
+            return Type;
+        }
     }
+    return Error;
+};
 
-    // ========================================================================
-    // Public API - Core Storage
-    // ========================================================================
+/**
+ * Checks if a key is an array index
+ * @param {string} key - Property key
+ * @returns {boolean} True for "0", "1", ... up to 2^32 - 2
+ */
+const isArrayIndex = (key) => /^(?:0|[1-9]\d*)$/.test(key) && Number(key) < 2 ** 32 - 1;
 
-    /**
-     * Registers a class for serialization/deserialization support.
-     * 
-     * Once registered, instances of this class can be stored and retrieved
-     * with their methods intact. Uses nativet.ls.register() for optimal performance.
+/**
+ * Lists the keys stored for an instance of a registered class.
+ * Errors also keep message, stack, cause and errors, which are not enumerable;
+ * elements of Array subclasses are stored with the entries instead.
+ * @param {object} value - Class instance
+ * @returns {string[]} Keys to store
+ */
+const storedKeysOf = (value) => {
+    const keys = Object.keys(value);
+    if (Array.isArray(value)) {
+        return keys.filter((key) => !isArrayIndex(key));
+    }
+    if (!(value instanceof Error)) {
+        return keys;
+    }
+    return [...ERROR_KEYS.filter((key) => Object.hasOwn(value, key) && !keys.includes(key)), ...keys];
+};
+
+/**
+ * Checks if a registered class instance has built-in contents that its fields do not hold
+ * @param {object} value - Class instance
+ * @returns {boolean} True for instances of Map, Set, Array and Date subclasses
+ */
+const hasEntries = (value) =>
+    value instanceof Map || value instanceof Set || Array.isArray(value) || value instanceof Date;
+
+/**
+ * Describes how far an object is locked
+ * @param {object} object - Object to check
+ * @returns {IntegrityLevel|null} Integrity level, or null for extensible objects
+ */
+const integrityOf = (object) => {
+    if (Object.isExtensible(object)) {
+        return null;
+    }
+    if (Object.isFrozen(object)) {
+        return 'frozen';
+    }
+    return Object.isSealed(object) ? 'sealed' : 'nonExtensible';
+};
+
+/**
+ * Checks if a value holds one of the given objects, following fields and collection entries
+ * @param {any} value - Value to search
+ * @param {Set<object>} targets - Objects to look for
+ * @returns {boolean} True if any target is the value or reachable from it
+ */
+const reachesAny = (value, targets) => {
+    const visited = new Set();
+    const stack = [value];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current === null || typeof current !== 'object' || visited.has(current)) {
+            continue;
+        }
+        if (targets.has(current)) {
+            return true;
+        }
+        visited.add(current);
+        if (current instanceof Map) {
+            for (const [key, item] of current) {
+                stack.push(key, item);
+            }
+        } else if (current instanceof Set) {
+            stack.push(...current);
+        }
+        for (const key of Reflect.ownKeys(current)) {
+            const descriptor = Object.getOwnPropertyDescriptor(current, key);
+            if ('value' in descriptor) {
+                stack.push(descriptor.value);
+            }
+        }
+    }
+    return false;
+};
+
+/**
+ * Locks an object to an integrity level
+ * @param {object} object - Object to lock
+ * @param {IntegrityLevel|null} level - Level from integrityOf()
+ */
+const applyIntegrity = (object, level) => {
+    if (level === 'frozen') {
+        Object.freeze(object);
+    } else if (level === 'sealed') {
+        Object.seal(object);
+    } else if (level === 'nonExtensible') {
+        Object.preventExtensions(object);
+    }
+};
+
+/**
+ * Checks if an object keeps its type without a registered class
+ * @param {object} value - Object to check
+ * @returns {boolean} True for plain and null-prototype objects and the built-in types V8 restores
+ */
+const isNativeObject = (value) => {
+    const proto = Object.getPrototypeOf(value);
+    return proto === null || NATIVE_PROTOTYPES.has(proto);
+};
+
+/**
+ * Validates the strict option
+ * @param {boolean|'warn'} strict - Option value
+ * @returns {boolean|'warn'} The same value
+ * @throws {Error} If it is not true, false or 'warn'
+ */
+const assertStrictMode = (strict) => {
+    if (strict !== true && strict !== false && strict !== 'warn') {
+        throw new Error("Invalid strict option: expected true, false or 'warn'");
+    }
+    return strict;
+};
+
+/**
+ * Validates the onUnknownType option
+ * @param {UnknownTypePolicy} policy - Option value
+ * @returns {UnknownTypePolicy} The same value
+ * @throws {Error} If it is not a known policy or a function
+ */
+const assertUnknownTypePolicy = (policy) => {
+    if (typeof policy !== 'function' && !['plain', 'throw', 'preserve'].includes(policy)) {
+        throw new Error("Invalid onUnknownType option: expected 'plain', 'throw', 'preserve' or a function");
+    }
+    return policy;
+};
+
+/**
+ * Checks whether a value can be stored
+ * @param {any} value - Value to check
+ * @returns {UnsupportedValue|null} Why the value cannot be stored, or null if it can
+ */
+const describeUnsupported = (value) => {
+    if (typeof value === 'function') {
+        return {
+            valueType: `function${value.name ? ` ${value.name}` : ''}`,
+            suggestion: 'store the data it works on and recreate the function after reading'
+        };
+    }
+
+    if (typeof value === 'symbol') {
+        return { valueType: 'symbol', suggestion: 'store a string instead' };
+    }
+
+    if (isPrimitive(value)) {
+        return null;
+    }
+
+    for (const [name, suggestion] of UNSUPPORTED_OBJECTS) {
+        const Type = globalThis[name];
+        if (typeof Type === 'function' && value instanceof Type) {
+            return { valueType: name, suggestion };
+        }
+    }
+
+    // DOM nodes and similar host objects only hold a handle to state outside JavaScript
+    if (typeof value.nodeType === 'number' && typeof value.nodeName === 'string') {
+        return {
+            valueType: `host object ${value.constructor?.name || value.nodeName}`,
+            suggestion: 'store the data it displays (id, text, attributes) instead of the node'
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Appends a property key to a JS path
+ * @param {string} path - Path of the object
+ * @param {string} key - Property key
+ * @returns {string} `path.key` for identifiers, `path["key"]` otherwise
+ */
+const propertyPath = (path, key) =>
+    /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+
+/**
+ * Describes a Map key as a path segment
+ * @param {any} key - Map key
+ * @param {number} index - Position of the entry in the Map
+ * @returns {string} `.get("key")` for string, number and bigint keys, `<key #0>` otherwise
+ */
+const mapEntrySegment = (key, index) => {
+    if (typeof key === 'string') {
+        return `.get(${JSON.stringify(key)})`;
+    }
+    if (typeof key === 'number' || typeof key === 'bigint') {
+        return `.get(${typeof key === 'bigint' ? `${key}n` : key})`;
+    }
+    return `<value #${index}>`;
+};
+
+/**
+ * Encodes an entry header and its Base64 payload into a single storage string.
+ * The header is one line of JSON so it can be read without decoding the payload.
+ * @param {EntryHeader} header - Entry metadata
+ * @param {string} payload - Base64-encoded V8 payload
+ * @returns {string} Storage string
+ */
+const encodeEnvelope = (header, payload) => `${JSON.stringify(header)}\n${payload}`;
+
+/**
+ * Splits a storage string into header and payload.
+ * Entries written before envelopes existed are bare Base64 and get an empty header.
+ * @param {string} raw - Storage string
+ * @returns {StoredEntry} Decoded entry
+ */
+const decodeEnvelope = (raw) => {
+    if (raw[0] !== '{') {
+        return { header: { v: 0 }, payload: raw };
+    }
+
+    const newline = raw.indexOf('\n');
+    return {
+        header: JSON.parse(raw.slice(0, newline)),
+        payload: raw.slice(newline + 1)
+    };
+};
+
+/**
+ * Encodes a string as UTF-8 without relying on TextEncoder, which Titan actions lack
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+const encodeUtf8 = (text) => {
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+        } else if (code < 0x10000) {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        } else {
+            bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        }
+    }
+    return new Uint8Array(bytes);
+};
+
+/**
+ * Builds the additional authenticated data of an encrypted payload.
+ * Entries from envelope version 3 authenticate the raw key and the whole header,
+ * so a payload copied under another key, or stored with another expiration,
+ * revision or key id, fails to decrypt. Older entries were sealed without it.
+ * @param {string} rawKey - Key the entry is stored under
+ * @param {EntryHeader} header - Header stored with the payload
+ * @returns {Uint8Array|undefined} AAD bytes, or undefined for older envelopes
+ */
+const payloadAad = (rawKey, header) => (header.v >= BOUND_HEADER_VERSION
+    ? encodeUtf8(`${rawKey}\n${JSON.stringify(header)}`)
+    : undefined);
+
+/**
+ * Validates encryption options and decodes their keys
+ * @param {EncryptionOptions} options - Encryption options
+ * @param {Runtime} runtime - Runtime used to decode Base64 keys, and the default nonce source
+ * @returns {Keyring} Decoded keyring
+ * @throws {Error} If the active key is missing, a key is not 32 bytes or there is no nonce source
+ */
+const createKeyring = (options, runtime) => {
+    const { keys = {}, active, randomBytes = runtime.randomBytes } = options;
+    if (typeof randomBytes !== 'function') {
+        throw new Error('Invalid encryption options: the runtime has no randomBytes(); pass encryption.randomBytes');
+    }
+
+    const decoded = new Map();
+
+    for (const [id, key] of Object.entries(keys)) {
+        const bytes = typeof key === 'string' ? runtime.fromBase64(key) : key;
+        if (!(bytes instanceof Uint8Array) || bytes.length !== KEY_LENGTH) {
+            throw new Error(`Invalid encryption key '${id}': expected ${KEY_LENGTH} bytes`);
+        }
+        decoded.set(id, bytes);
+    }
+
+    if (!decoded.has(active)) {
+        throw new Error(`Invalid encryption options: active key '${active}' is not in keys`);
+    }
+
+    return { keys: decoded, active, randomBytes };
+};
+
+/** @constant {string[]} Methods every storage backend must implement */
+const BACKEND_METHODS = ['read', 'write', 'delete', 'list', 'clear'];
+
+/**
+ * Checks that a storage backend implements the whole interface
+ * @param {StorageBackend} backend - Backend passed to the constructor
+ * @returns {StorageBackend} The same backend
+ * @throws {Error} If a method is missing
+ */
+const assertBackend = (backend) => {
+    for (const method of BACKEND_METHODS) {
+        if (typeof backend?.[method] !== 'function') {
+            throw new Error(`Invalid backend: missing ${method}() method`);
+        }
+    }
+    return backend;
+};
+
+/**
+ * Whether a store already reported that its entries only live in memory
+ * @type {boolean}
+ */
+let warnedMemoryFallback = false;
+
+/**
+ * Creates the MemoryBackend used when no backend is given and Titan's t.ls is not available.
+ * Its first write reports, once per process, that the entries will not outlive the process;
+ * stores that are never written to (such as the default export) stay silent.
+ * @param {function(string): void} warn - Reports the warning (through the store's logger)
+ * @returns {MemoryBackend} In-memory backend
+ */
+const createFallbackBackend = (warn) => {
+    const backend = new MemoryBackend();
+    backend.write = (key, value) => {
+        delete backend.write;
+        if (!warnedMemoryFallback) {
+            warnedMemoryFallback = true;
+            warn(
+                "[super-ls] Titan's t.ls is not available and no backend was given: entries are kept in memory and lost when the process exits. Pass a backend such as FileBackend to keep them"
+            );
+        }
+        backend.write(key, value);
+    };
+    return backend;
+};
+
+/**
+ * Validates compression options and resolves the codec
+ * @param {CompressionOptions} options - Compression options
+ * @returns {Compressor} Threshold and codec for new entries
+ * @throws {Error} If the algorithm is unknown or the codec is incomplete
+ */
+const createCompressor = ({ threshold = DEFAULT_COMPRESSION_THRESHOLD, algorithm = 'lz4' }) => {
+    const codec = typeof algorithm === 'string' ? BUILTIN_CODECS.get(algorithm) : algorithm;
+
+    if (!codec) {
+        throw new Error(`Invalid compression options: unknown algorithm '${algorithm}'`);
+    }
+    if (typeof codec.name !== 'string' || typeof codec.compress !== 'function' || typeof codec.decompress !== 'function') {
+        throw new Error('Invalid compression options: a custom algorithm needs name, compress() and decompress()');
+    }
+
+    return { threshold, codec };
+};
+
+/**
+ * Computes how many bytes a padded Base64 string decodes to, without decoding it
+ * @param {string} base64 - Base64 string
+ * @returns {number} Decoded length in bytes
+ */
+const base64ByteLength = (base64) => {
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return (base64.length / 4) * 3 - padding;
+};
+
+/**
+ * Returns the annotations object owned by a class or decorator metadata object, creating it if needed
+ * @param {object} holder - Class constructor or `context.metadata`
+ * @returns {ClassAnnotations} Annotations owned by the holder (never the parent's)
+ */
+const ownAnnotations = (holder) => {
+    if (!Object.hasOwn(holder, ANNOTATIONS)) {
+        Object.defineProperty(holder, ANNOTATIONS, { value: { transient: new Set(), converters: new Map() } });
+    }
+    return holder[ANNOTATIONS];
+};
+
+/**
+ * Merges the decorator annotations of a class with the field annotations of its ancestors.
+ * Type name and version are never inherited.
+ * @param {ClassConstructor} ClassRef - Class to inspect
+ * @returns {ClassAnnotations} Merged annotations
+ */
+const collectAnnotations = (ClassRef) => {
+    const chain = [];
+    for (let current = ClassRef; typeof current === 'function'; current = Object.getPrototypeOf(current)) {
+        // Classes with only field decorators keep their annotations in their decorator metadata
+        const metadata = Object.hasOwn(current, Symbol.metadata) ? current[Symbol.metadata] : null;
+        const holder = Object.hasOwn(current, ANNOTATIONS) ? current : metadata;
+        if (holder && Object.hasOwn(holder, ANNOTATIONS)) {
+            chain.unshift(holder[ANNOTATIONS]);
+        }
+    }
+
+    const own = Object.hasOwn(ClassRef, ANNOTATIONS) ? ClassRef[ANNOTATIONS] : {};
+    const merged = { typeName: own.typeName, version: own.version, migrate: own.migrate, transient: new Set(), converters: new Map() };
+
+    for (const annotations of chain) {
+        for (const field of annotations.transient) {
+            merged.transient.add(field);
+        }
+        for (const [field, converter] of annotations.converters) {
+            merged.converters.set(field, converter);
+        }
+    }
+
+    return merged;
+};
+
+/**
+ * Checks if a raw key is used internally by super-ls rather than holding a user value
+ * @param {string} rawKey - Key as stored in t.ls
+ * @returns {boolean} True for internal keys
+ */
+const isInternalKey = (rawKey) => rawKey.includes(INTERNAL_KEY_MARKER);
+
+/**
+ * Normalizes the entries accepted by setMany() into [key, value] pairs
+ * @param {Object<string, any>|Iterable<[string, any]>} entries - Plain object, Map or array of pairs
+ * @returns {Array<[string, any]>} Key/value pairs
+ */
+const toEntryPairs = (entries) =>
+    typeof entries[Symbol.iterator] === 'function' ? [...entries] : Object.entries(entries);
+
+/**
+ * Creates a unique identifier for a batch blob
+ * @returns {string} Batch id
+ */
+const createBatchId = () =>
+    Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+
+/**
+ * Returns the revision recorded in an entry header.
+ * Entries written before revisions existed count as revision 0.
+ * @param {EntryHeader} header - Entry metadata
+ * @returns {number} Entry revision
+ */
+const revisionOf = (header) => header.revision ?? 0;
+
+/**
+ * Checks if an entry header carries an expiration time that has passed
+ * @param {EntryHeader} header - Entry metadata
+ * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+ * @returns {boolean} True if the entry is expired
+ */
+const isExpired = (header, now = Date.now()) =>
+    header.expiresAt !== undefined && header.expiresAt <= now;
+
+/**
+ * Converts ttl/expireAt options into an absolute expiration time
+ * @param {SetOptions} options - Set options
+ * @returns {number|undefined} Expiration time in epoch milliseconds, or undefined for no expiry
+ * @throws {Error} If ttl or expireAt is not a valid time
+ */
+const resolveExpiry = ({ ttl, expireAt } = {}) => {
+    if (expireAt !== undefined && expireAt !== null) {
+        const time = expireAt instanceof Date ? expireAt.getTime() : expireAt;
+        if (!Number.isFinite(time)) {
+            throw new Error('Invalid expireAt: expected a Date or epoch milliseconds');
+        }
+        return time;
+    }
+
+    if (ttl !== undefined && ttl !== null) {
+        if (!Number.isFinite(ttl) || ttl < 0) {
+            throw new Error('Invalid ttl: expected a non-negative number of milliseconds');
+        }
+        return Date.now() + ttl;
+    }
+
+    return undefined;
+};
+
+/**
+ * Converts a glob pattern into an anchored regular expression.
+ * Supports `*` (any sequence of characters) and `?` (any single character).
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Equivalent regular expression
+ */
+const globToRegExp = (pattern) => {
+    const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Selects the smallest strings without sorting all of them, using a max-heap
+ * bounded to the requested count: O(n log count) instead of O(n log n).
+ * @param {Iterable<string>} values - Strings to select from
+ * @param {number} count - Maximum number of strings to keep
+ * @returns {string[]} Up to count smallest strings, sorted
+ */
+const smallestStrings = (values, count) => {
+    const heap = [];
+    const swap = (a, b) => { [heap[a], heap[b]] = [heap[b], heap[a]]; };
+
+    for (const value of values) {
+        if (heap.length < count) {
+            // Sift up
+            heap.push(value);
+            let child = heap.length - 1;
+            while (child > 0) {
+                const parent = (child - 1) >> 1;
+                if (heap[parent] >= heap[child]) {
+                    break;
+                }
+                swap(parent, child);
+                child = parent;
+            }
+        } else if (value < heap[0]) {
+            // Replace the largest and sift down
+            heap[0] = value;
+            let parent = 0;
+            for (;;) {
+                const left = parent * 2 + 1;
+                const right = left + 1;
+                let largest = parent;
+                if (left < heap.length && heap[left] > heap[largest]) {
+                    largest = left;
+                }
+                if (right < heap.length && heap[right] > heap[largest]) {
+                    largest = right;
+                }
+                if (largest === parent) {
+                    break;
+                }
+                swap(parent, largest);
+                parent = largest;
+            }
+        }
+    }
+
+    return heap.sort();
+};
+
+// ============================================================================
+// Portable JSON
+// ============================================================================
+
+/**
+ * Counts how often each object is reached in a serializable graph
+ * @param {any} root - Output of _toSerializable()
+ * @returns {Map<object, number>} Visits per object; more than one means shared or circular
+ */
+const countReferences = (root) => {
+    const counts = new Map();
+
+    const visit = (value) => {
+        if (isPrimitive(value)) {
+            return;
+        }
+
+        const count = (counts.get(value) ?? 0) + 1;
+        counts.set(value, count);
+        if (count > 1) {
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value instanceof Map) {
+            for (const [key, item] of value) {
+                visit(key);
+                visit(item);
+            }
+        } else if (value instanceof Set) {
+            value.forEach(visit);
+        } else if (isPlainObject(value)) {
+            Object.values(value).forEach(visit);
+        }
+    };
+
+    visit(root);
+    return counts;
+};
+
+/**
+ * Converts the output of _toSerializable() to tagged JSON.
+ * Values JSON cannot hold become `{ "$type": ... }` objects; objects reached
+ * more than once get an `"$id"` and are written as `{ "$ref": id }` afterwards.
+ * @param {any} root - Serializable value
+ * @param {Runtime} runtime - Provides Base64 encoding for binary data
+ * @returns {any} JSON-compatible value
+ */
+const toPortableJson = (root, runtime) => {
+    const counts = countReferences(root);
+    const ids = new Map();
+
+    const toBase64 = (view) => runtime.toBase64(new Uint8Array(view.buffer ?? view, view.byteOffset ?? 0, view.byteLength));
+
+    const encode = (value) => {
+        if (value === undefined) {
+            return { $type: 'undefined' };
+        }
+        if (typeof value === 'number') {
+            if (Number.isFinite(value) && !Object.is(value, -0)) {
+                return value;
+            }
+            return { $type: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+        }
+        if (typeof value === 'bigint') {
+            return { $type: 'bigint', value: value.toString() };
+        }
+        if (isPrimitive(value)) {
+            return value;
+        }
+        if (ids.has(value)) {
+            return { $ref: ids.get(value) };
+        }
+
+        const shared = counts.get(value) > 1;
+        const tag = (type) => {
+            const node = type === null ? {} : { $type: type };
+            if (shared) {
+                ids.set(value, ids.size + 1);
+                node.$id = ids.get(value);
+            }
+            return node;
+        };
+
+        if (Array.isArray(value)) {
+            const dense = value.every((_, index) => index in value) && Object.keys(value).length === value.length;
+            if (dense && !shared) {
+                return value.map(encode);
+            }
+            const node = tag('Array');
+            node.items = Array.from({ length: value.length }, (_, index) =>
+                index in value ? encode(value[index]) : { $type: 'hole' }
+            );
+            return node;
+        }
+
+        if (isPlainObject(value) && hasTypeWrapper(value)) {
+            const node = tag('class');
+            node.name = value[TYPE_MARKER];
+            if (value[VERSION_MARKER] !== undefined) {
+                node.version = value[VERSION_MARKER];
+            }
+            node.data = encode(value[DATA_MARKER]);
+            if (Object.hasOwn(value, ENTRIES_MARKER)) {
+                node.entries = encode(value[ENTRIES_MARKER]);
+            }
+            return node;
+        }
+
+        if (value instanceof Map) {
+            const node = tag('Map');
+            node.entries = [...value].map(([key, item]) => [encode(key), encode(item)]);
+            return node;
+        }
+
+        if (value instanceof Set) {
+            const node = tag('Set');
+            node.values = [...value].map(encode);
+            return node;
+        }
+
+        if (value instanceof Date) {
+            const node = tag('Date');
+            node.value = Number.isNaN(value.getTime()) ? null : value.toISOString();
+            return node;
+        }
+
+        if (value instanceof RegExp) {
+            const node = tag('RegExp');
+            node.source = value.source;
+            node.flags = value.flags;
+            return node;
+        }
+
+        if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            // The built-in tag, not the constructor name, which subclasses change
+            const node = tag(Object.prototype.toString.call(value).slice(8, -1));
+            node.base64 = toBase64(value);
+            return node;
+        }
+
+        if (value instanceof Number || value instanceof String || value instanceof Boolean || value instanceof BigInt) {
+            const node = tag('Boxed');
+            node.value = encode(value.valueOf());
+            return node;
+        }
+
+        const node = tag(null);
+        for (const key of Object.keys(value)) {
+            setOwn(node, JSON_TAG_KEY.test(key) ? ESCAPE_PREFIX + key : key, encode(value[key]));
+        }
+        return node;
+    };
+
+    return encode(root);
+};
+
+/**
+ * Converts tagged JSON written by toPortableJson() back to a serializable value
+ * @param {any} root - JSON-compatible value
+ * @param {Runtime} runtime - Provides Base64 decoding for binary data
+ * @returns {any} Value ready for _rehydrate()
+ * @throws {Error} On unknown tags or references
+ */
+const fromPortableJson = (root, runtime) => {
+    const ids = new Map();
+
+    const define = (node, value) => {
+        if (node.$id !== undefined) {
+            ids.set(node.$id, value);
+        }
+        return value;
+    };
+
+    const decode = (node) => {
+        if (isPrimitive(node)) {
+            return node;
+        }
+        if (Array.isArray(node)) {
+            return node.map(decode);
+        }
+        if (Object.hasOwn(node, '$ref')) {
+            if (!ids.has(node.$ref)) {
+                throw new Error(`Invalid export document: unknown reference ${node.$ref}`);
+            }
+            return ids.get(node.$ref);
+        }
+
+        switch (node.$type) {
+            case undefined: {
+                const obj = define(node, {});
+                for (const key of Object.keys(node)) {
+                    if (key !== '$id') {
+                        setOwn(obj, JSON_TAG_KEY.test(key) ? key.slice(ESCAPE_PREFIX.length) : key, decode(node[key]));
+                    }
+                }
+                return obj;
+            }
+            case 'undefined':
+                return undefined;
+            case 'number':
+                return Number(node.value);
+            case 'bigint':
+                return BigInt(node.value);
+            case 'Array': {
+                const arr = define(node, []);
+                arr.length = node.items.length;
+                node.items.forEach((item, index) => {
+                    if (item?.$type !== 'hole') {
+                        arr[index] = decode(item);
+                    }
+                });
+                return arr;
+            }
+            case 'class': {
+                const wrapper = define(node, { [TYPE_MARKER]: node.name });
+                wrapper[DATA_MARKER] = decode(node.data);
+                if (node.version !== undefined) {
+                    wrapper[VERSION_MARKER] = node.version;
+                }
+                if (Object.hasOwn(node, 'entries')) {
+                    wrapper[ENTRIES_MARKER] = decode(node.entries);
+                }
+                return wrapper;
+            }
+            case 'Map': {
+                const map = define(node, new Map());
+                for (const [key, item] of node.entries) {
+                    map.set(decode(key), decode(item));
+                }
+                return map;
+            }
+            case 'Set': {
+                const set = define(node, new Set());
+                for (const item of node.values) {
+                    set.add(decode(item));
+                }
+                return set;
+            }
+            case 'Date':
+                return define(node, new Date(node.value ?? NaN));
+            case 'RegExp':
+                return define(node, new RegExp(node.source, node.flags));
+            case 'Boxed':
+                return define(node, Object(decode(node.value)));
+        }
+
+        const View = node.$type === 'DataView' ? DataView : TYPED_ARRAY_TYPES.find((Type) => Type.name === node.$type);
+        if (node.$type !== 'ArrayBuffer' && !View) {
+            throw new Error(`Invalid export document: unknown type '${node.$type}'`);
+        }
+
+        const buffer = runtime.fromBase64(node.base64).slice().buffer;
+        return define(node, View ? new View(buffer) : buffer);
+    };
+
+    return decode(root);
+};
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Thrown when a value holds something that cannot be stored, such as a
+ * function or a WeakMap. Nothing is written when it is thrown.
+ * 
+ * @class SerializationError
+ * @extends Error
+ * 
+ * @example
+ * try {
+ *     superLs.set('users', users);
+ * } catch (error) {
+ *     if (error instanceof SerializationError) {
+ *         t.log(error.path);      // 'root[3].onChange'
+ *         t.log(error.valueType); // 'function'
+ *     }
+ * }
+ */
+export class SerializationError extends Error {
+    /**
+     * @param {string} path - JS path of the value, starting at `root`
+     * @param {string} valueType - Type of the value
+     * @param {string} suggestion - How to store the data another way
+     */
+    constructor(path, valueType, suggestion) {
+        super(`Cannot store ${valueType} at ${path}: ${suggestion}`);
+
+        this.name = 'SerializationError';
+
+        /**
+         * JS path of the value, starting at `root` (`entries` for setMany())
+         * @type {string}
+         */
+        this.path = path;
+
+        /**
+         * Type of the value
+         * @type {string}
+         */
+        this.valueType = valueType;
+
+        /**
+         * How to store the data another way
+         * @type {string}
+         */
+        this.suggestion = suggestion;
+    }
+}
+
+// ============================================================================
+// Unknown Types
+// ============================================================================
+
+/**
+ * Stored instance of a type this process has not registered, as read with
+ * `onUnknownType: 'preserve'`. Storing it again writes the original wrapper
+ * back unchanged, so data of other services survives a read-modify-write.
+ * 
+ * `data` is the stored form: nested registered instances appear as
+ * `{ __super_type__, __data__ }` wrappers and are not rehydrated.
+ * 
+ * @class UnknownTypeEnvelope
+ * 
+ * @example
+ * const store = new SuperLocalStorage({ onUnknownType: 'preserve' });
+ * const profile = store.get('profile');      // { avatar: UnknownTypeEnvelope, name: 'alice' }
+ * profile.name = 'alicia';
+ * store.set('profile', profile);             // avatar is written back as it was
+ */
+export class UnknownTypeEnvelope {
+    /**
+     * @param {string} typeName - Registered type name the data was written with
+     * @param {number} version - Registration version the data was written with
+     * @param {any} data - Stored data, as deserialized
+     */
+    constructor(typeName, version, data) {
+        /**
+         * Registered type name the data was written with
+         * @type {string}
+         */
+        this.typeName = typeName;
+
+        /**
+         * Registration version the data was written with
+         * @type {number}
+         */
+        this.version = version;
+
+        /**
+         * Stored data, as deserialized
+         * @type {any}
+         */
+        this.data = data;
+    }
+}
+
+// ============================================================================
+// Transactions
+// ============================================================================
+
+/**
+ * Staging area passed to SuperLocalStorage#transaction() callbacks.
+ * 
+ * Writes are recorded in memory and only reach storage when the callback
+ * returns. Reads see staged writes first, then fall back to storage.
+ * 
+ * @class Transaction
+ */
+class Transaction {
+    /**
+     * @param {SuperLocalStorage} storage - Store the transaction commits to
+     */
+    constructor(storage) {
+        /**
+         * Store the transaction commits to
+         * @type {SuperLocalStorage}
+         * @private
+         */
+        this.storage = storage;
+
+        /**
+         * Staged writes in the order they were last made, keyed by storage key
+         * @type {Map<string, StagedOperation>}
+         * @private
+         */
+        this.staged = new Map();
+    }
+
+    /**
+     * Reads a value, seeing writes staged in this transaction
+     * @param {string} key - Storage key
+     * @returns {any|null} Staged or stored value, or null if missing or staged for removal
+     */
+    get(key) {
+        const op = this.staged.get(key);
+
+        if (op) {
+            return op.type === 'set' ? this.storage._decodeBytes(op.bytes, { v: ENVELOPE_VERSION, ...op.fields }) : null;
+        }
+
+        return this.storage.get(key);
+    }
+
+    /**
+     * Checks if a key has a value, seeing writes staged in this transaction
+     * @param {string} key - Storage key
+     * @returns {boolean} True if the key holds a non-null, non-undefined value
+     */
+    has(key) {
+        const value = this.get(key);
+        return value !== undefined && value !== null;
+    }
+
+    /**
+     * Stages a write. The value is serialized right away, so later changes to it
+     * are not committed and unsupported values throw here rather than at commit.
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store
+     * @param {SetOptions} [options={}] - Expiration options
+     * @throws {Error} If ttl or expireAt is not a valid time
+     * @throws {SerializationError} If the value holds something that cannot be stored
+     */
+    set(key, value, options = {}) {
+        const expiresAt = resolveExpiry(options);
+        const { bytes, fields } = this.storage._encodePayload(value);
+
+        this.staged.delete(key);
+        this.staged.set(key, { type: 'set', value, bytes, fields, expiresAt });
+    }
+
+    /**
+     * Stages a removal
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+        this.staged.delete(key);
+        this.staged.set(key, { type: 'remove' });
+    }
+}
+
+// ============================================================================
+// Main Class
+// ============================================================================
+
+/**
+ * Enhanced localStorage wrapper that supports complex JavaScript types
+ * and custom class serialization/deserialization.
+ * 
+ * Now powered by native V8 serialization for maximum performance.
+ * 
+ * @class SuperLocalStorage
+ * 
+ * @example
+ * // Basic usage with rich types
+ * import superLs from 'super-ls';
+ * 
+ * const settings = new Map([['theme', 'dark'], ['lang', 'es']]);
+ * superLs.set('user_settings', settings);
+ * 
+ * const recovered = superLs.get('user_settings');
+ * t.log(recovered.get('theme')); // 'dark'
+ * 
+ * @example
+ * // Usage with custom classes and hydrate function
+ * class Player {
+ *     constructor(name, score) {
+ *         this.name = name;
+ *         this.score = score;
+ *     }
+ *     addScore(points) {
+ *         this.score += points;
+ *     }
+ * }
+ * 
+ * superLs.register(Player, (data) => new Player(data.name, data.score));
+ * superLs.set('player', new Player('Alice', 100));
+ * 
+ * const player = superLs.get('player');
+ * player.addScore(50); // Methods work!
+ * 
+ * @example
+ * // Temporary in-memory storage (current V8 thread only)
+ * superLs.setTemp('cache', expensiveComputation());
+ * const cached = superLs.getTemp('cache'); // Fast retrieval, same thread
+ */
+export class SuperLocalStorage {
+    /**
+     * Creates a new SuperLocalStorage instance
+     * @param {string|SuperLocalStorageOptions} [prefixOrOptions='__sls__'] - Prefix for all storage keys, or options
+     * @param {SuperLocalStorageOptions} [options={}] - Options when a prefix string is given first
+     * @throws {Error} If the backend, encryption or compression options are invalid
+     * 
+     * @example
+     * const store = new SuperLocalStorage('app_');
+     * 
+     * @example
+     * const cache = new SuperLocalStorage('cache_', { backend: new MemoryBackend() });
+     * 
+     * @example
+     * const secure = new SuperLocalStorage({
+     *     prefix: 'vault_',
+     *     encryption: { keys: { k1: oldKey, k2: newKey }, active: 'k2' }
+     * });
+     */
+    constructor(prefixOrOptions = DEFAULT_PREFIX, options = {}) {
+        const config = typeof prefixOrOptions === 'string'
+            ? { ...options, prefix: prefixOrOptions }
+            : { ...prefixOrOptions, prefix: prefixOrOptions?.prefix ?? DEFAULT_PREFIX };
+
+        /** 
+         * Registry mapping type names to class constructors and hydrate functions
+         * @type {Map<string, RegistryEntry>}
+         * @private
+         */
+        this.registry = new Map();
+
+        /**
+         * Type name of each registered constructor, for prototype-chain lookups
+         * @type {Map<ClassConstructor, string>}
+         * @private
+         */
+        this.constructors = new Map();
+
+        /**
+         * Prefix prepended to all storage keys
+         * @type {string}
+         * @private
+         */
+        this.prefix = config.prefix;
+
+        /**
+         * Options the instance was created with, passed on to namespaces
+         * @type {SuperLocalStorageOptions}
+         * @private
+         */
+        this.options = config;
+
+        /**
+         * Serialization and Base64 primitives of the host runtime
+         * @type {Runtime}
+         * @private
+         */
+        this.runtime = config.runtime ?? detectRuntime();
+
+        /**
+         * Storage the envelopes are read from and written to
+         * @type {StorageBackend}
+         * @private
+         */
+        this.backend = config.backend
+            ? assertBackend(config.backend)
+            : this.runtime === titanRuntime ? new TitanLsBackend() : createFallbackBackend((message) => this.logger.warn(message));
+
+        /**
+         * Keys used to encrypt payloads, or null when encryption is off
+         * @type {Keyring|null}
+         * @private
+         */
+        this.encryption = config.encryption ? createKeyring(config.encryption, this.runtime) : null;
+
+        /**
+         * Threshold and codec used to compress large payloads, or null when compression is off
+         * @type {Compressor|null}
+         * @private
+         */
+        this.compression = config.compression ? createCompressor(config.compression) : null;
+
+        /**
+         * What happens when an unregistered class instance would be stored as a plain object
+         * @type {boolean|'warn'}
+         * @private
+         */
+        this.strict = assertStrictMode(config.strict ?? false);
+
+        /**
+         * Receives the warnings of strict: 'warn'
+         * @type {Logger}
+         * @private
+         */
+        this.logger = config.logger ?? console;
+
+        /**
+         * Constructors strict: 'warn' has already reported, shared with namespaces
+         * @type {WeakSet<Function>}
+         * @private
+         */
+        this.warnedConstructors = new WeakSet();
+
+        /**
+         * What get() returns for stored instances of unregistered types
+         * @type {UnknownTypePolicy}
+         * @private
+         */
+        this.onUnknownType = assertUnknownTypePolicy(config.onUnknownType ?? 'plain');
+
+        /**
+         * Change listeners registered through watch(), shared with namespaces
+         * @type {Watcher[]}
+         * @private
+         */
+        this.watchers = [];
+
+        /**
+         * Last known revision of each watched raw key, used by poll()
+         * @type {Map<string, number>}
+         * @private
+         */
+        this.revisions = new Map();
+    }
+
+    // ========================================================================
+    // Public API - Core Storage
+    // ========================================================================
+
+    /**
+     * Registers a class for serialization/deserialization support.
+     * 
+     * Once registered, instances of this class can be stored and retrieved
+     * with their methods intact. Uses native t.ls.register() for optimal performance.
+     * 
+     * Passing an options object enables versioning: the version is written into
+     * every stored instance, and data written with an older version is passed
+     * through each `migrate` step (keyed by the version it upgrades from) before
+     * hydration. Data written before versioning was enabled counts as version 1.
+     * 
+     * @param {ClassConstructor} ClassRef - The class constructor to register
+     * @param {HydrateFunction|string|RegisterOptions} [hydrateOrTypeName=null] - Hydrate function, custom type name or options
+     * @param {string} [typeName=null] - Custom type name when hydrate function is provided
+     * @throws {Error} If ClassRef is not a function/class
+     * @throws {Error} If version is not a positive integer
+     * 
+     * @example
+     * // Basic registration (uses default constructor + Object.assign)
+     * superLs.register(Player);
+     * 
+     * @example
+     * // Registration with hydrate function
+     * superLs.register(Player, (data) => new Player(data.name, data.score));
+     * 
+     * @example
+     * // Registration with hydrate function and custom type name
+     * superLs.register(Player, (data) => new Player(data.name, data.score), 'GamePlayer');
+     * 
+     * @example
+     * // Registration with only custom type name
+     * superLs.register(Player, 'GamePlayer');
+     * 
+     * Classes whose state is not in their own enumerable properties (#private
+     * fields, closures) can provide a `dehydrate` function returning the data
+     * to store, or a static `[DEHYDRATE](instance)` method. That data is passed
+     * as is to the hydrate function (or static `[HYDRATE](data)`/`hydrate(data)`).
+     * 
+     * Annotations left by the decorators (@serializable, @version, @transient,
+     * @serializeAs) on the class and its ancestors are picked up automatically;
+     * explicit options take precedence over them.
+     * 
+     * @example
+     * // Versioned registration with migrations
+     * superLs.register(Player, {
+     *     version: 3,
+     *     migrate: {
+     *         1: (data) => ({ ...data, score: data.points }),
+     *         2: (data) => ({ ...data, level: 1 })
+     *     },
+     *     writeBack: true
+     * });
+     * 
+     * @example
+     * // Class with private fields
+     * superLs.register(Account, {
+     *     dehydrate: (account) => account.toJSON(),
+     *     hydrate: (data) => Account.fromJSON(data)
+     * });
+     */
+    register(ClassRef, hydrateOrTypeName = null, typeName = null) {
+        if (typeof ClassRef !== 'function') {
+            throw new Error('Invalid class: expected a constructor function');
+        }
+
+        let options;
+
+        if (typeof hydrateOrTypeName === 'function') {
+            options = { hydrate: hydrateOrTypeName, typeName };
+        } else if (typeof hydrateOrTypeName === 'string') {
+            options = { typeName: hydrateOrTypeName };
+        } else {
+            options = hydrateOrTypeName || {};
+        }
+
+        const annotations = collectAnnotations(ClassRef);
+        const {
+            hydrate = null,
+            dehydrate = null,
+            version = annotations.version ?? DEFAULT_CLASS_VERSION,
+            migrate = annotations.migrate ?? {},
+            writeBack = false
+        } = options;
+        const finalTypeName = options.typeName || annotations.typeName || ClassRef.name;
+
+        if (finalTypeName.startsWith(BUILTIN_TYPE_PREFIX)) {
+            throw new Error(`Invalid type name ${finalTypeName}: the '${BUILTIN_TYPE_PREFIX}' prefix is reserved for built-in types`);
+        }
+
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid version for ${finalTypeName}: expected a positive integer`);
+        }
+
+        // Dehydrated data is not a field bag, so new Constructor() + Object.assign() cannot restore it
+        const hasDehydrate = typeof dehydrate === 'function' || typeof ClassRef[DEHYDRATE] === 'function';
+        const hasHydrate = typeof hydrate === 'function' || typeof ClassRef[HYDRATE] === 'function' || typeof ClassRef.hydrate === 'function';
+        if (hasDehydrate && !hasHydrate) {
+            throw new Error(`Invalid registration for ${finalTypeName}: dehydrate needs a hydrate function`);
+        }
+
+        // A type name re-registered with another class no longer matches the old one
+        const replaced = this.registry.get(finalTypeName)?.Constructor;
+        if (replaced && this.constructors.get(replaced) === finalTypeName) {
+            this.constructors.delete(replaced);
+        }
+
+        // Store locally for class detection during serialization
+        this.constructors.set(ClassRef, finalTypeName);
+        this.registry.set(finalTypeName, {
+            Constructor: ClassRef,
+            hydrate,
+            dehydrate,
+            version,
+            migrate,
+            writeBack,
+            transient: annotations.transient,
+            converters: annotations.converters
+        });
+
+        // Delegate to the native registry (t.ls.register() under Titan) for hydration support
+        const nativeHydrate = hydrate ?? (typeof ClassRef[HYDRATE] === 'function' ? (data) => ClassRef[HYDRATE](data) : null);
+        this.runtime.register(ClassRef, nativeHydrate, finalTypeName);
+    }
+
+    /**
+     * Stores a value in localStorage with full type preservation.
+     * 
+     * Uses native V8 serialization for optimal performance.
+     * Supports: primitives, objects, arrays, Map, Set, Date, RegExp,
+     * TypedArrays, BigInt, circular references, undefined, NaN, Infinity,
+     * and registered class instances.
+     * 
+     * An optional `ttl` (milliseconds) or `expireAt` (Date or epoch ms) makes
+     * the entry expire: once expired it is treated as missing and deleted on
+     * the next read. Writing a key without either option removes any expiry.
+     * 
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store
+     * @param {SetOptions} [options={}] - Expiration options
+     * @throws {Error} If ttl or expireAt is not a valid time
+     * @throws {SerializationError} If the value holds something that cannot be stored (see validate())
+     * 
+     * @example
+     * // Store various types
+     * superLs.set('map', new Map([['key', 'value']]));
+     * superLs.set('set', new Set([1, 2, 3]));
+     * superLs.set('date', new Date());
+     * superLs.set('bigint', BigInt('9007199254740991000'));
+     * 
+     * @example
+     * // Store circular references
+     * const obj = { name: 'circular' };
+     * obj.self = obj;
+     * superLs.set('circular', obj);
+     * 
+     * @example
+     * // Expire after one hour
+     * superLs.set('session', session, { ttl: 60 * 60 * 1000 });
+     */
+    set(key, value, options = {}) {
+        const expiresAt = resolveExpiry(options);
+        const { bytes, fields } = this._encodePayload(value);
+        const rawKey = this.prefix + key;
+
+        this._commit(key, this._readRawEntry(rawKey), value, bytes, { expiresAt, ...fields });
+    }
+
+    /**
+     * Retrieves a value from localStorage with full type restoration.
+     * 
+     * All types are automatically restored to their original form,
+     * including registered class instances with working methods.
+     * Expired entries are deleted and reported as missing.
+     * 
+     * @template T
+     * @param {string} key - Storage key
+     * @returns {T|null} The stored value with types restored, or null if key doesn't exist
+     * 
+     * @example
+     * const settings = superLs.get('user_settings');
+     * if (settings) {
+     *     t.log(settings.get('theme')); // Map methods work
+     * }
+     */
+    get(key) {
+        const entry = this._readEntry(key);
+
+        if (!entry) {
+            return null;
+        }
+
+        const rawKey = this.prefix + key;
+        const context = {};
+        const value = this._decodeEntry(rawKey, entry, context);
+
+        // A registration with writeBack asked for its migrated form to be stored. The batch blob
+        // is decoded as a whole, so only rewrite this key when the migrated instance is part of it.
+        // Unregistered types read as plain data would lose their type tag, so those entries stay as they are.
+        const { batch, index, keyId, compression, rawSize, ...header } = entry.header;
+        const migrated = context.migrated && (!batch || reachesAny(value, context.migrated));
+        if (migrated && !context.flattened) {
+            const { bytes, fields } = this._encodePayload(value);
+            this._writeEntry(key, { ...header, v: ENVELOPE_VERSION, ...fields }, bytes);
+            if (batch) {
+                this._releaseBatch(batch);
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Removes a value from localStorage.
+     * 
+     * @param {string} key - Storage key to remove
+     * @returns {void}
+     * 
+     * @example
+     * superLs.set('temp_data', { foo: 'bar' });
+     * superLs.remove('temp_data');
+     * superLs.get('temp_data'); // null
+     */
+    remove(key) {
+        const rawKey = this.prefix + key;
+        const previous = this._readRawEntry(rawKey);
+
+        this._removeRaw(rawKey, previous, 'remove');
+    }
+
+    /**
+     * Clears all values from localStorage that belong to this instance.
+     * 
+     * Only keys starting with the instance prefix are removed; keys written
+     * by other instances or by plain `t.ls` calls are left untouched.
+     * 
+     * @returns {void}
+     * 
+     * @example
+     * superLs.set('key1', 'value1');
+     * superLs.set('key2', 'value2');
+     * superLs.clean();
+     * // All keys with the instance prefix are now removed
+     */
+    clean() {
+        const internalKeys = [];
+
+        for (const rawKey of this.backend.list()) {
+            if (!rawKey.startsWith(this.prefix)) {
+                continue;
+            }
+
+            // Internal keys go last so removed batch entries can still be decoded for watchers
+            if (isInternalKey(rawKey)) {
+                internalKeys.push(rawKey);
+                continue;
+            }
+
+            this._removeRaw(rawKey, this._readRawEntry(rawKey), 'clean');
+        }
+
+        for (const rawKey of internalKeys) {
+            this.backend.delete(rawKey);
+        }
+    }
+
+    /**
+     * Checks if a key exists in localStorage and contains a valid value.
+     * Expired entries count as missing.
+     * 
+     * @param {string} key - Storage key to check
+     * @returns {boolean} True if the key exists and contains a non-null, non-undefined value
+     * 
+     * @example
+     * superLs.set('user', { name: 'Alice' });
+     * superLs.has('user'); // true
+     * superLs.has('nonexistent'); // false
+     */
+    has(key) {
+        const value = this.get(key);
+        return this._checkIfExistValue(value);
+    }
+
+    /**
+     * Retrieves a value from localStorage, or computes and stores it if not present.
+     * 
+     * This method implements a "get or create" pattern: if the key exists and contains
+     * a valid value, it returns that value. Otherwise, it calls the resolver function,
+     * stores the result, and returns it. Expired entries are resolved again.
+     * 
+     * @template T
+     * @param {string} key - Storage key
+     * @param {function(): T} resolver - Function that computes the default value if key doesn't exist
+     * @param {SetOptions} [options] - Expiration options used when storing a resolved value
+     * @returns {T} The existing value or the newly resolved and stored value
+     * 
+     * @example
+     * // Returns existing settings or creates default ones
+     * const settings = superLs.resolve('app_settings', () => ({
+     *     theme: 'dark',
+     *     language: 'en',
+     *     notifications: true
+     * }));
+     */
+    resolve(key, resolver, options) {
+        const value = this.get(key);
+
+        if (this._checkIfExistValue(value)) {
+            return value;
+        }
+
+        const resolvedValue = resolver();
+        this.set(key, resolvedValue, options);
+        return resolvedValue;
+    }
+
+    /**
+     * Removes every expired entry belonging to this instance.
+     * 
+     * Expired entries are already hidden from get(), has() and resolve();
+     * this reclaims their storage in bulk. Only entry headers are read,
+     * so payloads are never decoded.
+     * 
+     * @returns {number} Number of entries removed
+     * 
+     * @example
+     * const removed = superLs.sweepExpired();
+     * t.log(`Removed ${removed} expired entries`);
+     */
+    sweepExpired() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const rawKey of this.backend.list()) {
+            if (!rawKey.startsWith(this.prefix) || isInternalKey(rawKey)) {
+                continue;
+            }
+
+            const entry = this._readRawEntry(rawKey);
+            if (entry && isExpired(entry.header, now)) {
+                this._removeRaw(rawKey, entry, 'expire');
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    // ========================================================================
+    // Public API - Batch Operations
+    // ========================================================================
+
+    /**
+     * Stores several values at once.
+     * 
+     * All values go through a single serialization pass and are stored together
+     * in one batch blob; each key keeps its own entry (revision, expiry) that
+     * points into the blob. Objects shared between values keep their identity:
+     * reading the keys back with getMany() returns the same instance for each
+     * reference. The blob is deleted once every key that uses it has been
+     * overwritten or removed.
+     * 
+     * @param {Object<string, any>|Iterable<[string, any]>} entries - Plain object, Map or array of [key, value] pairs
+     * @param {SetOptions} [options={}] - Expiration options applied to every key
+     * @returns {void}
+     * @throws {Error} If ttl or expireAt is not a valid time
+     * @throws {SerializationError} If a value holds something that cannot be stored (paths start at `entries[<position>]`)
+     * 
+     * @example
+     * const owner = new Player('Alice', 10);
+     * superLs.setMany({
+     *     'team:red': { captain: owner },
+     *     'team:blue': { coach: owner }
+     * });
+     * 
+     * const { values } = superLs.getMany(['team:red', 'team:blue']);
+     * values['team:red'].captain === values['team:blue'].coach; // true
+     */
+    setMany(entries, options = {}) {
+        const expiresAt = resolveExpiry(options);
+        const pairs = toEntryPairs(entries);
+
+        if (pairs.length === 0) {
+            return;
+        }
+
+        if (pairs.length === 1) {
+            this.set(pairs[0][0], pairs[0][1], options);
+            return;
+        }
+
+        const batchKey = this.prefix + INTERNAL_KEY_MARKER + BATCH_KEY_SEGMENT + createBatchId();
+        const { bytes, fields } = this._encodePayload(pairs.map(([, value]) => value), 'entries');
+
+        this.backend.write(batchKey, this._formatEntry(batchKey, { v: ENVELOPE_VERSION, ...fields }, bytes));
+        this.backend.write(batchKey + BATCH_REFS_SUFFIX, String(pairs.length));
+
+        pairs.forEach(([key, value], index) => {
+            const previous = this._readRawEntry(this.prefix + key);
+            this._commit(key, previous, value, null, { expiresAt, batch: batchKey, index });
+        });
+    }
+
+    /**
+     * Retrieves several values at once.
+     * 
+     * Values stored together by setMany() are decoded in one pass, so objects
+     * they share come back as the same instance.
+     * 
+     * @param {string[]} keys - Storage keys
+     * @returns {GetManyResult} Found values keyed by name, and the keys that were missing
+     * 
+     * @example
+     * const { values, missing } = superLs.getMany(['cart', 'inventory', 'nope']);
+     * // missing: ['nope']
+     */
+    getMany(keys) {
+        const batches = new Map();
+        const values = {};
+        const missing = [];
+
+        for (const key of keys) {
+            const entry = this._readEntry(key);
+
+            if (entry) {
+                values[key] = this._decodeEntry(this.prefix + key, entry, {}, batches);
+            } else {
+                missing.push(key);
+            }
+        }
+
+        return { values, missing };
+    }
+
+    /**
+     * Removes several keys at once.
+     * 
+     * @param {string[]} keys - Storage keys to remove
+     * @returns {RemoveManyResult} Keys that were removed, and the keys that were missing
+     * 
+     * @example
+     * const { removed, missing } = superLs.removeMany(['a', 'b']);
+     */
+    removeMany(keys) {
+        const removed = [];
+        const missing = [];
+
+        for (const key of keys) {
+            const rawKey = this.prefix + key;
+            const previous = this._readRawEntry(rawKey);
+
+            if (!previous) {
+                missing.push(key);
+                continue;
+            }
+
+            this._removeRaw(rawKey, previous, 'remove');
+            removed.push(key);
+        }
+
+        return { removed, missing };
+    }
+
+    // ========================================================================
+    // Public API - Transactions
+    // ========================================================================
+
+    /**
+     * Runs a callback whose writes are committed together.
+     * 
+     * `tx.set()` and `tx.remove()` are staged in memory; `tx.get()` and `tx.has()`
+     * see staged writes. `tx.set()` serializes its value immediately, so the
+     * commit stores the value as it was when staged. When the callback returns,
+     * the full list of changes is written to a journal key, the changes are
+     * applied, and the journal is deleted. If the callback throws, nothing is written.
+     * 
+     * If the process dies while the changes are being applied, the journal stays
+     * behind; call recoverTransactions() at startup to finish or undo the commit.
+     * 
+     * @template T
+     * @param {function(Transaction): T} callback - Synchronous function staging the writes
+     * @returns {T} The callback's return value
+     * @throws {Error} If the callback returns a Promise
+     * 
+     * @example
+     * superLs.transaction((tx) => {
+     *     const cart = tx.get('cart');
+     *     const stock = tx.get('inventory');
+     *     cart.items.push(item);
+     *     stock.set(item.sku, stock.get(item.sku) - 1);
+     *     tx.set('cart', cart);
+     *     tx.set('inventory', stock);
+     * });
+     */
+    transaction(callback) {
+        const tx = new Transaction(this);
+        const result = callback(tx);
+
+        if (result && typeof result.then === 'function') {
+            throw new Error('transaction() callback must be synchronous: staged writes were discarded');
+        }
+
+        this._commitTransaction(tx.staged);
+        return result;
+    }
+
+    /**
+     * Finishes or undoes commits interrupted by a crash.
+     * 
+     * Call it once at startup. A journal is only written once it is complete,
+     * so every journal found can be rolled forward (re-applying the commit) or
+     * back (restoring the values from before the commit). A journal that cannot
+     * be parsed was never completely written, so none of its changes were
+     * applied and it is simply discarded.
+     * 
+     * @param {RecoverOptions} [options={}] - Recovery direction
+     * @returns {number} Number of interrupted commits recovered
+     * @throws {Error} If mode is not 'forward' or 'back'
+     * 
+     * @example
+     * // At application startup
+     * superLs.recoverTransactions();
+     */
+    recoverTransactions({ mode = 'forward' } = {}) {
+        if (mode !== 'forward' && mode !== 'back') {
+            throw new Error(`Invalid recovery mode '${mode}': expected 'forward' or 'back'`);
+        }
+
+        const journalMarker = INTERNAL_KEY_MARKER + JOURNAL_KEY_SEGMENT;
+        let recovered = 0;
+
+        for (const rawKey of this.backend.list()) {
+            if (!rawKey.startsWith(this.prefix) || !rawKey.includes(journalMarker)) {
+                continue;
+            }
+
+            let journal;
+            try {
+                journal = JSON.parse(this.backend.read(rawKey));
+            } catch {
+                this.backend.delete(rawKey);
+                continue;
+            }
+
+            const state = mode === 'forward' ? 'next' : 'previous';
+            this._applyJournal(journal.ops, state);
+            this.backend.delete(rawKey);
+
+            if (mode === 'forward') {
+                this._releaseReplacedBatches(journal.ops);
+            }
+
+            recovered++;
+        }
+
+        return recovered;
+    }
+
+    // ========================================================================
+    // Public API - Revisions and Atomic Updates
+    // ========================================================================
+
+    /**
+     * Returns the revision of a key.
+     * 
+     * Every set() increments the revision stored in the entry envelope.
+     * Missing or expired keys, and entries written before revisions existed,
+     * report revision 0.
+     * 
+     * @param {string} key - Storage key
+     * @returns {number} Current revision
+     * 
+     * @example
+     * const revision = superLs.getRevision('cart');
+     */
+    getRevision(key) {
+        const entry = this._readEntry(key);
+        return entry ? revisionOf(entry.header) : 0;
+    }
+
+    /**
+     * Stores a value only if the key is still at the expected revision.
+     * 
+     * Pass 0 to only create the key if it does not exist. The value is
+     * serialized before the revision is checked, so no user code runs between
+     * the check and the write. `t.ls` has no native compare-and-swap, so a
+     * writer on another thread can still slip in between those two steps.
+     * 
+     * @param {string} key - Storage key
+     * @param {number} expectedRevision - Revision the key must currently have
+     * @param {any} value - Value to store
+     * @param {SetOptions} [options={}] - Expiration options
+     * @returns {boolean} True if the value was written, false if the revision had changed
+     * 
+     * @example
+     * const revision = superLs.getRevision('stock');
+     * const stock = superLs.get('stock');
+     * if (!superLs.compareAndSet('stock', revision, stock - 1)) {
+     *     // Someone else changed it first - read again and retry
+     * }
+     */
+    compareAndSet(key, expectedRevision, value, options = {}) {
+        const expiresAt = resolveExpiry(options);
+        const { bytes, fields } = this._encodePayload(value);
+        const rawKey = this.prefix + key;
+        const previous = this._readRawEntry(rawKey);
+        const live = previous && !isExpired(previous.header) ? previous : null;
+
+        if ((live ? revisionOf(live.header) : 0) !== expectedRevision) {
+            return false;
+        }
+
+        this._commit(key, previous, value, bytes, { expiresAt, ...fields });
+        return true;
+    }
+
+    /**
+     * Atomically transforms a stored value.
+     * 
+     * Reads the current value, passes it (hydrated, or null if missing) to `fn`,
+     * and stores the result with compareAndSet(). If another writer changed the
+     * key in between, the cycle is retried with the fresh value, so `fn` may run
+     * more than once and should not have side effects.
+     * 
+     * The entry keeps its expiration unless `ttl` or `expireAt` is given.
+     * 
+     * @template T
+     * @param {string} key - Storage key
+     * @param {function(T|null): T} fn - Computes the new value from the current one
+     * @param {UpdateOptions} [options={}] - Expiration and retry options
+     * @returns {T} The value that was stored
+     * @throws {Error} If the key kept changing for maxAttempts attempts
+     * 
+     * @example
+     * superLs.update('visits', (count) => (count ?? 0) + 1);
+     * 
+     * @example
+     * superLs.update('cart', (cart) => {
+     *     cart.items.push(item);
+     *     return cart;
+     * });
+     */
+    update(key, fn, options = {}) {
+        const { maxAttempts = DEFAULT_UPDATE_ATTEMPTS, ...setOptions } = options;
+        const keepExpiry = resolveExpiry(setOptions) === undefined;
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const entry = this._readEntry(key);
+            const revision = entry ? revisionOf(entry.header) : 0;
+            const current = entry ? this._decodeEntry(this.prefix + key, entry) : null;
+            const next = fn(current);
+            const nextOptions = keepExpiry && entry ? { expireAt: entry.header.expiresAt } : setOptions;
+
+            if (this.compareAndSet(key, revision, next, nextOptions)) {
+                return next;
+            }
+        }
+
+        throw new Error(`update() for '${key}' gave up after ${maxAttempts} attempts: the key kept changing`);
+    }
+
+    // ========================================================================
+    // Public API - Encryption
+    // ========================================================================
+
+    /**
+     * Rewrites every entry of this instance that is not encrypted with the active key,
+     * or that was written before encrypted payloads were bound to their key and header.
+     * 
+     * Use it after rotating keys (or enabling encryption) so old keys can be
+     * retired. Payloads are decrypted and re-encrypted as bytes, without being
+     * deserialized, and get the current envelope version. Payloads older than
+     * key escaping (envelope version 1 and earlier) are decoded and encoded again
+     * instead, keeping unregistered types as they are. Revisions are left
+     * unchanged and watchers are not notified.
+     * 
+     * @returns {number} Number of stored payloads rewritten
+     * @throws {Error} If encryption is not configured, or an entry uses an unknown key
+     * 
+     * @example
+     * const store = new SuperLocalStorage({
+     *     encryption: { keys: { k1: oldKey, k2: newKey }, active: 'k2' }
+     * });
+     * store.reencryptAll(); // k1 can now be removed from the options
+     */
+    reencryptAll() {
+        if (!this.encryption) {
+            throw new Error('reencryptAll() requires the encryption option');
+        }
+
+        let rewritten = 0;
+
+        for (const rawKey of this.backend.list()) {
+            if (!rawKey.startsWith(this.prefix) || !this._holdsPayload(rawKey)) {
+                continue;
+            }
+
+            const entry = this._readRawEntry(rawKey);
+            if (!entry || (entry.header.keyId === this.encryption.active && entry.header.v >= BOUND_HEADER_VERSION)) {
+                continue;
+            }
+
+            const { header } = entry;
+            let bytes = header.keyId === undefined && header.batch
+                ? null
+                : this._openBytes(rawKey, entry.payload, header);
+            let upgraded = { ...header, v: ENVELOPE_VERSION };
+
+            // The current version would read their keys as escaped, so the value is encoded again
+            if (!header.batch && header.v < ESCAPED_KEYS_VERSION) {
+                const { compression, rawSize, ...rest } = upgraded;
+                const encoded = this._encodePayload(this._decodeBytes(bytes, header, { preserveUnknown: true }));
+                bytes = encoded.bytes;
+                upgraded = { ...rest, ...encoded.fields };
+            }
+
+            this.backend.write(rawKey, this._formatEntry(rawKey, upgraded, bytes));
+            rewritten++;
+        }
+
+        return rewritten;
+    }
+
+    // ========================================================================
+    // Public API - Inspection
+    // ========================================================================
+
+    /**
+     * Describes how a key is stored: revision, expiration, encryption and compression.
+     * 
+     * Sizes are computed from the stored envelope without decoding the value.
+     * For keys written by setMany(), sizes describe the blob shared by the batch.
+     * 
+     * @param {string} key - Storage key
+     * @returns {EntryInfo|null} Entry details, or null if the key does not exist or has expired
+     * 
+     * @example
+     * const { compression, ratio } = superLs.inspect('catalog');
+     * // => compression: 'lz4', ratio: 0.21
+     */
+    inspect(key) {
+        const entry = this._readEntry(key);
+        return entry ? this._describeEntry(key, entry) : null;
+    }
+
+    /**
+     * Summarizes storage usage of every key of this instance, with per-key details.
+     * 
+     * @returns {StoreStats} Totals and inspect() output by key
+     * 
+     * @example
+     * const { count, ratio, entries } = superLs.stats();
+     */
+    stats() {
+        const stats = { count: 0, compressed: 0, size: 0, compressedSize: 0, storedSize: 0, ratio: 1, entries: {} };
+        const blobs = new Set();
+
+        for (const key of this.keys()) {
+            const entry = this._readEntry(key);
+            if (!entry) {
+                continue;
+            }
+
+            const info = this._describeEntry(key, entry);
+            stats.entries[key] = info;
+            stats.count++;
+            stats.storedSize += info.storedSize;
+            if (info.compression) {
+                stats.compressed++;
+            }
+
+            const { batch } = entry.header;
+            if (batch) {
+                if (blobs.has(batch)) {
+                    continue;
+                }
+                blobs.add(batch);
+                stats.storedSize += this.backend.read(batch)?.length ?? 0;
+            }
+
+            stats.size += info.size;
+            stats.compressedSize += info.compressedSize;
+        }
+
+        stats.ratio = stats.size ? stats.compressedSize / stats.size : 1;
+        return stats;
+    }
+
+    // ========================================================================
+    // Public API - Namespaces
+    // ========================================================================
+
+    /**
+     * Returns a child store scoped to a namespace.
+     * 
+     * The child stores keys under `prefix + name + ':'`, so its clean(), keys(),
+     * scan() and sweepExpired() only see that namespace. It shares this
+     * instance's class registry, so classes registered on either side are
+     * known to both. Namespaces nest.
+     * 
+     * Note that the parent still sees namespaced keys, since they share its prefix.
+     * 
+     * @param {string} name - Namespace name
+     * @returns {SuperLocalStorage} Scoped child store
+     * @throws {Error} If name is not a non-empty string
+     * 
+     * @example
+     * const users = superLs.namespace('users');
+     * users.set('alice', profile);  // Stored as '__sls__users:alice'
+     * 
+     * const cart = superLs.ns('tenant:42').ns('cart');
+     * cart.clean(); // Only removes '__sls__tenant:42:cart:*'
+     */
+    namespace(name) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Invalid namespace: expected a non-empty string');
+        }
+
+        const child = new SuperLocalStorage({ ...this.options, prefix: this.prefix + name + NAMESPACE_SEPARATOR });
+        child.registry = this.registry;
+        child.constructors = this.constructors;
+        child.backend = this.backend;
+        child.runtime = this.runtime;
+        child.watchers = this.watchers;
+        child.revisions = this.revisions;
+        child.warnedConstructors = this.warnedConstructors;
+        return child;
+    }
+
+    /**
+     * Shorthand for namespace()
+     * @param {string} name - Namespace name
+     * @returns {SuperLocalStorage} Scoped child store
+     */
+    ns(name) {
+        return this.namespace(name);
+    }
+
+    // ========================================================================
+    // Public API - Change Subscriptions
+    // ========================================================================
+
+    /**
+     * Subscribes to changes of a key or of every key matching a glob pattern.
+     * 
+     * The callback runs after set(), remove(), clean() and TTL expiry performed
+     * through this instance, its parent or its namespaces. Changes made on other
+     * Titan threads are picked up by poll().
+     * 
+     * @param {string} keyOrGlob - Key or glob pattern (`*`, `?`), relative to this instance's prefix
+     * @param {WatchCallback} callback - Listener receiving `{ key, type, oldValue, newValue }`
+     * @returns {function(): void} Function that removes this subscription
+     * @throws {Error} If callback is not a function
+     * 
+     * @example
+     * const stop = superLs.watch('settings:*', ({ key, type, newValue }) => {
+     *     settingsView.invalidate(key);
+     * });
+     * 
+     * superLs.set('settings:theme', 'dark'); // Listener runs
+     * stop();
+     */
+    watch(keyOrGlob, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Invalid watch callback: expected a function');
+        }
+
+        const watcher = {
+            pattern: keyOrGlob,
+            prefix: this.prefix,
+            matcher: globToRegExp(keyOrGlob),
+            callback
+        };
+
+        this.watchers.push(watcher);
+        this._snapshotRevisions(watcher);
+
+        return () => this._removeWatchers((w) => w === watcher);
+    }
+
+    /**
+     * Removes subscriptions created with watch().
+     * 
+     * @param {string} keyOrGlob - Key or pattern exactly as passed to watch()
+     * @param {WatchCallback} [callback] - Only remove this listener; omit to remove all listeners of the pattern
+     * @returns {void}
+     * 
+     * @example
+     * superLs.unwatch('settings:*', onSettingsChange);
+     */
+    unwatch(keyOrGlob, callback) {
+        this._removeWatchers((w) =>
+            w.prefix === this.prefix &&
+            w.pattern === keyOrGlob &&
+            (callback === undefined || w.callback === callback)
+        );
+    }
+
+    /**
+     * Checks watched keys for changes made outside this thread.
+     * 
+     * Only entry headers are read: a key is reported when its revision differs
+     * from the last one seen, or when it disappeared. Call it wherever fresh data
+     * matters, e.g. at the start of each request. A changed entry that cannot
+     * be read is reported through the logger and skipped until it changes again.
+     * 
+     * @returns {number} Number of change events emitted
+     * 
+     * @example
+     * export const getSettings = (req) => {
+     *     superLs.poll(); // Invalidates cached views if another thread changed them
+     *     return settingsView.current();
+     * };
+     */
+    poll() {
+        if (this.watchers.length === 0) {
+            return 0;
+        }
+
+        const now = Date.now();
+        const present = new Set();
+        let changes = 0;
+
+        for (const rawKey of this.backend.list()) {
+            if (!this._isWatched(rawKey)) {
+                continue;
+            }
+
+            const entry = this._readRawEntry(rawKey);
+            if (!entry) {
+                continue;
+            }
+
+            if (isExpired(entry.header, now)) {
+                this._removeRaw(rawKey, entry, 'expire');
+                changes++;
+                continue;
+            }
+
+            present.add(rawKey);
+            const revision = revisionOf(entry.header);
+
+            if (this.revisions.get(rawKey) === revision) {
+                continue;
+            }
+
+            let value;
+            try {
+                value = this._decodeEntry(rawKey, entry);
+            } catch (error) {
+                // Record the revision anyway, so later polls do not fail on the same entry
+                this.revisions.set(rawKey, revision);
+                this.logger.warn(`[super-ls] Cannot read changed key '${this._stripPrefix(rawKey)}': ${error?.message ?? error}`);
+                continue;
+            }
+            this._notify(rawKey, 'set', null, value, revision);
+            changes++;
+        }
+
+        for (const rawKey of [...this.revisions.keys()]) {
+            if (!present.has(rawKey)) {
+                this._notify(rawKey, 'remove', null);
+                changes++;
+            }
+        }
+
+        return changes;
+    }
+
+    // ========================================================================
+    // Public API - Key Enumeration
+    // ========================================================================
+
+    /**
+     * Returns every key stored by this instance, with the prefix removed.
+     * 
+     * For large stores prefer scan(), which pages through keys without
+     * building the whole list.
+     * 
+     * @returns {string[]} Keys belonging to this instance
+     * 
+     * @example
+     * superLs.set('a', 1);
+     * superLs.set('b', 2);
+     * superLs.keys(); // ['a', 'b']
+     */
+    keys() {
+        const keys = [];
+        for (const rawKey of this.backend.list()) {
+            const key = this._stripPrefix(rawKey);
+            if (key !== null) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Returns every value stored by this instance, decoded through get().
+     * 
+     * @returns {any[]} Values belonging to this instance
+     */
+    values() {
+        return this.keys().map((key) => this.get(key));
+    }
+
+    /**
+     * Returns every [key, value] pair stored by this instance.
+     * Keys have the prefix removed and values are decoded through get().
+     * 
+     * @returns {Array<[string, any]>} Entries belonging to this instance
+     * 
+     * @example
+     * for (const [key, value] of superLs.entries()) {
+     *     t.log(key, value);
+     * }
+     */
+    entries() {
+        return this.keys().map((key) => [key, this.get(key)]);
+    }
+
+    /**
+     * Counts the keys stored by this instance.
+     * 
+     * @returns {number} Number of keys with the instance prefix
+     */
+    size() {
+        let count = 0;
+        for (const rawKey of this.backend.list()) {
+            if (rawKey.startsWith(this.prefix) && !isInternalKey(rawKey)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Iterates keys page by page using a cursor.
+     * 
+     * Keys come in sorted order. Start with cursor null (or omit it) and pass
+     * the returned cursor - the last key of the page - to the next call until
+     * it comes back as null; each page resumes at the first key after it.
+     * No key is reported twice, and keys present for the whole scan are never
+     * skipped. A key written during a scan is reported only if it sorts after
+     * the cursor; a key removed before its page is read is not reported.
+     * Each page lists the backend, so prefer large pages for large stores;
+     * only the keys of the page are kept and sorted.
+     * 
+     * @param {ScanOptions} [options={}] - Cursor, page size and glob filter
+     * @returns {ScanResult} Keys in this page and the cursor for the next one
+     * @throws {Error} If the cursor is neither null nor a string, or the limit is not a positive integer
+     * 
+     * @example
+     * let cursor = null;
+     * do {
+     *     const page = superLs.scan({ cursor, limit: 500, match: 'user:*' });
+     *     page.keys.forEach((key) => process(superLs.get(key)));
+     *     cursor = page.cursor;
+     * } while (cursor !== null);
+     */
+    scan({ cursor = null, limit = DEFAULT_SCAN_LIMIT, match = null } = {}) {
+        if (cursor !== null && typeof cursor !== 'string') {
+            throw new Error('Invalid scan cursor: expected null or the cursor returned by the previous scan()');
+        }
+        if (!Number.isSafeInteger(limit) || limit < 1) {
+            throw new Error('Invalid scan limit: expected a positive integer');
+        }
+
+        // One key past the page tells whether another page follows
+        const matcher = match ? globToRegExp(match) : null;
+        const keys = smallestStrings(this._keysAfter(cursor, matcher), limit + 1);
+        if (keys.length <= limit) {
+            return { keys, cursor: null };
+        }
+
+        keys.pop();
+        return { keys, cursor: keys[keys.length - 1] };
+    }
+
+    // ========================================================================
+    // Public API - Export and Import
+    // ========================================================================
+
+    /**
+     * Exports entries of this instance as a versioned JSON document.
+     * 
+     * Unlike stored payloads, the document does not depend on V8's wire format:
+     * it can be read, diffed and imported on another machine or Titan version.
+     * Map, Set, Date, BigInt, RegExp, binary data and registered classes are
+     * written as tagged objects, and shared or circular references within a
+     * value as `$id`/`$ref` pairs. Types registered elsewhere are exported as
+     * stored, whatever onUnknownType says. Expired entries are left out.
+     * 
+     * @param {ExportOptions} [options={}] - Glob filter
+     * @returns {ExportDocument} Plain object, ready for JSON.stringify()
+     * @throws {SerializationError} If a stored value no longer serializes (e.g. a dehydrate function throws)
+     * 
+     * @example
+     * const backup = JSON.stringify(superLs.exportAll({ match: 'user:*' }), null, 2);
+     */
+    exportAll({ match = null } = {}) {
+        const matcher = match ? globToRegExp(match) : null;
+        const batches = new Map();
+        const entries = [];
+
+        for (const key of this.keys().sort()) {
+            if (matcher && !matcher.test(key)) {
+                continue;
+            }
+
+            const entry = this._readEntry(key);
+            if (!entry) {
+                continue;
+            }
+
+            const value = this._decodeEntry(this.prefix + key, entry, { preserveUnknown: true }, batches);
+            const exported = { key, value: toPortableJson(this._serializeRoot(value), this.runtime) };
+            if (entry.header.expiresAt !== undefined) {
+                exported.expiresAt = entry.header.expiresAt;
+            }
+            entries.push(exported);
+        }
+
+        return { format: EXPORT_FORMAT, version: EXPORT_VERSION, entries };
+    }
+
+    /**
+     * Imports a document written by exportAll().
+     * 
+     * Every entry is decoded and serialized before the first write, so an
+     * invalid document leaves storage untouched. Entries get a new revision
+     * and notify watchers like set(); expiration times are kept, and entries
+     * that expired since the export are skipped. Class data goes through
+     * migrations of the registered version like any stored value.
+     * 
+     * @param {ExportDocument|string} doc - Document, or its JSON text
+     * @param {ImportOptions} [options={}] - Whether other keys of this instance are kept
+     * @returns {number} Number of entries imported
+     * @throws {Error} If the mode or document is invalid, or the document is newer than this version reads
+     * 
+     * @example
+     * superLs.importAll(fs.readFileSync('backup.json', 'utf8'), { mode: 'replace' });
+     */
+    importAll(doc, { mode = 'merge' } = {}) {
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error(`Invalid import mode '${mode}': expected 'merge' or 'replace'`);
+        }
+
+        const document = typeof doc === 'string' ? JSON.parse(doc) : doc;
+        if (document?.format !== EXPORT_FORMAT || !Array.isArray(document.entries)) {
+            throw new Error(`Invalid export document: expected format '${EXPORT_FORMAT}' with an entries array`);
+        }
+        if (!Number.isInteger(document.version) || document.version > EXPORT_VERSION) {
+            throw new Error(`Cannot import export version ${document.version}: expected ${EXPORT_VERSION} or lower`);
+        }
+
+        const now = Date.now();
+        const writes = [];
+
+        for (const { key, value, expiresAt: storedExpiry } of document.entries) {
+            if (typeof key !== 'string') {
+                throw new Error('Invalid export document: every entry needs a string key');
+            }
+            const expiresAt = storedExpiry ?? undefined;
+            if (isExpired({ expiresAt }, now)) {
+                continue;
+            }
+
+            const restored = this._rehydrate(fromPortableJson(value, this.runtime), new WeakMap(), {
+                escapedKeys: true,
+                preserveUnknown: true
+            });
+            writes.push({ key, value: restored, expiresAt, ...this._encodePayload(restored) });
+        }
+
+        if (mode === 'replace') {
+            this.clean();
+        }
+
+        for (const { key, value, expiresAt, bytes, fields } of writes) {
+            this._commit(key, this._readRawEntry(this.prefix + key), value, bytes, { expiresAt, ...fields });
+        }
+
+        return writes.length;
+    }
+
+    // ========================================================================
+    // Public API - Temporary Storage (In-Memory, Current Thread Only)
+    // ========================================================================
+
+    /**
+     * Stores a value in temporary memory storage (current V8 thread only).
+     * 
+     * This is useful for caching expensive computations within a single request/action.
+     * Data does NOT persist across different requests or threads.
+     * 
+     * Uses native V8 serialization for complex objects.
+     * 
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store
+     * 
+     * @example
+     * // Cache expensive computation for reuse in same request
+     * superLs.setTemp('computed_data', heavyComputation());
+     * 
+     * // Later in the same request...
+     * const data = superLs.getTemp('computed_data'); // Fast retrieval
+     */
+    setTemp(key, value) {
+        this.runtime.setObject(this.prefix + key, value);
+    }
+
+    /**
+     * Retrieves a value from temporary memory storage (current V8 thread only).
+     * 
+     * Returns the value if it exists in the current thread's memory,
+     * or undefined if not found.
+     * 
+     * @template T
+     * @param {string} key - Storage key
+     * @returns {T|undefined} The stored value or undefined
+     * 
+     * @example
+     * const cached = superLs.getTemp('computed_data');
+     * if (cached) {
+     *     // Use cached value
+     * }
+     */
+    getTemp(key) {
+        return this.runtime.getObject(this.prefix + key);
+    }
+
+    /**
+     * Checks if a key exists in temporary storage and retrieves it, 
+     * or computes and stores it if not present.
+     * 
+     * Similar to resolve() but for temporary in-memory storage.
      * 
-     * @param {ClassConstructor} ClassRef - The class constructor to register
-     * @param {HydrateFunction|string} [hydrateOrTypeName=null] - Hydrate function or custom type name
-     * @param {string} [typeName=null] - Custom type name when hydrate function is provided
-     * @throws {Error} If ClassRef is not a function/class
+     * @template T
+     * @param {string} key - Storage key
+     * @param {function(): T} resolver - Function that computes the value if not cached
+     * @returns {T} The cached or newly computed value
      * 
      * @example
-     * // Basic registration (uses default constructor + Object.assign)
-     * superLs.register(Player);
+     * // Memoize expensive operation within current request
+     * const result = superLs.resolveTemp('expensive_calc', () => {
+     *     return performExpensiveCalculation();
+     * });
+     */
+    resolveTemp(key, resolver) {
+        const value = this.getTemp(key);
+
+        if (value !== undefined) {
+            return value;
+        }
+
+        const resolvedValue = resolver();
+        this.setTemp(key, resolvedValue);
+        return resolvedValue;
+    }
+
+    // ========================================================================
+    // Public API - Direct Serialization Utilities
+    // ========================================================================
+
+    /**
+     * Serializes any JavaScript value to a Uint8Array using native V8 serialization.
+     * 
+     * Useful when you need the raw bytes for custom storage or transmission.
+     * 
+     * @param {any} value - Value to serialize
+     * @returns {Uint8Array} Serialized bytes
+     * @throws {SerializationError} If the value holds something that cannot be stored
      * 
      * @example
-     * // Registration with hydrate function
-     * superLs.register(Player, (data) => new Player(data.name, data.score));
+     * const bytes = superLs.serialize({ complex: new Map([['a', 1]]) });
+     * // Send bytes over network, store in custom location, etc.
+     */
+    serialize(value) {
+        const payload = this._serializeRoot(value);
+        return this.runtime.serialize(payload);
+    }
+
+    /**
+     * Deserializes a Uint8Array back to the original JavaScript value.
+     * 
+     * Automatically rehydrates registered class instances. For bytes from
+     * outside the process, pass `allowedTypes` so only the listed types can
+     * be hydrated; keys such as `__proto__` are always kept as plain data.
+     * 
+     * @template T
+     * @param {Uint8Array} bytes - Serialized bytes
+     * @param {DeserializeOptions} [options={}] - Allowlist of hydratable types
+     * @returns {T} Deserialized and rehydrated value
+     * @throws {Error} If the bytes hold a type outside allowedTypes, or class data with an unsafe key
      * 
      * @example
-     * // Registration with hydrate function and custom type name
-     * superLs.register(Player, (data) => new Player(data.name, data.score), 'GamePlayer');
+     * const value = superLs.deserialize(bytes);
      * 
      * @example
-     * // Registration with only custom type name
-     * superLs.register(Player, 'GamePlayer');
+     * // Bytes received over the network
+     * const order = superLs.deserialize(body, { allowedTypes: [Order, LineItem] });
      */
-    register(ClassRef, hydrateOrTypeName = null, typeName = null) {
-        if (typeof ClassRef !== 'function') {
-            throw new Error('Invalid class: expected a constructor function');
+    deserialize(bytes, { allowedTypes } = {}) {
+        const parsed = this.runtime.deserialize(bytes);
+        const context = { escapedKeys: true };
+
+        if (allowedTypes) {
+            context.allowedTypes = new Set(allowedTypes.map((type) =>
+                typeof type === 'function' ? this.constructors.get(type) ?? type.name : type
+            ));
         }
 
-        let hydrate = null;
-        let finalTypeName = null;
+        return this._rehydrate(parsed, new WeakMap(), context);
+    }
 
-        if (typeof hydrateOrTypeName === 'function') {
-            hydrate = hydrateOrTypeName;
-            finalTypeName = typeName || ClassRef.name;
-        } else if (typeof hydrateOrTypeName === 'string') {
-            finalTypeName = hydrateOrTypeName;
-        } else {
-            finalTypeName = ClassRef.name;
+    /**
+     * Lists everything in a value that cannot be stored, without writing anything.
+     * 
+     * Runs the same checks as set(), which throws on the first problem.
+     * Dehydrate functions and @serializeAs converters are called as when storing.
+     * 
+     * @param {any} value - Value to check
+     * @returns {SerializationError[]} One error per unsupported value (empty if the value can be stored)
+     * 
+     * @example
+     * for (const problem of superLs.validate(state)) {
+     *     t.log(`${problem.path}: ${problem.valueType} (${problem.suggestion})`);
+     * }
+     */
+    validate(value) {
+        const problems = [];
+        this._toSerializable(value, new WeakMap(), 'root', { problems });
+        return problems;
+    }
+
+    // ========================================================================
+    // Private Methods - Entry Storage
+    // ========================================================================
+
+    /**
+     * Reads and decodes the envelope stored under a key.
+     * Expired entries are removed and reported as missing.
+     * @param {string} key - Storage key (without prefix)
+     * @returns {StoredEntry|null} Decoded entry, or null if missing or expired
+     * @private
+     */
+    _readEntry(key) {
+        const rawKey = this.prefix + key;
+        const entry = this._readRawEntry(rawKey);
+
+        if (!entry) {
+            return null;
         }
 
-        // Store locally for class detection during serialization
-        this.registry.set(finalTypeName, {
-            Constructor: ClassRef,
-            hydrate
-        });
+        if (isExpired(entry.header)) {
+            this._removeRaw(rawKey, entry, 'expire');
+            return null;
+        }
 
-        // Delegate to nativet.ls.register() for hydration support
-        t.ls.register(ClassRef, hydrate, finalTypeName);
+        return entry;
     }
 
     /**
-     * Stores a value in localStorage with full type preservation.
+     * Reads and decodes the envelope stored under a raw key, ignoring expiration
+     * @param {string} rawKey - Key as stored in t.ls
+     * @returns {StoredEntry|null} Decoded entry, or null if missing
+     * @private
+     */
+    _readRawEntry(rawKey) {
+        const raw = this.backend.read(rawKey);
+        return raw ? decodeEnvelope(raw) : null;
+    }
+
+    /**
+     * Removes a raw key, notifies watchers and releases the batch blob it referenced, if any
+     * @param {string} rawKey - Key as stored in t.ls
+     * @param {StoredEntry|null} entry - Entry stored under the key
+     * @param {ChangeType} type - Change reported to watchers
+     * @private
+     */
+    _removeRaw(rawKey, entry, type) {
+        this.backend.delete(rawKey);
+
+        if (!entry) {
+            return;
+        }
+
+        this._notify(rawKey, type, entry);
+
+        if (entry.header.batch) {
+            this._releaseBatch(entry.header.batch);
+        }
+    }
+
+    /**
+     * Writes a new revision of a key and notifies watchers
+     * @param {string} key - Storage key (without prefix)
+     * @param {StoredEntry|null} previous - Entry currently stored under the key
+     * @param {any} value - Value being stored (passed to watchers)
+     * @param {Uint8Array|null} bytes - Encoded value (null for batch references)
+     * @param {Partial<EntryHeader>} [fields={}] - Extra header fields (expiresAt, batch, index)
+     * @private
+     */
+    _commit(key, previous, value, bytes, fields = {}) {
+        const header = {
+            v: ENVELOPE_VERSION,
+            revision: previous ? revisionOf(previous.header) + 1 : 1
+        };
+
+        for (const [name, field] of Object.entries(fields)) {
+            if (field !== undefined) {
+                header[name] = field;
+            }
+        }
+
+        this._writeEntry(key, header, bytes);
+
+        const live = previous && !isExpired(previous.header) ? previous : null;
+        this._notify(this.prefix + key, 'set', live, value, header.revision);
+
+        if (previous?.header.batch) {
+            this._releaseBatch(previous.header.batch);
+        }
+    }
+
+    /**
+     * Writes an envelope under a key
+     * @param {string} key - Storage key (without prefix)
+     * @param {EntryHeader} header - Entry metadata
+     * @param {Uint8Array|null} bytes - Encoded value (null for batch references)
+     * @private
+     */
+    _writeEntry(key, header, bytes) {
+        const rawKey = this.prefix + key;
+        this.backend.write(rawKey, this._formatEntry(rawKey, header, bytes));
+    }
+
+    /**
+     * Builds the storage string of an entry: seals its bytes when encryption is on
+     * (batch references get an empty sealed payload, so their header is
+     * authenticated too) and prepends the header
+     * @param {string} rawKey - Key the entry is stored under
+     * @param {EntryHeader} header - Entry metadata (keyId is set here)
+     * @param {Uint8Array|null} bytes - Encoded value (null for batch references)
+     * @returns {string} Storage string
+     * @private
+     */
+    _formatEntry(rawKey, header, bytes) {
+        if (!this.encryption) {
+            return encodeEnvelope(header, bytes ? this.runtime.toBase64(bytes) : '');
+        }
+
+        const sealedHeader = { ...header, keyId: this.encryption.active };
+        return encodeEnvelope(sealedHeader, this._sealBytes(bytes ?? new Uint8Array(0), payloadAad(rawKey, sealedHeader)));
+    }
+
+    /**
+     * Serializes and compresses a value; the bytes are sealed when the entry is written
+     * @param {any} value - Value to encode
+     * @param {string} [path='root'] - JS path reported for the value in errors
+     * @returns {EncodedPayload} Encoded bytes and the header fields describing them
+     * @throws {SerializationError} If the value holds something that cannot be stored
+     * @private
+     */
+    _encodePayload(value, path = 'root') {
+        const payload = this._serializeRoot(value, path);
+        return this._compressBytes(this.runtime.serialize(payload));
+    }
+
+    /**
+     * Decodes a Base64-encoded V8 payload back to a rehydrated value
+     * @param {string} rawKey - Key the payload is stored under
+     * @param {string} payload - Base64 payload
+     * @param {EntryHeader} header - Header stored with the payload
+     * @param {RehydrateContext} [context={}] - Per-call rehydration state
+     * @returns {any} Rehydrated value
+     * @private
+     */
+    _decodePayload(rawKey, payload, header, context = {}) {
+        return this._decodeBytes(this._openBytes(rawKey, payload, header), header, context);
+    }
+
+    /**
+     * Decodes bytes produced by _encodePayload() back to a rehydrated value
+     * @param {Uint8Array} bytes - Encoded bytes (already decrypted)
+     * @param {EntryHeader} header - Header describing the bytes
+     * @param {RehydrateContext} [context={}] - Per-call rehydration state
+     * @returns {any} Rehydrated value
+     * @private
+     */
+    _decodeBytes(bytes, header, context = {}) {
+        const parsed = this.runtime.deserialize(this._decompressBytes(bytes, header));
+        context.escapedKeys = header.v >= ESCAPED_KEYS_VERSION;
+        return this._rehydrate(parsed, new WeakMap(), context);
+    }
+
+    /**
+     * Compresses serialized bytes when compression is on, they reach the threshold
+     * and compressing actually makes them smaller
+     * @param {Uint8Array} bytes - Serialized bytes
+     * @returns {{bytes: Uint8Array, fields: Partial<EntryHeader>}} Bytes to store and the header fields describing them
+     * @private
+     */
+    _compressBytes(bytes) {
+        if (!this.compression || bytes.length < this.compression.threshold) {
+            return { bytes, fields: {} };
+        }
+
+        const { codec } = this.compression;
+        const compressed = codec.compress(bytes);
+        if (compressed.length >= bytes.length) {
+            return { bytes, fields: {} };
+        }
+
+        return { bytes: compressed, fields: { compression: codec.name, rawSize: bytes.length } };
+    }
+
+    /**
+     * Restores bytes compressed by _compressBytes(), using the codec recorded in the header
+     * @param {Uint8Array} bytes - Stored bytes (already decrypted)
+     * @param {EntryHeader} header - Header stored with the payload
+     * @returns {Uint8Array} Serialized bytes
+     * @throws {Error} If the codec is unknown
+     * @private
+     */
+    _decompressBytes(bytes, header) {
+        if (header.compression === undefined) {
+            return bytes;
+        }
+
+        const codec = this.compression?.codec.name === header.compression
+            ? this.compression.codec
+            : BUILTIN_CODECS.get(header.compression);
+        if (!codec) {
+            throw new Error(`Cannot decompress entry: compression algorithm '${header.compression}' is not configured`);
+        }
+
+        return codec.decompress(bytes, header.rawSize);
+    }
+
+    /**
+     * Encrypts serialized bytes with the active key and Base64-encodes them.
+     * Encrypted payloads are `nonce || ciphertext || tag`.
+     * @param {Uint8Array} bytes - Serialized bytes
+     * @param {Uint8Array} [aad] - Additional authenticated data, from payloadAad()
+     * @returns {string} Base64 payload
+     * @private
+     */
+    _sealBytes(bytes, aad) {
+        const { keys, active, randomBytes } = this.encryption;
+        const nonce = randomBytes(NONCE_LENGTH);
+        const sealed = seal(keys.get(active), nonce, bytes, aad);
+        const out = new Uint8Array(NONCE_LENGTH + sealed.length);
+        out.set(nonce, 0);
+        out.set(sealed, NONCE_LENGTH);
+
+        return this.runtime.toBase64(out);
+    }
+
+    /**
+     * Base64-decodes a payload and decrypts it with the key recorded in its header
+     * @param {string} rawKey - Key the payload is stored under
+     * @param {string} payload - Base64 payload
+     * @param {EntryHeader} header - Header stored with the payload
+     * @returns {Uint8Array} Serialized bytes
+     * @throws {Error} If the key is unknown or the payload fails authentication
+     * @private
+     */
+    _openBytes(rawKey, payload, header) {
+        const bytes = this.runtime.fromBase64(payload);
+
+        if (header.keyId === undefined) {
+            return bytes;
+        }
+
+        const key = this.encryption?.keys.get(header.keyId);
+        if (!key) {
+            throw new Error(`Cannot decrypt entry: encryption key '${header.keyId}' is not configured`);
+        }
+
+        return open(key, bytes.subarray(0, NONCE_LENGTH), bytes.subarray(NONCE_LENGTH), payloadAad(rawKey, header));
+    }
+
+    /**
+     * Decodes the value of a stored entry, following batch references
+     * @param {string} rawKey - Key the entry is stored under
+     * @param {StoredEntry} entry - Entry to decode
+     * @param {RehydrateContext} [context={}] - Per-call rehydration state
+     * @param {Map<string, any[]>} [batches=new Map()] - Batch blobs already decoded in this call
+     * @returns {any} Rehydrated value, or null if the batch blob is gone
+     * @throws {Error} If an encrypted entry fails authentication
+     * @private
+     */
+    _decodeEntry(rawKey, entry, context = {}, batches = new Map()) {
+        const { batch, index } = entry.header;
+
+        if (!batch) {
+            return this._decodePayload(rawKey, entry.payload, entry.header, context);
+        }
+
+        // Authenticates the reference itself, so it cannot be copied under another key
+        if (entry.header.keyId !== undefined) {
+            this._openBytes(rawKey, entry.payload, entry.header);
+        }
+
+        if (!batches.has(batch)) {
+            const blob = this._readRawEntry(batch);
+            batches.set(batch, blob ? this._decodePayload(batch, blob.payload, blob.header, context) : null);
+        }
+
+        const values = batches.get(batch);
+        return values ? values[index] : null;
+    }
+
+    /**
+     * Builds the inspect() description of an entry
+     * @param {string} key - Storage key (without prefix)
+     * @param {StoredEntry} entry - Entry stored under the key
+     * @returns {EntryInfo} Entry details
+     * @private
+     */
+    _describeEntry(key, entry) {
+        const { header } = entry;
+        const holder = header.batch ? this._readRawEntry(header.batch) : entry;
+        const payloadHeader = holder?.header ?? {};
+        const storedBytes = holder ? base64ByteLength(holder.payload) : 0;
+        const compressedSize = payloadHeader.keyId === undefined ? storedBytes : storedBytes - ENCRYPTION_OVERHEAD;
+        const size = payloadHeader.compression === undefined ? compressedSize : payloadHeader.rawSize;
+
+        return {
+            key,
+            revision: revisionOf(header),
+            expiresAt: header.expiresAt ?? null,
+            batched: Boolean(header.batch),
+            compression: payloadHeader.compression ?? null,
+            keyId: payloadHeader.keyId ?? null,
+            size,
+            compressedSize,
+            storedSize: header.v === 0 ? entry.payload.length : encodeEnvelope(header, entry.payload).length,
+            ratio: size ? compressedSize / size : 1
+        };
+    }
+
+    /**
+     * Drops one reference to a batch blob, deleting the blob once no entry uses it.
      * 
-     * Uses native V8 serialization for optimal performance.
-     * Supports: primitives, objects, arrays, Map, Set, Date, RegExp,
-     * TypedArrays, BigInt, circular references, undefined, NaN, Infinity,
-     * and registered class instances.
+     * A lost decrement (two threads releasing at once) only leaves the count
+     * too high, so the blob may leak but is never deleted while still referenced.
      * 
-     * @param {string} key - Storage key
-     * @param {any} value - Value to store
+     * @param {string} batchKey - Raw key of the batch blob
+     * @private
+     */
+    _releaseBatch(batchKey) {
+        const refsKey = batchKey + BATCH_REFS_SUFFIX;
+        const refs = Number(this.backend.read(refsKey));
+
+        if (refs > 1) {
+            this.backend.write(refsKey, String(refs - 1));
+            return;
+        }
+
+        this.backend.delete(batchKey);
+        this.backend.delete(refsKey);
+    }
+
+    // ========================================================================
+    // Private Methods - Transactions
+    // ========================================================================
+
+    /**
+     * Commits staged transaction writes through a journal.
      * 
-     * @example
-     * // Store various types
-     * superLs.set('map', new Map([['key', 'value']]));
-     * superLs.set('set', new Set([1, 2, 3]));
-     * superLs.set('date', new Date());
-     * superLs.set('bigint', BigInt('9007199254740991000'));
+     * Values were serialized when they were staged; here they are only sealed
+     * and written. Batch blobs referenced by replaced entries are
+     * only released after the journal is gone, so a rollback never restores a
+     * reference to a deleted blob.
      * 
-     * @example
-     * // Store circular references
-     * const obj = { name: 'circular' };
-     * obj.self = obj;
-     * superLs.set('circular', obj);
+     * @param {Map<string, StagedOperation>} staged - Staged writes
+     * @private
+     */
+    _commitTransaction(staged) {
+        if (staged.size === 0) {
+            return;
+        }
+
+        const ops = [];
+
+        for (const [key, op] of staged) {
+            const rawKey = this.prefix + key;
+            const previous = this.backend.read(rawKey);
+            const previousEntry = previous ? decodeEnvelope(previous) : null;
+            let next = null;
+
+            if (op.type === 'set') {
+                const header = {
+                    v: ENVELOPE_VERSION,
+                    revision: previousEntry ? revisionOf(previousEntry.header) + 1 : 1
+                };
+
+                if (op.expiresAt !== undefined) {
+                    header.expiresAt = op.expiresAt;
+                }
+
+                next = this._formatEntry(rawKey, { ...header, ...op.fields }, op.bytes);
+            }
+
+            ops.push({ rawKey, previous, next, previousEntry, op });
+        }
+
+        const journalKey = this.prefix + INTERNAL_KEY_MARKER + JOURNAL_KEY_SEGMENT + createBatchId();
+        const journal = ops.map(({ rawKey, previous, next }) => ({ rawKey, previous, next }));
+
+        this.backend.write(journalKey, JSON.stringify({ ops: journal }));
+        this._applyJournal(journal, 'next');
+        this.backend.delete(journalKey);
+
+        for (const { rawKey, next, previousEntry, op } of ops) {
+            const live = previousEntry && !isExpired(previousEntry.header) ? previousEntry : null;
+
+            if (op.type === 'set') {
+                this._notify(rawKey, 'set', live, op.value, revisionOf(decodeEnvelope(next).header));
+            } else if (previousEntry) {
+                this._notify(rawKey, 'remove', previousEntry);
+            }
+        }
+
+        this._releaseReplacedBatches(journal);
+    }
+
+    /**
+     * Writes one side of a journal to storage
+     * @param {JournalOperation[]} ops - Journal operations
+     * @param {'previous'|'next'} state - Which stored strings to write
+     * @private
      */
-    set(key, value) {
-        const payload = this._toSerializable(value);
-        const bytes = t.ls.serialize(payload);
-        const base64 = t.bugger.toBase64(bytes);
-        t.ls.set(this.prefix + key, base64);
+    _applyJournal(ops, state) {
+        for (const op of ops) {
+            if (op[state] === null) {
+                this.backend.delete(op.rawKey);
+            } else {
+                this.backend.write(op.rawKey, op[state]);
+            }
+        }
     }
 
     /**
-     * Retrieves a value from localStorage with full type restoration.
-     * 
-     * All types are automatically restored to their original form,
-     * including registered class instances with working methods.
-     * 
-     * @template T
-     * @param {string} key - Storage key
-     * @returns {T|null} The stored value with types restored, or null if key doesn't exist
-     * 
-     * @example
-     * const settings = superLs.get('user_settings');
-     * if (settings) {
-     *     t.log(settings.get('theme')); // Map methods work
-     * }
+     * Releases batch blobs referenced by entries a committed journal replaced
+     * @param {JournalOperation[]} ops - Journal operations
+     * @private
      */
-    get(key) {
-        const raw = t.ls.get(this.prefix + key);
-
-        if (!raw) {
-            return null;
+    _releaseReplacedBatches(ops) {
+        for (const { previous } of ops) {
+            const batch = previous ? decodeEnvelope(previous).header.batch : undefined;
+            if (batch) {
+                this._releaseBatch(batch);
+            }
         }
+    }
+
+    // ========================================================================
+    // Private Methods - Change Notification
+    // ========================================================================
 
-        const bytes = t.bugger.fromBase64(raw);
-        const parsed = t.ls.deserialize(bytes);
-        return this._rehydrate(parsed, new WeakMap());
+    /**
+     * Checks if any watcher matches a raw key
+     * @param {string} rawKey - Key as stored in t.ls
+     * @returns {boolean} True if at least one watcher matches
+     * @private
+     */
+    _isWatched(rawKey) {
+        return this.watchers.some((w) => this._matchWatcher(w, rawKey) !== null);
     }
 
     /**
-     * Removes a value from localStorage.
-     * 
-     * @param {string} key - Storage key to remove
-     * @returns {void}
-     * 
-     * @example
-     * superLs.set('temp_data', { foo: 'bar' });
-     * superLs.remove('temp_data');
-     * superLs.get('temp_data'); // null
+     * Matches a raw key against a watcher
+     * @param {Watcher} watcher - Watcher to test
+     * @param {string} rawKey - Key as stored in t.ls
+     * @returns {string|null} Key relative to the watcher's prefix, or null if it does not match
+     * @private
      */
-    remove(key) {
-        t.ls.remove(this.prefix + key);
+    _matchWatcher(watcher, rawKey) {
+        if (!rawKey.startsWith(watcher.prefix) || isInternalKey(rawKey)) {
+            return null;
+        }
+
+        const key = rawKey.slice(watcher.prefix.length);
+        return watcher.matcher.test(key) ? key : null;
     }
 
     /**
-     * Clears all values from localStorage.
-     * 
-     * @returns {void}
-     * 
-     * @example
-     * superLs.set('key1', 'value1');
-     * superLs.set('key2', 'value2');
-     * superLs.clean();
-     * // All keys are now removed
+     * Records the current revision of every key a new watcher matches,
+     * so the next poll() only reports later changes
+     * @param {Watcher} watcher - Newly registered watcher
+     * @private
      */
-    clean() {
-        t.ls.clear();
+    _snapshotRevisions(watcher) {
+        for (const rawKey of this.backend.list()) {
+            if (this._matchWatcher(watcher, rawKey) !== null && !this.revisions.has(rawKey)) {
+                const entry = this._readRawEntry(rawKey);
+                if (entry) {
+                    this.revisions.set(rawKey, revisionOf(entry.header));
+                }
+            }
+        }
     }
 
     /**
-     * Checks if a key exists in localStorage and contains a valid value.
-     * 
-     * @param {string} key - Storage key to check
-     * @returns {boolean} True if the key exists and contains a non-null, non-undefined value
-     * 
-     * @example
-     * superLs.set('user', { name: 'Alice' });
-     * superLs.has('user'); // true
-     * superLs.has('nonexistent'); // false
+     * Removes watchers matching a predicate and forgets revisions no longer watched
+     * @param {function(Watcher): boolean} predicate - Selects watchers to remove
+     * @private
      */
-    has(key) {
-        const value = this.get(key);
-        return this._checkIfExistValue(value);
+    _removeWatchers(predicate) {
+        for (let i = this.watchers.length - 1; i >= 0; i--) {
+            if (predicate(this.watchers[i])) {
+                this.watchers.splice(i, 1);
+            }
+        }
+
+        for (const rawKey of [...this.revisions.keys()]) {
+            if (!this._isWatched(rawKey)) {
+                this.revisions.delete(rawKey);
+            }
+        }
     }
 
     /**
-     * Retrieves a value from localStorage, or computes and stores it if not present.
+     * Notifies matching watchers about a change and tracks the key's revision.
      * 
-     * This method implements a "get or create" pattern: if the key exists and contains
-     * a valid value, it returns that value. Otherwise, it calls the resolver function,
-     * stores the result, and returns it.
-     * 
-     * @template T
-     * @param {string} key - Storage key
-     * @param {function(): T} resolver - Function that computes the default value if key doesn't exist
-     * @returns {T} The existing value or the newly resolved and stored value
+     * The previous value is only decoded when a watcher matches, so unwatched
+     * writes pay nothing beyond the match. The change is already stored when
+     * this runs, so nothing here may throw: a previous value that cannot be
+     * decoded (unregistered type, missing key or migration) is reported as
+     * undefined, and a throwing listener is reported and does not prevent the
+     * others from running.
      * 
-     * @example
-     * // Returns existing settings or creates default ones
-     * const settings = superLs.resolve('app_settings', () => ({
-     *     theme: 'dark',
-     *     language: 'en',
-     *     notifications: true
-     * }));
+     * @param {string} rawKey - Key as stored in t.ls
+     * @param {ChangeType} type - What happened to the key
+     * @param {StoredEntry|null} previous - Entry before the change, if any
+     * @param {any} [newValue] - Value after the change
+     * @param {number} [revision] - Revision after the change; omit for removals
+     * @private
      */
-    resolve(key, resolver) {
-        const value = this.get(key);
+    _notify(rawKey, type, previous, newValue, revision) {
+        const matches = [];
+        for (const watcher of this.watchers) {
+            const key = this._matchWatcher(watcher, rawKey);
+            if (key !== null) {
+                matches.push([watcher, key]);
+            }
+        }
 
-        if (this._checkIfExistValue(value)) {
-            return value;
+        if (matches.length === 0) {
+            return;
         }
 
-        const resolvedValue = resolver();
-        this.set(key, resolvedValue);
-        return resolvedValue;
+        if (revision === undefined) {
+            this.revisions.delete(rawKey);
+        } else {
+            this.revisions.set(rawKey, revision);
+        }
+
+        let oldValue;
+        try {
+            oldValue = previous ? this._decodeEntry(rawKey, previous) : undefined;
+        } catch {
+            oldValue = undefined;
+        }
+
+        for (const [watcher, key] of matches) {
+            try {
+                watcher.callback({ key, type, oldValue, newValue });
+            } catch (error) {
+                this.logger.warn(`[super-ls] Watch callback for '${watcher.pattern}' failed: ${error?.stack ?? error}`);
+            }
+        }
     }
 
     // ========================================================================
-    // Public API - Temporary Storage (In-Memory, Current Thread Only)
+    // Private Methods - Serialization
     // ========================================================================
 
     /**
-     * Stores a value in temporary memory storage (current V8 thread only).
-     * 
-     * This is useful for caching expensive computations within a single request/action.
-     * Data does NOT persist across different requests or threads.
-     * 
-     * Uses native V8 serialization for complex objects.
-     * 
-     * @param {string} key - Storage key
-     * @param {any} value - Value to store
-     * 
-     * @example
-     * // Cache expensive computation for reuse in same request
-     * superLs.setTemp('computed_data', heavyComputation());
-     * 
-     * // Later in the same request...
-     * const data = superLs.getTemp('computed_data'); // Fast retrieval
+     * Converts a value to its serializable form. With preserveExtensibility,
+     * the result is wrapped with the integrity level of every locked object,
+     * which only get applied once the whole graph is rehydrated.
+     * @param {any} value - Value to convert
+     * @param {string} [path='root'] - JS path of the value, for errors
+     * @returns {any} Serializable representation of the value
+     * @throws {SerializationError} On the first unsupported value
+     * @private
      */
-    setTemp(key, value) {
-        t.ls.setObject(this.prefix + key, value);
+    _serializeRoot(value, path = 'root') {
+        const seen = new WeakMap();
+        const context = this.options.preserveExtensibility ? { locked: [] } : {};
+        const payload = this._toSerializable(value, seen, path, context);
+
+        if (!context.locked?.length) {
+            return payload;
+        }
+
+        // V8 keeps object identity, so the Map keys are the very objects inside the payload
+        const levels = new Map(context.locked.map((object) => [seen.get(object) ?? object, integrityOf(object)]));
+        return { [TYPE_MARKER]: INTEGRITY_TYPE, [DATA_MARKER]: { value: payload, levels } };
     }
 
     /**
-     * Retrieves a value from temporary memory storage (current V8 thread only).
-     * 
-     * Returns the value if it exists in the current thread's memory,
-     * or undefined if not found.
+     * Recursively converts values to a serializable format.
      * 
-     * @template T
-     * @param {string} key - Storage key
-     * @returns {T|undefined} The stored value or undefined
+     * V8 natively handles Date, RegExp, TypedArray, circular references.
+     * Registered class instances need special wrapping with metadata, and
+     * values V8 cannot store are reported with their path.
      * 
-     * @example
-     * const cached = superLs.getTemp('computed_data');
-     * if (cached) {
-     *     // Use cached value
-     * }
+     * @param {any} value - Value to convert
+     * @param {WeakMap} [seen=new WeakMap()] - Tracks processed objects for circular reference handling
+     * @param {string} [path='root'] - JS path of the value, for errors
+     * @param {SerializeContext} [context={}] - Per-call serialization state
+     * @returns {any} Serializable representation of the value
+     * @throws {SerializationError} On the first unsupported value, unless context collects problems
+     * @private
      */
-    getTemp(key) {
-        returnt.ls.getObject(this.prefix + key);
+    _toSerializable(value, seen = new WeakMap(), path = 'root', context = {}) {
+        const unsupported = describeUnsupported(value);
+        if (unsupported) {
+            return this._rejectValue(path, unsupported, context);
+        }
+
+        if (isPrimitive(value)) {
+            return value;
+        }
+
+        if (seen.has(value)) {
+            const reference = context.rebuilding?.get(value);
+            if (reference) {
+                return this._rejectValue(path, reference, context);
+            }
+            return seen.get(value);
+        }
+
+        if (context.locked && !Object.isExtensible(value)) {
+            context.locked.push(value);
+        }
+
+        // Preserved instances of unknown types go back exactly as they were read
+        if (value instanceof UnknownTypeEnvelope) {
+            return this._wrapUnknownType(value, seen);
+        }
+
+        // Check registered classes first - wrap with metadata
+        const classWrapper = this._tryWrapRegisteredClass(value, seen, path, context);
+        if (classWrapper) {
+            return classWrapper;
+        }
+
+        // Anything else with its own prototype would come back as a plain object
+        if (this.strict && !isNativeObject(value)) {
+            this._reportUnregistered(value, path, context);
+        }
+
+        // Built-in types V8 would flatten or drop are wrapped like classes
+        const builtinWrapper = this._tryWrapBuiltin(value, seen, path, context);
+        if (builtinWrapper) {
+            return builtinWrapper;
+        }
+
+        // V8 serialize handles these natively - no transformation needed
+        if (this._isV8Native(value)) {
+            return value;
+        }
+
+        // Handle collections that may contain registered classes
+        return this._serializeCollection(value, seen, path, context);
     }
 
     /**
-     * Checks if a key exists in temporary storage and retrieves it, 
-     * or computes and stores it if not present.
-     * 
-     * Similar to resolve() but for temporary in-memory storage.
-     * 
-     * @template T
-     * @param {string} key - Storage key
-     * @param {function(): T} resolver - Function that computes the value if not cached
-     * @returns {T} The cached or newly computed value
-     * 
-     * @example
-     * // Memoize expensive operation within current request
-     * const result = superLs.resolveTemp('expensive_calc', () => {
-     *     return performExpensiveCalculation();
-     * });
+     * Applies the strict option to an instance of an unregistered class
+     * @param {object} value - Instance about to be stored as a plain object
+     * @param {string} path - JS path of the value
+     * @param {SerializeContext} context - Per-call serialization state
+     * @throws {SerializationError} In strict: true mode, unless context collects problems
+     * @private
      */
-    resolveTemp(key, resolver) {
-        const value = this.getTemp(key);
+    _reportUnregistered(value, path, context) {
+        const Constructor = Object.getPrototypeOf(value).constructor;
+        const name = typeof Constructor === 'function' && Constructor.name ? Constructor.name : 'anonymous class';
 
-        if (value !== undefined) {
-            return value;
+        if (this.strict === true) {
+            this._rejectValue(path, {
+                valueType: `${name} instance`,
+                suggestion: `register ${name} so it keeps its prototype, or store a plain object instead`
+            }, context);
+            return;
         }
 
-        const resolvedValue = resolver();
-        this.setTemp(key, resolvedValue);
-        return resolvedValue;
+        // Once per constructor, so a large array of instances does not flood the logger
+        const key = typeof Constructor === 'function' ? Constructor : Object.getPrototypeOf(value);
+        if (context.problems || this.warnedConstructors.has(key)) {
+            return;
+        }
+        this.warnedConstructors.add(key);
+        this.logger.warn(
+            `[super-ls] ${name} instance at ${path} is stored as a plain object: its class is not registered, so it will come back without its prototype`
+        );
     }
 
-    // ========================================================================
-    // Public API - Direct Serialization Utilities
-    // ========================================================================
+    /**
+     * Reports a value that cannot be stored
+     * @param {string} path - JS path of the value
+     * @param {UnsupportedValue} unsupported - Why it cannot be stored
+     * @param {SerializeContext} context - Per-call serialization state
+     * @returns {undefined} Stand-in for the value while collecting problems
+     * @throws {SerializationError} Unless context collects problems
+     * @private
+     */
+    _rejectValue(path, { valueType, suggestion }, context) {
+        const error = new SerializationError(path, valueType, suggestion);
+        if (!context.problems) {
+            throw error;
+        }
+        context.problems.push(error);
+        return undefined;
+    }
 
     /**
-     * Serializes any JavaScript value to a Uint8Array using native V8 serialization.
-     * 
-     * Useful when you need the raw bytes for custom storage or transmission.
-     * 
-     * @param {any} value - Value to serialize
-     * @returns {Uint8Array} Serialized bytes
-     * 
-     * @example
-     * const bytes = superLs.serialize({ complex: new Map([['a', 1]]) });
-     * // Send bytes over network, store in custom location, etc.
+     * Attempts to wrap a registered class instance with type metadata
+     * @param {any} value - Value to check and potentially wrap
+     * @param {WeakMap} seen - Circular reference tracker
+     * @param {string} path - JS path of the value
+     * @param {SerializeContext} context - Per-call serialization state
+     * @returns {SerializedClassWrapper|null} Wrapped class or null if not a registered class
+     * @throws {SerializationError} If requireExactClass is on and only an ancestor of the value's class is registered, unless context collects problems
+     * @private
      */
-    serialize(value) {
-        const payload = this._toSerializable(value);
-        returnt.ls.serialize(payload);
+    _tryWrapRegisteredClass(value, seen, path, context) {
+        const name = this._findRegisteredType(value);
+        if (name === null) {
+            return null;
+        }
+
+        const entry = this.registry.get(name);
+
+        // While validating, the instance is still walked as the ancestor so its fields get checked
+        if (this.options.requireExactClass) {
+            const OwnClass = Object.getPrototypeOf(value).constructor;
+            if (OwnClass !== entry.Constructor) {
+                const ownName = OwnClass?.name || 'anonymous class';
+                this._rejectValue(path, {
+                    valueType: `${ownName} instance`,
+                    suggestion: `its class is not registered, only its ancestor ${name} is; register ${ownName} or turn off requireExactClass`
+                }, context);
+            }
+        }
+
+        const wrapper = {
+            [TYPE_MARKER]: name,
+            [DATA_MARKER]: {}
+        };
+
+        if (entry.version !== DEFAULT_CLASS_VERSION) {
+            wrapper[VERSION_MARKER] = entry.version;
+        }
+
+        seen.set(value, wrapper);
+
+        // hydrate() only gets the instance once its data is rebuilt, so that data cannot refer to it
+        const dehydrate = this._findDehydrate(entry);
+        if (dehydrate) {
+            (context.rebuilding ??= new Map()).set(value, {
+                valueType: `reference back to the ${name} instance`,
+                suggestion: 'the data returned by dehydrate cannot contain the instance itself'
+            });
+            wrapper[DATA_MARKER] = this._toSerializable(dehydrate(value), seen, `${path}<dehydrated>`, context);
+            context.rebuilding.delete(value);
+            return wrapper;
+        }
+
+        // Neither can the fields of a Map, Set, Array or Date subclass; its entries can
+        if (hasEntries(value)) {
+            (context.rebuilding ??= new Map()).set(value, {
+                valueType: `reference back to the ${name} instance`,
+                suggestion: `fields of a ${name} cannot refer to it; keep the reference in its entries or mark the field @transient`
+            });
+        }
+
+        for (const key of storedKeysOf(value)) {
+            if (entry.transient.has(key)) {
+                continue;
+            }
+            // Rehydration refuses these keys, so storing them would write an entry that can never be read
+            if (UNSAFE_KEYS.has(key)) {
+                this._rejectValue(propertyPath(path, key), {
+                    valueType: `field '${key}' of ${name}`,
+                    suggestion: `rename the field, mark it @transient, or register ${name} with dehydrate/hydrate`
+                }, context);
+                continue;
+            }
+            const converter = entry.converters.get(key);
+            const field = converter ? converter.to(value[key]) : value[key];
+            setOwn(wrapper[DATA_MARKER], escapeKey(key), this._toSerializable(field, seen, propertyPath(path, key), context));
+        }
+
+        // Subclasses of built-in collections keep their contents outside the fields
+        if (hasEntries(value)) {
+            context.rebuilding.delete(value);
+            wrapper[ENTRIES_MARKER] = value instanceof Date
+                ? value.getTime()
+                : this._serializeCollection(value, seen, path, context);
+        }
+
+        return wrapper;
     }
 
     /**
-     * Deserializes a Uint8Array back to the original JavaScript value.
-     * 
-     * Automatically rehydrates registered class instances.
-     * 
-     * @template T
-     * @param {Uint8Array} bytes - Serialized bytes
-     * @returns {T} Deserialized and rehydrated value
-     * 
-     * @example
-     * const value = superLs.deserialize(bytes);
+     * Wraps the built-in types that V8 does not restore: errors (V8 keeps neither
+     * custom fields nor subclasses), null-prototype objects, URL and URLSearchParams
+     * @param {object} value - Value to check and potentially wrap
+     * @param {WeakMap} seen - Circular reference tracker
+     * @param {string} path - JS path of the value
+     * @param {SerializeContext} context - Per-call serialization state
+     * @returns {SerializedClassWrapper|null} Wrapped value, or null if it is not one of these types
+     * @private
      */
-    deserialize(bytes) {
-        const parsed = t.ls.deserialize(bytes);
-        return this._rehydrate(parsed, new WeakMap());
-    }
+    _tryWrapBuiltin(value, seen, path, context) {
+        if (Object.getPrototypeOf(value) === null) {
+            const wrapper = { [TYPE_MARKER]: NULL_OBJECT_TYPE, [DATA_MARKER]: {} };
+            seen.set(value, wrapper);
+            for (const key of Object.keys(value)) {
+                setOwn(wrapper[DATA_MARKER], escapeKey(key), this._toSerializable(value[key], seen, propertyPath(path, key), context));
+            }
+            return wrapper;
+        }
 
-    // ========================================================================
-    // Private Methods - Serialization
-    // ========================================================================
+        if (value instanceof Error) {
+            return this._wrapError(value, seen, path, context);
+        }
+
+        if (typeof URL === 'function' && value instanceof URL) {
+            const wrapper = { [TYPE_MARKER]: URL_TYPE, [DATA_MARKER]: value.href };
+            seen.set(value, wrapper);
+            return wrapper;
+        }
+
+        if (typeof URLSearchParams === 'function' && value instanceof URLSearchParams) {
+            const wrapper = { [TYPE_MARKER]: URL_SEARCH_PARAMS_TYPE, [DATA_MARKER]: value.toString() };
+            seen.set(value, wrapper);
+            return wrapper;
+        }
+
+        return null;
+    }
 
     /**
-     * Recursively converts values to a serializable format.
-     * 
-     * V8 natively handles Map, Set, Date, TypedArray, circular references.
-     * Only registered class instances need special wrapping with metadata.
-     * 
-     * @param {any} value - Value to convert
-     * @param {WeakMap} [seen=new WeakMap()] - Tracks processed objects for circular reference handling
-     * @returns {any} Serializable representation of the value
+     * Wraps an error of an unregistered class. It is restored as the nearest
+     * built-in error class, with its name, message, stack, cause and own fields.
+     * @param {Error} error - Error to wrap
+     * @param {WeakMap} seen - Circular reference tracker
+     * @param {string} path - JS path of the error
+     * @param {SerializeContext} context - Per-call serialization state
+     * @returns {SerializedClassWrapper} Wrapped error
      * @private
      */
-    _toSerializable(value, seen = new WeakMap()) {
-        if (isPrimitive(value)) {
-            return value;
+    _wrapError(error, seen, path, context) {
+        const data = { type: errorTypeOf(error).name, name: String(error.name), fields: {} };
+        const wrapper = { [TYPE_MARKER]: ERROR_TYPE, [DATA_MARKER]: data };
+        seen.set(error, wrapper);
+
+        const fields = Object.keys(error);
+        for (const key of ERROR_KEYS) {
+            if (Object.hasOwn(error, key) && !fields.includes(key)) {
+                data[key] = this._toSerializable(error[key], seen, propertyPath(path, key), context);
+            }
         }
 
-        if (seen.has(value)) {
-            return seen.get(value);
+        for (const key of fields) {
+            setOwn(data.fields, escapeKey(key), this._toSerializable(error[key], seen, propertyPath(path, key), context));
         }
 
-        // Check registered classes first - wrap with metadata
-        const classWrapper = this._tryWrapRegisteredClass(value, seen);
-        if (classWrapper) {
-            return classWrapper;
+        return wrapper;
+    }
+
+    /**
+     * Returns the custom dehydrate function of a registered class, if it has one
+     * @param {RegistryEntry} entry - Registry entry
+     * @returns {DehydrateFunction|null} Function from register(), static [DEHYDRATE] method, or null
+     * @private
+     */
+    _findDehydrate({ Constructor, dehydrate }) {
+        if (typeof dehydrate === 'function') {
+            return dehydrate;
         }
 
-        // V8 serialize handles these natively - no transformation needed
-        if (this._isV8Native(value)) {
-            return value;
+        if (typeof Constructor[DEHYDRATE] === 'function') {
+            return (instance) => Constructor[DEHYDRATE](instance);
         }
 
-        // Handle collections that may contain registered classes
-        return this._serializeCollection(value, seen);
+        return null;
     }
 
     /**
-     * Attempts to wrap a registered class instance with type metadata
-     * @param {any} value - Value to check and potentially wrap
+     * Rebuilds the wrapper an UnknownTypeEnvelope was read from. The data is
+     * not walked, so it is stored byte for byte as before.
+     * @param {UnknownTypeEnvelope} envelope - Preserved instance
      * @param {WeakMap} seen - Circular reference tracker
-     * @returns {SerializedClassWrapper|null} Wrapped class or null if not a registered class
+     * @returns {SerializedClassWrapper} Original wrapper
      * @private
      */
-    _tryWrapRegisteredClass(value, seen) {
-        for (const [name, entry] of this.registry.entries()) {
-            if (value instanceof entry.Constructor) {
-                const wrapper = {
-                    [TYPE_MARKER]: name,
-                    [DATA_MARKER]: {}
-                };
+    _wrapUnknownType(envelope, seen) {
+        const wrapper = {
+            [TYPE_MARKER]: envelope.typeName,
+            [DATA_MARKER]: envelope.data
+        };
 
-                seen.set(value, wrapper);
+        if (envelope.version !== DEFAULT_CLASS_VERSION) {
+            wrapper[VERSION_MARKER] = envelope.version;
+        }
 
-                for (const key of Object.keys(value)) {
-                    wrapper[DATA_MARKER][key] = this._toSerializable(value[key], seen);
-                }
+        seen.set(envelope, wrapper);
+        return wrapper;
+    }
 
-                return wrapper;
+    /**
+     * Finds the most derived registered class of a value by walking its prototype chain
+     * @param {object} value - Value to look up
+     * @returns {string|null} Type name, or null if no class in the chain is registered
+     * @private
+     */
+    _findRegisteredType(value) {
+        for (let proto = Object.getPrototypeOf(value); proto !== null; proto = Object.getPrototypeOf(proto)) {
+            if (Object.hasOwn(proto, 'constructor')) {
+                const name = this.constructors.get(proto.constructor);
+                if (name !== undefined) {
+                    return name;
+                }
             }
         }
         return null;
@@ -518,48 +3986,58 @@ export class SuperLocalStorage {
     _isV8Native(value) {
         return value instanceof Date ||
             value instanceof RegExp ||
-            value instanceof Map ||
-            value instanceof Set ||
-            ArrayBuffer.isView(value);
+            value instanceof ArrayBuffer ||
+            ArrayBuffer.isView(value) ||
+            value instanceof Number ||
+            value instanceof String ||
+            value instanceof Boolean ||
+            value instanceof BigInt;
     }
 
     /**
      * Serializes collections that may contain registered class instances
      * @param {any} value - Collection to serialize
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {string} path - JS path of the collection
+     * @param {SerializeContext} context - Per-call serialization state
      * @returns {any} Serialized collection
      * @private
      */
-    _serializeCollection(value, seen) {
+    _serializeCollection(value, seen, path, context) {
         if (Array.isArray(value)) {
-            return this._serializeArray(value, seen);
+            return this._serializeArray(value, seen, path, context);
         }
 
         if (value instanceof Map) {
-            return this._serializeMap(value, seen);
+            return this._serializeMap(value, seen, path, context);
         }
 
         if (value instanceof Set) {
-            return this._serializeSet(value, seen);
+            return this._serializeSet(value, seen, path, context);
         }
 
-        return this._serializeObject(value, seen);
+        return this._serializeObject(value, seen, path, context);
     }
 
     /**
      * Serializes an array, processing each element for registered classes
      * @param {Array} value - Array to serialize
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {string} path - JS path of the array
+     * @param {SerializeContext} context - Per-call serialization state
      * @returns {Array} Serialized array
      * @private
      */
-    _serializeArray(value, seen) {
+    _serializeArray(value, seen, path, context) {
         const arr = [];
-        seen.set(value, arr);
+        // A registered subclass already stands for its class wrapper
+        if (!seen.has(value)) {
+            seen.set(value, arr);
+        }
 
         for (let i = 0; i < value.length; i++) {
             if (i in value) {
-                arr[i] = this._toSerializable(value[i], seen);
+                arr[i] = this._toSerializable(value[i], seen, `${path}[${i}]`, context);
             }
         }
 
@@ -574,18 +4052,24 @@ export class SuperLocalStorage {
      * Serializes a Map, processing values for registered classes
      * @param {Map} value - Map to serialize
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {string} path - JS path of the Map
+     * @param {SerializeContext} context - Per-call serialization state
      * @returns {Map} Serialized Map
      * @private
      */
-    _serializeMap(value, seen) {
+    _serializeMap(value, seen, path, context) {
         const newMap = new Map();
-        seen.set(value, newMap);
+        if (!seen.has(value)) {
+            seen.set(value, newMap);
+        }
 
+        let index = 0;
         for (const [k, v] of value.entries()) {
             newMap.set(
-                this._toSerializable(k, seen),
-                this._toSerializable(v, seen)
+                this._toSerializable(k, seen, `${path}<key #${index}>`, context),
+                this._toSerializable(v, seen, path + mapEntrySegment(k, index), context)
             );
+            index++;
         }
 
         return newMap;
@@ -595,15 +4079,21 @@ export class SuperLocalStorage {
      * Serializes a Set, processing values for registered classes
      * @param {Set} value - Set to serialize
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {string} path - JS path of the Set
+     * @param {SerializeContext} context - Per-call serialization state
      * @returns {Set} Serialized Set
      * @private
      */
-    _serializeSet(value, seen) {
+    _serializeSet(value, seen, path, context) {
         const newSet = new Set();
-        seen.set(value, newSet);
+        if (!seen.has(value)) {
+            seen.set(value, newSet);
+        }
 
+        let index = 0;
         for (const item of value) {
-            newSet.add(this._toSerializable(item, seen));
+            newSet.add(this._toSerializable(item, seen, `${path}<#${index}>`, context));
+            index++;
         }
 
         return newSet;
@@ -613,15 +4103,17 @@ export class SuperLocalStorage {
      * Serializes a plain object, processing properties for registered classes
      * @param {Object} value - Object to serialize
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {string} path - JS path of the object
+     * @param {SerializeContext} context - Per-call serialization state
      * @returns {Object} Serialized object
      * @private
      */
-    _serializeObject(value, seen) {
+    _serializeObject(value, seen, path, context) {
         const obj = {};
         seen.set(value, obj);
 
         for (const key of Object.keys(value)) {
-            obj[key] = this._toSerializable(value[key], seen);
+            setOwn(obj, escapeKey(key), this._toSerializable(value[key], seen, propertyPath(path, key), context));
         }
 
         return obj;
@@ -639,21 +4131,29 @@ export class SuperLocalStorage {
      * 
      * @param {any} value - Value to rehydrate
      * @param {WeakMap} seen - Tracks processed objects for circular reference handling
+     * @param {RehydrateContext} [context={}] - Per-call rehydration state
      * @returns {any} Rehydrated value with original types restored
      * @private
      */
-    _rehydrate(value, seen) {
+    _rehydrate(value, seen, context = {}) {
         if (isPrimitive(value)) {
             return value;
         }
 
         if (seen.has(value)) {
-            return seen.get(value);
+            const restored = seen.get(value);
+            // A class instance still being hydrated is referenced from its own data
+            if (context.pending?.has(restored)) {
+                context.pending.set(restored, true);
+            }
+            return restored;
         }
 
         // Check for wrapped class instances
         if (hasTypeWrapper(value)) {
-            return this._rehydrateClass(value, seen);
+            return String(value[TYPE_MARKER]).startsWith(BUILTIN_TYPE_PREFIX)
+                ? this._rehydrateBuiltin(value, seen, context)
+                : this._rehydrateClass(value, seen, context);
         }
 
         // V8 deserialize already restores these types
@@ -662,42 +4162,104 @@ export class SuperLocalStorage {
         }
 
         // Handle collections that may contain wrapped classes
-        return this._rehydrateCollection(value, seen);
+        return this._rehydrateCollection(value, seen, context);
     }
 
     /**
      * Rehydrates a wrapped class instance using nativet.ls.hydrate()
      * @param {SerializedClassWrapper} value - Wrapped class data
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {RehydrateContext} context - Per-call rehydration state
      * @returns {any} Restored class instance
      * @private
      */
-    _rehydrateClass(value, seen) {
+    _rehydrateClass(value, seen, context) {
         const typeName = value[TYPE_MARKER];
+
+        if (context.allowedTypes && !context.allowedTypes.has(typeName)) {
+            throw new Error(`Cannot deserialize type '${typeName}': it is not in allowedTypes`);
+        }
+
         const entry = this.registry.get(typeName);
 
         if (!entry) {
-            // Class not registered - return as plain object
-            return this._rehydrateObject(value, seen);
+            return this._rehydrateUnknownType(value, seen, context);
         }
 
         // Use placeholder for circular reference support
         const placeholder = {};
         seen.set(value, placeholder);
+        context.pending ??= new Map();
+        context.pending.set(placeholder, false);
 
         // Rehydrate nested data first
-        const hydratedData = {};
-        for (const key of Object.keys(value[DATA_MARKER])) {
-            hydratedData[key] = this._rehydrate(value[DATA_MARKER][key], seen);
+        const custom = this._findDehydrate(entry) !== null;
+        let hydratedData = {};
+        if (custom) {
+            hydratedData = this._rehydrate(value[DATA_MARKER], seen, context);
+        } else {
+            for (const storedKey of Object.keys(value[DATA_MARKER])) {
+                const key = this._restoreKey(storedKey, context);
+                // Hydration assigns fields onto the instance, where these keys would reach its prototype
+                if (UNSAFE_KEYS.has(key)) {
+                    throw new Error(`Cannot hydrate ${typeName}: stored data has the unsafe key '${key}'`);
+                }
+                hydratedData[key] = this._rehydrate(value[DATA_MARKER][storedKey], seen, context);
+            }
+        }
+
+        const cyclic = context.pending.get(placeholder);
+        context.pending.delete(placeholder);
+        if (cyclic && custom) {
+            throw new Error(`Cannot hydrate ${typeName}: its dehydrated data refers back to the instance`);
+        }
+
+        // A placeholder cannot become a Map, Set, Array or Date; only the entries may refer back
+        const entries = Object.hasOwn(value, ENTRIES_MARKER);
+        if (cyclic && entries) {
+            throw new Error(`Cannot hydrate ${typeName}: its fields refer back to the instance`);
+        }
+
+        // Upgrade data written by an older registration version
+        const storedVersion = value[VERSION_MARKER] ?? DEFAULT_CLASS_VERSION;
+        if (storedVersion !== entry.version) {
+            hydratedData = this._migrate(typeName, entry, storedVersion, hydratedData);
         }
+        const writeBack = entry.writeBack && storedVersion !== entry.version;
 
-        // Use nativet.ls.hydrate() if available, otherwise fallback to local logic
+        // Undo per-field conversions applied by @serializeAs
+        if (!custom) {
+            for (const [key, converter] of entry.converters) {
+                if (Object.hasOwn(hydratedData, key)) {
+                    hydratedData[key] = converter.from(hydratedData[key]);
+                }
+            }
+        }
+
+        // Use native hydration (t.ls.hydrate() under Titan) if available, otherwise fallback to local logic.
+        // The native registry only knows field bags, so dehydrated data always takes the local path.
         let instance;
-        try {
-            instance = t.ls.hydrate(typeName, hydratedData);
-        } catch {
-            // Fallback to local hydration logic
+        if (custom) {
             instance = this._createInstance(entry, hydratedData);
+        } else {
+            try {
+                instance = this.runtime.hydrate(typeName, hydratedData);
+            } catch {
+                // Fallback to local hydration logic
+                instance = this._createInstance(entry, hydratedData);
+            }
+        }
+
+        // Nothing holds the placeholder: hand out the instance itself, #private fields included
+        if (!cyclic) {
+            seen.set(value, instance);
+            if (entries) {
+                this._restoreEntries(instance, value[ENTRIES_MARKER], seen, context);
+            }
+            if (writeBack) {
+                (context.migrated ??= new Set()).add(instance);
+            }
+            return instance;
         }
 
         // Update placeholder to become the actual instance
@@ -705,17 +4267,211 @@ export class SuperLocalStorage {
         Object.setPrototypeOf(placeholder, Object.getPrototypeOf(instance));
 
         // Preserve object state (frozen/sealed/non-extensible)
-        if (Object.isFrozen(instance)) {
-            Object.freeze(placeholder);
-        } else if (Object.isSealed(instance)) {
-            Object.seal(placeholder);
-        } else if (!Object.isExtensible(instance)) {
-            Object.preventExtensions(placeholder);
-        }
+        applyIntegrity(placeholder, integrityOf(instance));
 
+        if (writeBack) {
+            (context.migrated ??= new Set()).add(placeholder);
+        }
         return placeholder;
     }
 
+    /**
+     * Adds the stored entries of a Map, Set, Array or Date subclass to its hydrated instance.
+     * The built-in methods are called directly, so overrides in the subclass do not run.
+     * @param {Map|Set|Array|Date} instance - Hydrated instance
+     * @param {any} stored - Stored entries (a Map, Set or Array), or the time of a Date
+     * @param {WeakMap} seen - Circular reference tracker
+     * @param {RehydrateContext} context - Per-call rehydration state
+     * @private
+     */
+    _restoreEntries(instance, stored, seen, context) {
+        const restored = this._rehydrate(stored, seen, context);
+
+        if (instance instanceof Map) {
+            for (const [key, item] of restored) {
+                Map.prototype.set.call(instance, key, item);
+            }
+        } else if (instance instanceof Set) {
+            for (const item of restored) {
+                Set.prototype.add.call(instance, item);
+            }
+        } else if (Array.isArray(instance)) {
+            for (const index of Object.keys(restored)) {
+                instance[index] = restored[index];
+            }
+            instance.length = restored.length;
+        } else if (instance instanceof Date) {
+            Date.prototype.setTime.call(instance, restored);
+        }
+    }
+
+    /**
+     * Rehydrates a wrapped built-in type (see _tryWrapBuiltin)
+     * @param {SerializedClassWrapper} value - Wrapped value
+     * @param {WeakMap} seen - Circular reference tracker
+     * @param {RehydrateContext} context - Per-call rehydration state
+     * @returns {any} Restored value
+     * @private
+     */
+    _rehydrateBuiltin(value, seen, context) {
+        const data = value[DATA_MARKER];
+
+        switch (value[TYPE_MARKER]) {
+            case NULL_OBJECT_TYPE: {
+                const obj = Object.create(null);
+                seen.set(value, obj);
+                for (const key of Object.keys(data)) {
+                    setOwn(obj, this._restoreKey(key, context), this._rehydrate(data[key], seen, context));
+                }
+                return obj;
+            }
+            case ERROR_TYPE:
+                return this._rehydrateError(value, seen, context);
+            case INTEGRITY_TYPE: {
+                const restored = this._rehydrate(data.value, seen, context);
+                // Locked last, once every object in the graph is filled in
+                for (const [stored, level] of data.levels) {
+                    const object = this._rehydrate(stored, seen, context);
+                    if (!isPrimitive(object)) {
+                        applyIntegrity(object, level);
+                    }
+                }
+                return restored;
+            }
+            case URL_TYPE: {
+                const url = new URL(data);
+                seen.set(value, url);
+                return url;
+            }
+            case URL_SEARCH_PARAMS_TYPE: {
+                const params = new URLSearchParams(data);
+                seen.set(value, params);
+                return params;
+            }
+            default:
+                // Written by a newer version of this library
+                return this._rehydrateClass(value, seen, context);
+        }
+    }
+
+    /**
+     * Rehydrates an error wrapped by _wrapError()
+     * @param {SerializedClassWrapper} value - Wrapped error
+     * @param {WeakMap} seen - Circular reference tracker
+     * @param {RehydrateContext} context - Per-call rehydration state
+     * @returns {Error} Restored error
+     * @private
+     */
+    _rehydrateError(value, seen, context) {
+        const data = value[DATA_MARKER];
+        const Type = ERROR_TYPES.find((ErrorType) => ErrorType.name === data.type) ?? Error;
+        const error = Type.name === 'AggregateError' ? new Type([]) : new Type();
+        seen.set(value, error);
+
+        // Only what was stored: a fresh error has a stack of its own, and AggregateError an errors list
+        delete error.stack;
+        delete error.errors;
+        for (const key of ERROR_KEYS) {
+            if (Object.hasOwn(data, key)) {
+                Object.defineProperty(error, key, {
+                    value: this._rehydrate(data[key], seen, context),
+                    writable: true,
+                    enumerable: false,
+                    configurable: true
+                });
+            }
+        }
+
+        for (const key of Object.keys(data.fields ?? {})) {
+            setOwn(error, this._restoreKey(key, context), this._rehydrate(data.fields[key], seen, context));
+        }
+
+        // Names of subclasses usually come from their prototype, which is not restored
+        if (error.name !== data.name) {
+            Object.defineProperty(error, 'name', { value: data.name, writable: true, enumerable: false, configurable: true });
+        }
+
+        return error;
+    }
+
+    /**
+     * Applies the onUnknownType policy to a wrapped instance of an unregistered type
+     * @param {SerializedClassWrapper} value - Wrapped class data
+     * @param {WeakMap} seen - Circular reference tracker
+     * @param {RehydrateContext} context - Per-call rehydration state
+     * @returns {any} Plain data, an UnknownTypeEnvelope, or what the custom handler returned
+     * @throws {Error} With onUnknownType: 'throw'
+     * @private
+     */
+    _rehydrateUnknownType(value, seen, context) {
+        const typeName = value[TYPE_MARKER];
+        const version = value[VERSION_MARKER] ?? DEFAULT_CLASS_VERSION;
+        const policy = context.preserveUnknown ? 'preserve' : this.onUnknownType;
+
+        if (policy === 'throw') {
+            throw new Error(`Cannot read ${typeName}: the type is not registered`);
+        }
+
+        if (policy === 'preserve') {
+            const envelope = new UnknownTypeEnvelope(typeName, version, value[DATA_MARKER]);
+            seen.set(value, envelope);
+            return envelope;
+        }
+
+        // The data stands in for the instance, including in references back to it
+        context.flattened = true;
+        const data = value[DATA_MARKER];
+        let plain;
+        if (isPlainObject(data) && !hasTypeWrapper(data)) {
+            plain = {};
+            seen.set(value, plain);
+            seen.set(data, plain);
+            for (const key of Object.keys(data)) {
+                setOwn(plain, this._restoreKey(key, context), this._rehydrate(data[key], seen, context));
+            }
+        } else {
+            plain = this._rehydrate(data, seen, context);
+            seen.set(value, plain);
+        }
+
+        if (policy === 'plain') {
+            return plain;
+        }
+
+        const result = policy(typeName, plain, version);
+        seen.set(value, result);
+        return result;
+    }
+
+    /**
+     * Runs the migration chain of a registered class from a stored version up to the current one
+     * @param {string} typeName - Registered type name
+     * @param {RegistryEntry} entry - Registry entry with version and migrate steps
+     * @param {number} fromVersion - Version the data was written with
+     * @param {Object} data - Hydrated property data
+     * @returns {Object} Data in the current version's shape
+     * @throws {Error} If the data is newer than the registration or a migration step is missing
+     * @private
+     */
+    _migrate(typeName, entry, fromVersion, data) {
+        if (fromVersion > entry.version) {
+            throw new Error(
+                `Cannot read ${typeName} version ${fromVersion}: registered version is ${entry.version}`
+            );
+        }
+
+        let migrated = data;
+        for (let version = fromVersion; version < entry.version; version++) {
+            const step = entry.migrate[version];
+            if (typeof step !== 'function') {
+                throw new Error(`Missing migration for ${typeName} from version ${version} to ${version + 1}`);
+            }
+            migrated = step(migrated);
+        }
+
+        return migrated;
+    }
+
     /**
      * Creates a class instance from hydrated data (fallback)
      * @param {RegistryEntry} entry - Registry entry with Constructor and optional hydrate function
@@ -731,12 +4487,17 @@ export class SuperLocalStorage {
             return hydrate(data);
         }
 
-        // Priority 2: Static hydrate method on class
+        // Priority 2: Static [HYDRATE] method on class
+        if (typeof Constructor[HYDRATE] === 'function') {
+            return Constructor[HYDRATE](data);
+        }
+
+        // Priority 3: Static hydrate method on class
         if (typeof Constructor.hydrate === 'function') {
             return Constructor.hydrate(data);
         }
 
-        // Priority 3: Default constructor + Object.assign
+        // Priority 4: Default constructor + Object.assign
         const instance = new Constructor();
         Object.assign(instance, data);
         return instance;
@@ -746,24 +4507,25 @@ export class SuperLocalStorage {
      * Rehydrates collections (Array, Map, Set, Object)
      * @param {any} value - Collection to rehydrate
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {RehydrateContext} context - Per-call rehydration state
      * @returns {any} Rehydrated collection
      * @private
      */
-    _rehydrateCollection(value, seen) {
+    _rehydrateCollection(value, seen, context) {
         if (Array.isArray(value)) {
-            return this._rehydrateArray(value, seen);
+            return this._rehydrateArray(value, seen, context);
         }
 
         if (value instanceof Map) {
-            return this._rehydrateMap(value, seen);
+            return this._rehydrateMap(value, seen, context);
         }
 
         if (value instanceof Set) {
-            return this._rehydrateSet(value, seen);
+            return this._rehydrateSet(value, seen, context);
         }
 
-        if (value.constructor === Object) {
-            return this._rehydrateObject(value, seen);
+        if (isPlainObject(value)) {
+            return this._rehydrateObject(value, seen, context);
         }
 
         return value;
@@ -773,15 +4535,23 @@ export class SuperLocalStorage {
      * Rehydrates an array
      * @param {Array} value - Array to rehydrate
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {RehydrateContext} context - Per-call rehydration state
      * @returns {Array} Rehydrated array
      * @private
      */
-    _rehydrateArray(value, seen) {
+    _rehydrateArray(value, seen, context) {
         const arr = [];
         seen.set(value, arr);
 
+        // Holes stay holes
         for (let i = 0; i < value.length; i++) {
-            arr[i] = this._rehydrate(value[i], seen);
+            if (i in value) {
+                arr[i] = this._rehydrate(value[i], seen, context);
+            }
+        }
+
+        if (value.length > arr.length) {
+            arr.length = value.length;
         }
 
         return arr;
@@ -791,17 +4561,18 @@ export class SuperLocalStorage {
      * Rehydrates a Map
      * @param {Map} value - Map to rehydrate
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {RehydrateContext} context - Per-call rehydration state
      * @returns {Map} Rehydrated Map
      * @private
      */
-    _rehydrateMap(value, seen) {
+    _rehydrateMap(value, seen, context) {
         const newMap = new Map();
         seen.set(value, newMap);
 
         for (const [k, v] of value.entries()) {
             newMap.set(
-                this._rehydrate(k, seen),
-                this._rehydrate(v, seen)
+                this._rehydrate(k, seen, context),
+                this._rehydrate(v, seen, context)
             );
         }
 
@@ -812,15 +4583,16 @@ export class SuperLocalStorage {
      * Rehydrates a Set
      * @param {Set} value - Set to rehydrate
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {RehydrateContext} context - Per-call rehydration state
      * @returns {Set} Rehydrated Set
      * @private
      */
-    _rehydrateSet(value, seen) {
+    _rehydrateSet(value, seen, context) {
         const newSet = new Set();
         seen.set(value, newSet);
 
         for (const item of value) {
-            newSet.add(this._rehydrate(item, seen));
+            newSet.add(this._rehydrate(item, seen, context));
         }
 
         return newSet;
@@ -830,20 +4602,75 @@ export class SuperLocalStorage {
      * Rehydrates a plain object
      * @param {Object} value - Object to rehydrate
      * @param {WeakMap} seen - Circular reference tracker
+     * @param {RehydrateContext} context - Per-call rehydration state
      * @returns {Object} Rehydrated object
      * @private
      */
-    _rehydrateObject(value, seen) {
+    _rehydrateObject(value, seen, context) {
         const obj = {};
         seen.set(value, obj);
 
         for (const key of Object.keys(value)) {
-            obj[key] = this._rehydrate(value[key], seen);
+            setOwn(obj, this._restoreKey(key, context), this._rehydrate(value[key], seen, context));
         }
 
         return obj;
     }
 
+    /**
+     * Restores an object key as the user gave it
+     * @param {string} key - Key as stored
+     * @param {RehydrateContext} context - Per-call rehydration state
+     * @returns {string} Unescaped key (payloads written before escaping are read as they are)
+     * @private
+     */
+    _restoreKey(key, context) {
+        return context.escapedKeys ? unescapeKey(key) : key;
+    }
+
+    /**
+     * Checks if a raw key stores an encoded payload: a user entry or a batch blob
+     * @param {string} rawKey - Key as stored in t.ls
+     * @returns {boolean} True if the key holds an envelope with a payload
+     * @private
+     */
+    _holdsPayload(rawKey) {
+        if (!isInternalKey(rawKey)) {
+            return true;
+        }
+
+        return rawKey.includes(INTERNAL_KEY_MARKER + BATCH_KEY_SEGMENT) && !rawKey.endsWith(BATCH_REFS_SUFFIX);
+    }
+
+    /**
+     * Removes the instance prefix from a raw storage key
+     * @param {string} rawKey - Key as stored in t.ls
+     * @returns {string|null} Key without prefix, or null if it belongs to another prefix or is internal
+     * @private
+     */
+    _stripPrefix(rawKey) {
+        if (!rawKey.startsWith(this.prefix) || isInternalKey(rawKey)) {
+            return null;
+        }
+        return rawKey.slice(this.prefix.length);
+    }
+
+    /**
+     * Lists the keys of this instance that sort after a scan cursor, unsorted
+     * @param {string|null} cursor - Last key of the previous page, or null to start
+     * @param {RegExp|null} matcher - Pattern keys must match, if any
+     * @yields {string} Keys without prefix
+     * @private
+     */
+    *_keysAfter(cursor, matcher) {
+        for (const rawKey of this.backend.list()) {
+            const key = this._stripPrefix(rawKey);
+            if (key !== null && (cursor === null || key > cursor) && (!matcher || matcher.test(key))) {
+                yield key;
+            }
+        }
+    }
+
     /**
      * Checks if a value exists (is not null or undefined)
      * @param {any} value - Value to check
@@ -855,6 +4682,171 @@ export class SuperLocalStorage {
     }
 }
 
+// ============================================================================
+// Decorators
+// ============================================================================
+
+/**
+ * Checks that a decorator is applied to the kind of element it supports
+ * @param {Object} context - Decorator context
+ * @param {'class'|'field'} kind - Expected element kind
+ * @param {string} name - Decorator name for error messages
+ * @throws {Error} If applied to another kind of element, a static field or a private field
+ */
+const assertDecoratorContext = (context, kind, name) => {
+    if (context?.kind !== kind) {
+        throw new Error(`@${name} can only decorate ${kind === 'class' ? 'classes' : 'class fields'}`);
+    }
+    if (kind === 'field' && (context.static || context.private)) {
+        throw new Error(`@${name} cannot decorate ${context.static ? 'static' : 'private'} field ${String(context.name)}`);
+    }
+};
+
+/**
+ * Returns the annotations of the class being decorated, shared with the field
+ * decorators of the same class through its decorator metadata
+ * @param {ClassConstructor} ClassRef - Decorated class
+ * @param {Object} context - Class decorator context
+ * @returns {ClassAnnotations} Annotations owned by the class
+ */
+const classAnnotations = (ClassRef, context) => {
+    const annotations = ownAnnotations(context.metadata ?? ClassRef);
+
+    if (!Object.hasOwn(ClassRef, ANNOTATIONS)) {
+        Object.defineProperty(ClassRef, ANNOTATIONS, { value: annotations });
+    }
+
+    return annotations;
+};
+
+/**
+ * Records a field annotation in the decorator metadata of its class
+ * @param {Object} context - Field decorator context
+ * @param {string} decorator - Decorator name for error messages
+ * @param {function(ClassAnnotations, string): void} annotate - Writes the annotation
+ * @throws {Error} If the transpiler passes no decorator metadata
+ */
+const annotateField = (context, decorator, annotate) => {
+    if (!context.metadata) {
+        throw new Error(
+            `@${decorator} on field ${String(context.name)} needs decorator metadata: use a transpiler that implements it (TypeScript 5.2+, Babel 2023-11, esbuild)`
+        );
+    }
+
+    annotate(ownAnnotations(context.metadata), context.name);
+};
+
+/**
+ * Class decorator that registers the class, like calling register() after its definition.
+ * 
+ * Registration happens once the class is fully decorated, so @version and
+ * field decorators are taken into account whatever their order.
+ * 
+ * @param {string|RegisterOptions} [typeNameOrOptions] - Custom type name, or register() options
+ * @param {RegisterOptions & {store?: SuperLocalStorage|SuperLocalStorage[]}} [options={}] - register() options,
+ *        plus the store(s) to register with (the default instance if omitted)
+ * @returns {function(ClassConstructor, Object): void} Class decorator
+ * 
+ * @example
+ * @serializable('GamePlayer')
+ * class Player {
+ *     name = '';
+ *     @transient socket = null;
+ * }
+ */
+export function serializable(typeNameOrOptions, options = {}) {
+    const { store, ...registerOptions } = typeof typeNameOrOptions === 'string'
+        ? { ...options, typeName: typeNameOrOptions }
+        : { ...typeNameOrOptions, ...options };
+
+    return (ClassRef, context) => {
+        assertDecoratorContext(context, 'class', 'serializable');
+        const annotations = classAnnotations(ClassRef, context);
+
+        if (registerOptions.typeName) {
+            annotations.typeName = registerOptions.typeName;
+        }
+
+        const registerClass = () => {
+            for (const target of [store ?? superLs].flat()) {
+                target.register(ClassRef, registerOptions);
+            }
+        };
+
+        if (typeof context.addInitializer === 'function') {
+            context.addInitializer(registerClass);
+        } else {
+            registerClass();
+        }
+    };
+}
+
+/**
+ * Class decorator that sets the version of the class data shape, with the
+ * migrations upgrading older data (see register()).
+ * 
+ * @param {number} number - Current version
+ * @param {Object<number, MigrateFunction>} [migrate] - Migration steps keyed by the version they upgrade from
+ * @returns {function(ClassConstructor, Object): void} Class decorator
+ * 
+ * @example
+ * @serializable()
+ * @version(2, { 1: (data) => ({ ...data, score: data.points }) })
+ * class Player {}
+ */
+export function version(number, migrate) {
+    return (ClassRef, context) => {
+        assertDecoratorContext(context, 'class', 'version');
+        const annotations = classAnnotations(ClassRef, context);
+
+        annotations.version = number;
+        if (migrate) {
+            annotations.migrate = migrate;
+        }
+    };
+}
+
+/**
+ * Field decorator that leaves the field out of stored data.
+ * Hydrated instances get the value the constructor or field initializer gives it.
+ * 
+ * @param {undefined} _value - Field decorators receive no value
+ * @param {Object} context - Field decorator context
+ * 
+ * @example
+ * class Session {
+ *     @transient connection = null;
+ * }
+ */
+export function transient(_value, context) {
+    assertDecoratorContext(context, 'field', 'transient');
+    annotateField(context, 'transient', (annotations, name) => annotations.transient.add(name));
+}
+
+/**
+ * Field decorator that converts the field when storing and back when hydrating.
+ * 
+ * @param {function(any): any} to - Converts the field value before it is stored
+ * @param {function(any): any} from - Converts the stored value back
+ * @returns {function(undefined, Object): void} Field decorator
+ * 
+ * @example
+ * class Invoice {
+ *     @serializeAs((amount) => amount.toString(), (text) => new Decimal(text))
+ *     total = new Decimal(0);
+ * }
+ */
+export function serializeAs(to, from) {
+    if (typeof to !== 'function' || typeof from !== 'function') {
+        throw new Error('@serializeAs expects two conversion functions');
+    }
+
+    return (_value, context) => {
+        assertDecoratorContext(context, 'field', 'serializeAs');
+        annotateField(context, 'serializeAs', (annotations, name) => annotations.converters.set(name, { to, from }));
+    };
+}
+
 // ============================================================================
 // Default Export
 // ============================================================================
@@ -865,7 +4857,11 @@ export class SuperLocalStorage {
  */
 const superLs = new SuperLocalStorage();
 
-// Titan Planet Extension Registration
-registerExtension("titanpl-superls", superLs);
+// Titan Planet Extension Registration (outside Titan there is no global t to register into)
+if (superLs.runtime === titanRuntime) {
+    registerExtension("titanpl-superls", superLs);
+}
+
+export { TitanLsBackend, MemoryBackend, titanRuntime, nodeRuntime, DEHYDRATE, HYDRATE };
 
 export default superLs;
\ No newline at end of file
@@ -0,0 +1,81 @@
+import type { SuperLocalStorage } from './index.js';
+
+/**
+ * In-memory fake of the Titan Planet globals super-ls uses.
+ */
+export interface FakeTitan {
+    ls: {
+        get(key: string): string | null;
+        set(key: string, value: string): void;
+        remove(key: string): void;
+        clear(): void;
+        keys(): string[];
+        serialize(value: any): Uint8Array;
+        deserialize(bytes: Uint8Array): any;
+        register(ClassRef: new (...args: any[]) => any, hydrate?: ((data: any) => any) | null, typeName?: string): void;
+        /** Throws if the type is not registered */
+        hydrate(typeName: string, data: object): any;
+        setObject(key: string, value: any): void;
+        getObject(key: string): any;
+    };
+    bugger: {
+        toBase64(bytes: Uint8Array): string;
+        fromBase64(base64: string): Uint8Array;
+    };
+    crypto: {
+        /** Returns `size` random bytes as hex, like the native binding */
+        randomBytes(size: number): string;
+    };
+    log(...args: any[]): void;
+}
+
+/**
+ * Options for `expectRoundTrip()`.
+ */
+export interface RoundTripOptions {
+    /** Store to round-trip through (a fresh in-memory store by default) */
+    store?: SuperLocalStorage;
+    /** Classes to register on the default store */
+    classes?: Array<new (...args: any[]) => any>;
+}
+
+/**
+ * Creates an in-memory fake of `t.ls`, `t.bugger` and `t.crypto`. Each fake has its own
+ * storage, thread-local objects and class registry, and produces the same
+ * bytes as the native bindings.
+ */
+export function createFakeTitan(): FakeTitan;
+
+/**
+ * Installs a fake as the global `t`. Calls can be nested.
+ * Stores pick their runtime when constructed, so create them after installing.
+ * 
+ * @example
+ * beforeEach(() => install());
+ * afterEach(() => uninstall());
+ */
+export function install(fake?: FakeTitan): FakeTitan;
+
+/**
+ * Restores the global `t` that was in place before the last `install()`.
+ */
+export function uninstall(): void;
+
+/**
+ * Asserts that two object graphs are equivalent: same values, same prototypes,
+ * and the same shape of shared references and cycles.
+ * 
+ * @throws {Error} Describing the path of the first difference
+ */
+export function expectSameGraph(actual: any, expected: any): void;
+
+/**
+ * Stores a value, reads it back and asserts the result is an equivalent graph.
+ * 
+ * @returns The restored value, for further assertions
+ * @throws {Error} If the restored value differs
+ * 
+ * @example
+ * const team = expectRoundTrip(new Team([alice, bob]), { classes: [Team, Player] });
+ */
+export function expectRoundTrip<T>(value: T, options?: RoundTripOptions): T;
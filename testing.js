@@ -0,0 +1,299 @@
+import { SuperLocalStorage, MemoryBackend } from "./index.js";
+import { nodeRuntime } from "./utils/runtime.js";
+
+/**
+ * @fileoverview super-ls/testing - In-memory fake of the Titan Planet runtime
+ * and assertion helpers, so code using super-ls can be tested without Titan.
+ *
+ * The fake produces the same V8 bytes and Base64 strings as the native
+ * bindings, so stored data is byte-compatible with a real Titan runtime.
+ * Assertion helpers throw plain Errors and work with any test framework.
+ *
+ * @example
+ * import { install, uninstall, expectRoundTrip } from '@t8n/super-ls/testing';
+ *
+ * beforeEach(() => install());
+ * afterEach(() => uninstall());
+ *
+ * it('stores players', () => {
+ *     expectRoundTrip(new Player('Alice'), { classes: [Player] });
+ * });
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * @typedef {Object} FakeTitan
+ * @property {Object} ls - Fake of t.ls (get, set, remove, clear, keys, serialize, deserialize, register, hydrate, setObject, getObject)
+ * @property {Object} bugger - Fake of t.bugger (toBase64, fromBase64)
+ * @property {Object} crypto - Fake of t.crypto (randomBytes, returning hex like the native binding)
+ * @property {function(...any): void} log - Forwards to console.log
+ */
+
+/**
+ * @typedef {Object} RoundTripOptions
+ * @property {SuperLocalStorage} [store] - Store to round-trip through (a fresh in-memory store by default)
+ * @property {Function[]} [classes=[]] - Classes to register on the default store
+ */
+
+// ============================================================================
+// Fake Runtime
+// ============================================================================
+
+/**
+ * Previous values of the global `t`, restored by uninstall()
+ * @type {any[]}
+ */
+const installed = [];
+
+/**
+ * Creates an in-memory fake of the Titan Planet globals super-ls uses.
+ * Each fake has its own storage, thread-local objects and class registry.
+ *
+ * @returns {FakeTitan} Fake `t` object
+ */
+export function createFakeTitan() {
+    const store = new Map();
+    const objects = new Map();
+    const classes = new Map();
+
+    return {
+        ls: {
+            get: (key) => store.get(key) ?? null,
+            set: (key, value) => {
+                store.set(key, String(value));
+            },
+            remove: (key) => {
+                store.delete(key);
+            },
+            clear: () => store.clear(),
+            keys: () => [...store.keys()],
+            serialize: (value) => nodeRuntime.serialize(value),
+            deserialize: (bytes) => nodeRuntime.deserialize(bytes),
+            register: (ClassRef, hydrate, typeName) => {
+                classes.set(typeName || ClassRef.name, { ClassRef, hydrate });
+            },
+            hydrate: (typeName, data) => {
+                const entry = classes.get(typeName);
+                if (!entry) {
+                    throw new Error(`Type '${typeName}' is not registered`);
+                }
+                return entry.hydrate ? entry.hydrate(data) : Object.assign(new entry.ClassRef(), data);
+            },
+            setObject: (key, value) => {
+                objects.set(key, value);
+            },
+            getObject: (key) => objects.get(key)
+        },
+        bugger: {
+            toBase64: (bytes) => nodeRuntime.toBase64(bytes),
+            fromBase64: (base64) => nodeRuntime.fromBase64(base64)
+        },
+        crypto: {
+            randomBytes: (size) => Array.from(nodeRuntime.randomBytes(size), (byte) => byte.toString(16).padStart(2, '0')).join('')
+        },
+        log: (...args) => console.log(...args)
+    };
+}
+
+/**
+ * Installs a fake as the global `t`. Calls can be nested; each uninstall()
+ * restores the global that was in place before the matching install().
+ *
+ * Stores pick their runtime when constructed, so create them after installing.
+ *
+ * @param {FakeTitan} [fake=createFakeTitan()] - Fake to install
+ * @returns {FakeTitan} The installed fake
+ */
+export function install(fake = createFakeTitan()) {
+    installed.push(globalThis.t);
+    globalThis.t = fake;
+    return fake;
+}
+
+/**
+ * Restores the global `t` that was in place before the last install()
+ */
+export function uninstall() {
+    if (installed.length === 0) {
+        return;
+    }
+
+    const previous = installed.pop();
+    if (previous === undefined) {
+        delete globalThis.t;
+    } else {
+        globalThis.t = previous;
+    }
+}
+
+// ============================================================================
+// Assertions
+// ============================================================================
+
+/**
+ * Formats a property key as a path segment
+ * @param {string} key - Property key
+ * @param {boolean} inArray - Whether the key belongs to an array
+ * @returns {string} `[0]` for array indices, `.key` for identifiers, `["key"]` otherwise
+ */
+const pathSegment = (key, inArray) => {
+    if (inArray && /^\d+$/.test(key)) {
+        return `[${key}]`;
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+};
+
+/**
+ * Describes a prototype for error messages
+ * @param {object|null} proto - Prototype
+ * @returns {string} Constructor name or "null"
+ */
+const describeProto = (proto) => (proto === null ? 'null' : proto.constructor?.name || 'anonymous');
+
+/**
+ * Describes a value for error messages without invoking its methods
+ * @param {any} value - Value to describe
+ * @returns {string} Primitive text, or "an object"
+ */
+const describeValue = (value) => (value !== null && typeof value === 'object' ? 'an object' : String(value));
+
+/**
+ * Recursively compares two object graphs
+ * @param {any} actual - Restored value
+ * @param {any} expected - Original value
+ * @param {string} path - Path of the values being compared
+ * @param {Map<object, object>} pairs - Original objects already matched to restored ones
+ * @param {Map<object, object>} restored - The same matches, from restored object to original
+ * @throws {Error} On the first difference
+ */
+const compareGraphs = (actual, expected, path, pairs, restored) => {
+    const fail = (message) => {
+        throw new Error(`${path}: ${message}`);
+    };
+
+    if (expected === null || (typeof expected !== 'object' && typeof expected !== 'function')) {
+        if (!Object.is(actual, expected)) {
+            fail(`expected ${describeValue(expected)}, got ${describeValue(actual)}`);
+        }
+        return;
+    }
+
+    if (actual === null || typeof actual !== 'object') {
+        fail(`expected an object, got ${describeValue(actual)}`);
+    }
+
+    // Shared references and cycles must map to the same restored object
+    if (pairs.has(expected)) {
+        if (pairs.get(expected) !== actual) {
+            fail('expected a reference to an object seen earlier, got a different object');
+        }
+        return;
+    }
+    if (restored.has(actual)) {
+        fail(`expected a distinct object, got the one restored for a different original (${describeProto(Object.getPrototypeOf(restored.get(actual)))})`);
+    }
+    pairs.set(expected, actual);
+    restored.set(actual, expected);
+
+    const expectedProto = Object.getPrototypeOf(expected);
+    if (Object.getPrototypeOf(actual) !== expectedProto) {
+        fail(`expected prototype ${describeProto(expectedProto)}, got ${describeProto(Object.getPrototypeOf(actual))}`);
+    }
+
+    if (expected instanceof Date) {
+        if (!Object.is(actual.getTime(), expected.getTime())) {
+            fail(`expected date ${expected.getTime()}, got ${actual.getTime()}`);
+        }
+    } else if (expected instanceof RegExp) {
+        if (actual.source !== expected.source || actual.flags !== expected.flags) {
+            fail(`expected ${expected}, got ${actual}`);
+        }
+    } else if (ArrayBuffer.isView(expected) || expected instanceof ArrayBuffer) {
+        const a = new Uint8Array(ArrayBuffer.isView(actual) ? actual.buffer.slice(actual.byteOffset, actual.byteOffset + actual.byteLength) : actual);
+        const e = new Uint8Array(ArrayBuffer.isView(expected) ? expected.buffer.slice(expected.byteOffset, expected.byteOffset + expected.byteLength) : expected);
+        if (a.length !== e.length || a.some((byte, i) => byte !== e[i])) {
+            fail('binary contents differ');
+        }
+        return;
+    } else if (expected instanceof Map) {
+        if (actual.size !== expected.size) {
+            fail(`expected Map of size ${expected.size}, got ${actual.size}`);
+        }
+        const actualEntries = [...actual];
+        [...expected].forEach(([key, value], i) => {
+            compareGraphs(actualEntries[i][0], key, `${path}<key #${i}>`, pairs, restored);
+            compareGraphs(actualEntries[i][1], value, `${path}<value #${i}>`, pairs, restored);
+        });
+    } else if (expected instanceof Set) {
+        if (actual.size !== expected.size) {
+            fail(`expected Set of size ${expected.size}, got ${actual.size}`);
+        }
+        const actualValues = [...actual];
+        [...expected].forEach((value, i) => compareGraphs(actualValues[i], value, `${path}<#${i}>`, pairs, restored));
+    } else if ([Number, String, Boolean, BigInt].some((Box) => expected instanceof Box)) {
+        compareGraphs(actual.valueOf(), expected.valueOf(), `${path}<value>`, pairs, restored);
+    }
+
+    const expectedKeys = Object.keys(expected);
+    const actualKeys = Object.keys(actual);
+    const missing = expectedKeys.filter((key) => !Object.hasOwn(actual, key));
+    const extra = actualKeys.filter((key) => !Object.hasOwn(expected, key));
+    if (missing.length > 0 || extra.length > 0) {
+        fail(`keys differ (missing: [${missing.join(', ')}], unexpected: [${extra.join(', ')}])`);
+    }
+
+    for (const key of expectedKeys) {
+        compareGraphs(actual[key], expected[key], path + pathSegment(key, Array.isArray(expected)), pairs, restored);
+    }
+};
+
+/**
+ * Asserts that two object graphs are equivalent: same values, same prototypes,
+ * and the same shape of shared references and cycles.
+ *
+ * @param {any} actual - Value to check
+ * @param {any} expected - Reference value
+ * @throws {Error} Describing the path of the first difference
+ *
+ * @example
+ * expectSameGraph(superLs.get('graph'), original);
+ */
+export function expectSameGraph(actual, expected) {
+    compareGraphs(actual, expected, 'value', new Map(), new Map());
+}
+
+/**
+ * Stores a value, reads it back and asserts the result is an equivalent graph
+ * (see expectSameGraph()). The round trip goes through serialization, so the
+ * restored value is a new object even for identical data.
+ *
+ * @template T
+ * @param {T} value - Value to round-trip
+ * @param {RoundTripOptions} [options={}] - Store and classes to use
+ * @returns {T} The restored value, for further assertions
+ * @throws {Error} If the restored value differs
+ *
+ * @example
+ * const restored = expectRoundTrip(new Team([alice, bob]), { classes: [Team, Player] });
+ */
+export function expectRoundTrip(value, { store, classes = [] } = {}) {
+    if (!store) {
+        store = new SuperLocalStorage('__roundtrip__', { backend: new MemoryBackend() });
+        for (const ClassRef of classes) {
+            store.register(ClassRef);
+        }
+    }
+
+    const key = `roundtrip:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+    store.set(key, value);
+    try {
+        const restored = store.get(key);
+        expectSameGraph(restored, value);
+        return restored;
+    } finally {
+        store.remove(key);
+    }
+}
@@ -1,10 +1,14 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { SuperLocalStorage } from "../index.js"
+import { install, uninstall } from "../testing.js"
 
 describe('SuperLocalStorage', () => {
+    beforeEach(() => install())
+    afterEach(() => uninstall())
+
     it('should set and get an item', () => {
         const storage = new SuperLocalStorage();
         storage.set('key', 'value');
         expect(storage.get('key')).toBe('value');
     })
-})
\ No newline at end of file
+})
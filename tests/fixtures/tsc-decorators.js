@@ -0,0 +1,84 @@
+var __esDecorate = (this && this.__esDecorate) || function (ctor, descriptorIn, decorators, contextIn, initializers, extraInitializers) {
+    function accept(f) { if (f !== void 0 && typeof f !== "function") throw new TypeError("Function expected"); return f; }
+    var kind = contextIn.kind, key = kind === "getter" ? "get" : kind === "setter" ? "set" : "value";
+    var target = !descriptorIn && ctor ? contextIn["static"] ? ctor : ctor.prototype : null;
+    var descriptor = descriptorIn || (target ? Object.getOwnPropertyDescriptor(target, contextIn.name) : {});
+    var _, done = false;
+    for (var i = decorators.length - 1; i >= 0; i--) {
+        var context = {};
+        for (var p in contextIn) context[p] = p === "access" ? {} : contextIn[p];
+        for (var p in contextIn.access) context.access[p] = contextIn.access[p];
+        context.addInitializer = function (f) { if (done) throw new TypeError("Cannot add initializers after decoration has completed"); extraInitializers.push(accept(f || null)); };
+        var result = (0, decorators[i])(kind === "accessor" ? { get: descriptor.get, set: descriptor.set } : descriptor[key], context);
+        if (kind === "accessor") {
+            if (result === void 0) continue;
+            if (result === null || typeof result !== "object") throw new TypeError("Object expected");
+            if (_ = accept(result.get)) descriptor.get = _;
+            if (_ = accept(result.set)) descriptor.set = _;
+            if (_ = accept(result.init)) initializers.unshift(_);
+        }
+        else if (_ = accept(result)) {
+            if (kind === "field") initializers.unshift(_);
+            else descriptor[key] = _;
+        }
+    }
+    if (target) Object.defineProperty(target, contextIn.name, descriptor);
+    done = true;
+};
+var __runInitializers = (this && this.__runInitializers) || function (thisArg, initializers, value) {
+    var useValue = arguments.length > 2;
+    for (var i = 0; i < initializers.length; i++) {
+        value = useValue ? initializers[i].call(thisArg, value) : initializers[i].call(thisArg);
+    }
+    return useValue ? value : void 0;
+};
+// Source of tsc-decorators.js, which is what TypeScript emits for it:
+// tsc --target es2022 --module esnext --noCheck tests/fixtures/tsc-decorators.ts
+import { SuperLocalStorage, serializable, transient, serializeAs } from '../../index.js';
+export const store = new SuperLocalStorage('tsc_');
+// Field decorators only, registered with register()
+let Session = (() => {
+    let _socket_decorators;
+    let _socket_initializers = [];
+    let _socket_extraInitializers = [];
+    return class Session {
+        static {
+            const _metadata = typeof Symbol === "function" && Symbol.metadata ? Object.create(null) : void 0;
+            _socket_decorators = [transient];
+            __esDecorate(null, null, _socket_decorators, { kind: "field", name: "socket", static: false, private: false, access: { has: obj => "socket" in obj, get: obj => obj.socket, set: (obj, value) => { obj.socket = value; } }, metadata: _metadata }, _socket_initializers, _socket_extraInitializers);
+            if (_metadata) Object.defineProperty(this, Symbol.metadata, { enumerable: true, configurable: true, writable: true, value: _metadata });
+        }
+        socket = __runInitializers(this, _socket_initializers, null);
+        user = (__runInitializers(this, _socket_extraInitializers), '');
+    };
+})();
+export { Session };
+// Defined right after a class with field decorators, with a field of the same name
+let Connection = (() => {
+    let _classDecorators = [serializable('TscConnection', { store })];
+    let _classDescriptor;
+    let _classExtraInitializers = [];
+    let _classThis;
+    let _opened_decorators;
+    let _opened_initializers = [];
+    let _opened_extraInitializers = [];
+    var Connection = class {
+        static { _classThis = this; }
+        static {
+            const _metadata = typeof Symbol === "function" && Symbol.metadata ? Object.create(null) : void 0;
+            _opened_decorators = [serializeAs((date) => date.toISOString(), (text) => new Date(text))];
+            __esDecorate(null, null, _opened_decorators, { kind: "field", name: "opened", static: false, private: false, access: { has: obj => "opened" in obj, get: obj => obj.opened, set: (obj, value) => { obj.opened = value; } }, metadata: _metadata }, _opened_initializers, _opened_extraInitializers);
+            __esDecorate(null, _classDescriptor = { value: _classThis }, _classDecorators, { kind: "class", name: _classThis.name, metadata: _metadata }, null, _classExtraInitializers);
+            Connection = _classThis = _classDescriptor.value;
+            if (_metadata) Object.defineProperty(_classThis, Symbol.metadata, { enumerable: true, configurable: true, writable: true, value: _metadata });
+            __runInitializers(_classThis, _classExtraInitializers);
+        }
+        socket = '';
+        opened = __runInitializers(this, _opened_initializers, new Date(0));
+        constructor() {
+            __runInitializers(this, _opened_extraInitializers);
+        }
+    };
+    return Connection = _classThis;
+})();
+export { Connection };
@@ -0,0 +1,19 @@
+// Source of tsc-decorators.js, which is what TypeScript emits for it:
+// tsc --target es2022 --module esnext --noCheck tests/fixtures/tsc-decorators.ts
+import { SuperLocalStorage, serializable, transient, serializeAs } from '../../index.js';
+
+export const store = new SuperLocalStorage('tsc_');
+
+// Field decorators only, registered with register()
+export class Session {
+    @transient socket: object | null = null;
+    user = '';
+}
+
+// Defined right after a class with field decorators, with a field of the same name
+@serializable('TscConnection', { store })
+export class Connection {
+    socket = '';
+    @serializeAs((date: Date) => date.toISOString(), (text: string) => new Date(text))
+    opened = new Date(0);
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+describe('Revisions and atomic updates', () => {
+    let storage;
+    let otherThread;
+
+    beforeEach(() => {
+        t.ls.clear();
+        storage = new SuperLocalStorage('cas_');
+        otherThread = new SuperLocalStorage('cas_');
+    });
+
+    it('getRevision() should increment on every set', () => {
+        expect(storage.getRevision('k')).toBe(0);
+
+        storage.set('k', 'a');
+        expect(storage.getRevision('k')).toBe(1);
+
+        storage.set('k', 'b');
+        expect(storage.getRevision('k')).toBe(2);
+    });
+
+    it('compareAndSet() should only write at the expected revision', () => {
+        storage.set('stock', 10);
+
+        expect(storage.compareAndSet('stock', 0, 99)).toBe(false);
+        expect(storage.get('stock')).toBe(10);
+
+        expect(storage.compareAndSet('stock', 1, 9)).toBe(true);
+        expect(storage.get('stock')).toBe(9);
+        expect(storage.getRevision('stock')).toBe(2);
+    });
+
+    it('compareAndSet() with revision 0 should only create missing keys', () => {
+        expect(storage.compareAndSet('lock', 0, 'owner-a')).toBe(true);
+        expect(storage.compareAndSet('lock', 0, 'owner-b')).toBe(false);
+        expect(storage.get('lock')).toBe('owner-a');
+    });
+
+    it('update() should apply fn to the hydrated value', () => {
+        storage.set('tags', new Set(['a']));
+
+        const result = storage.update('tags', (tags) => tags.add('b'));
+
+        expect(result).toEqual(new Set(['a', 'b']));
+        expect(storage.get('tags')).toEqual(new Set(['a', 'b']));
+    });
+
+    it('update() should pass null for missing keys', () => {
+        storage.update('visits', (count) => (count ?? 0) + 1);
+        storage.update('visits', (count) => (count ?? 0) + 1);
+
+        expect(storage.get('visits')).toBe(2);
+    });
+
+    it('update() should retry when another writer changes the key', () => {
+        storage.set('counter', 0);
+        let interfered = false;
+
+        const fn = vi.fn((count) => {
+            if (!interfered) {
+                interfered = true;
+                otherThread.set('counter', 100);
+            }
+            return count + 1;
+        });
+
+        expect(storage.update('counter', fn)).toBe(101);
+        expect(fn).toHaveBeenCalledTimes(2);
+        expect(storage.get('counter')).toBe(101);
+    });
+
+    it('update() should give up after maxAttempts', () => {
+        storage.set('hot', 0);
+
+        const fn = (value) => {
+            otherThread.set('hot', value + 1);
+            return value;
+        };
+
+        expect(() => storage.update('hot', fn, { maxAttempts: 3 })).toThrow('gave up after 3 attempts');
+    });
+
+    it('update() should keep the current expiry unless a new one is given', () => {
+        const expireAt = Date.now() + 60000;
+        storage.set('session', 1, { expireAt });
+
+        storage.update('session', (n) => n + 1);
+        expect(JSON.parse(t.ls.get('cas_session').split('\n')[0]).expiresAt).toBe(expireAt);
+
+        storage.update('session', (n) => n + 1, { ttl: 1000 });
+        expect(JSON.parse(t.ls.get('cas_session').split('\n')[0]).expiresAt).not.toBe(expireAt);
+    });
+});
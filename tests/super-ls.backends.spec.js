@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage, MemoryBackend, TitanLsBackend } from '../index.js';
+
+class Point {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    sum() {
+        return this.x + this.y;
+    }
+}
+
+describe('Storage backends', () => {
+    beforeEach(() => {
+        t.ls.clear();
+    });
+
+    it('should store entries in a MemoryBackend without touching t.ls', () => {
+        const backend = new MemoryBackend();
+        const store = new SuperLocalStorage('mem_', { backend });
+        store.register(Point);
+
+        store.set('point', new Point(1, 2));
+        store.setMany({ a: 1, b: 2 });
+
+        expect(t.ls.keys()).toEqual([]);
+        expect(backend.list()).toContain('mem_point');
+        expect(store.get('point').sum()).toBe(3);
+        expect(store.keys().sort()).toEqual(['a', 'b', 'point']);
+
+        store.clean();
+        expect(backend.list()).toEqual([]);
+    });
+
+    it('should keep separate MemoryBackends isolated', () => {
+        const first = new SuperLocalStorage('mem_', { backend: new MemoryBackend() });
+        const second = new SuperLocalStorage('mem_', { backend: new MemoryBackend() });
+
+        first.set('key', 'first');
+
+        expect(second.has('key')).toBe(false);
+    });
+
+    it('namespaces should share the parent backend', () => {
+        const backend = new MemoryBackend();
+        const store = new SuperLocalStorage({ prefix: 'mem_', backend });
+
+        store.ns('users').set('alice', { age: 30 });
+
+        expect(backend.read('mem_users:alice')).not.toBeNull();
+        expect(store.keys()).toEqual(['users:alice']);
+    });
+
+    it('transactions, expiration and revisions should work on any backend', () => {
+        const store = new SuperLocalStorage('mem_', { backend: new MemoryBackend() });
+
+        store.transaction((tx) => {
+            tx.set('a', 1);
+            tx.set('b', 2, { expireAt: Date.now() - 1 });
+        });
+        store.update('a', (value) => value + 1);
+
+        expect(store.get('a')).toBe(2);
+        expect(store.getRevision('a')).toBe(2);
+        expect(store.get('b')).toBeNull();
+    });
+
+    it('should use t.ls through TitanLsBackend by default', () => {
+        const store = new SuperLocalStorage('titan_');
+        const explicit = new SuperLocalStorage('titan_', { backend: new TitanLsBackend() });
+
+        store.set('key', 'value');
+
+        expect(t.ls.get('titan_key')).not.toBeNull();
+        expect(explicit.get('key')).toBe('value');
+    });
+
+    it('should accept a custom backend', () => {
+        const calls = [];
+        const data = new Map();
+        const backend = {
+            read: (key) => data.get(key) ?? null,
+            write: (key, value) => {
+                calls.push(`write ${key}`);
+                data.set(key, value);
+            },
+            delete: (key) => {
+                calls.push(`delete ${key}`);
+                data.delete(key);
+            },
+            list: () => [...data.keys()],
+            clear: () => data.clear()
+        };
+        const store = new SuperLocalStorage('custom_', { backend });
+
+        store.set('key', new Set([1, 2]));
+        store.remove('key');
+
+        expect(calls).toEqual(['write custom_key', 'delete custom_key']);
+    });
+
+    it('should reject incomplete backends', () => {
+        expect(() => new SuperLocalStorage({ backend: { read() {}, write() {} } }))
+            .toThrow('Invalid backend: missing delete() method');
+    });
+});
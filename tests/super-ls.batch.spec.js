@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+class Player {
+    constructor(name = '', score = 0) {
+        this.name = name;
+        this.score = score;
+    }
+
+    addScore(points) {
+        this.score += points;
+    }
+}
+
+describe('Batch operations', () => {
+    let storage;
+
+    beforeEach(() => {
+        t.ls.clear();
+        storage = new SuperLocalStorage('batch_');
+        storage.register(Player);
+    });
+
+    it('should store and read many values', () => {
+        storage.setMany({ a: 1, b: new Map([['x', 2]]), c: new Player('Alice', 3) });
+
+        const { values, missing } = storage.getMany(['a', 'b', 'c']);
+
+        expect(missing).toEqual([]);
+        expect(values.a).toBe(1);
+        expect(values.b.get('x')).toBe(2);
+        expect(values.c).toBeInstanceOf(Player);
+    });
+
+    it('should accept a Map or an array of pairs', () => {
+        storage.setMany(new Map([['a', 1], ['b', 2]]));
+        storage.setMany([['c', 3], ['d', 4]]);
+
+        expect(storage.getMany(['a', 'b', 'c', 'd']).values).toEqual({ a: 1, b: 2, c: 3, d: 4 });
+    });
+
+    it('should serialize the whole batch once', () => {
+        const serialize = vi.spyOn(t.ls, 'serialize');
+
+        storage.setMany({ a: 1, b: 2, c: 3 });
+
+        expect(serialize).toHaveBeenCalledTimes(1);
+        serialize.mockRestore();
+    });
+
+    it('should keep shared object identity across values in one batch', () => {
+        const owner = new Player('Alice', 10);
+        storage.setMany({
+            'team:red': { captain: owner },
+            'team:blue': { coach: owner }
+        });
+
+        const { values } = storage.getMany(['team:red', 'team:blue']);
+
+        expect(values['team:red'].captain).toBe(values['team:blue'].coach);
+        values['team:red'].captain.addScore(5);
+        expect(values['team:blue'].coach.score).toBe(15);
+    });
+
+    it('should report missing keys explicitly', () => {
+        storage.set('a', 1);
+
+        const { values, missing } = storage.getMany(['a', 'nope']);
+
+        expect(values).toEqual({ a: 1 });
+        expect(missing).toEqual(['nope']);
+        expect('nope' in values).toBe(false);
+    });
+
+    it('batch entries should work with get(), keys() and TTL', () => {
+        storage.setMany({ a: 1, b: 2 }, { expireAt: Date.now() + 60000 });
+
+        expect(storage.get('b')).toBe(2);
+        expect(storage.keys().sort()).toEqual(['a', 'b']);
+        expect(storage.size()).toBe(2);
+    });
+
+    it('removeMany() should report removed and missing keys', () => {
+        storage.setMany({ a: 1, b: 2 });
+
+        const result = storage.removeMany(['a', 'b', 'c']);
+
+        expect(result).toEqual({ removed: ['a', 'b'], missing: ['c'] });
+        expect(storage.get('a')).toBeNull();
+    });
+
+    it('should delete the batch blob once every key is overwritten or removed', () => {
+        storage.setMany({ a: 1, b: 2, c: 3 });
+
+        storage.set('a', 10);
+        storage.remove('b');
+        expect(t.ls.keys().length).toBe(4); // a, c, blob and its reference count
+
+        storage.removeMany(['c']);
+        expect(t.ls.keys()).toEqual(['batch_a']);
+    });
+
+    it('clean() should also remove batch blobs', () => {
+        storage.setMany({ a: 1, b: 2 });
+
+        storage.clean();
+
+        expect(t.ls.keys()).toEqual([]);
+    });
+
+    it('watchers should see old batch values on removal', () => {
+        const events = [];
+        storage.setMany({ a: 'x', b: 'y' });
+        storage.watch('*', (event) => events.push(event));
+
+        storage.removeMany(['a', 'b']);
+
+        expect(events.map((e) => e.oldValue)).toEqual(['x', 'y']);
+    });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+class ValidationError extends Error {
+    constructor(message, field = '') {
+        super(message);
+        this.field = field;
+    }
+}
+
+describe('Built-in types', () => {
+    let store;
+
+    beforeEach(() => {
+        t.ls.clear();
+        store = new SuperLocalStorage('builtin_');
+    });
+
+    const roundTrip = (value) => {
+        store.set('value', value);
+        return store.get('value');
+    };
+
+    it('should restore errors with their type, message, stack, cause and fields', () => {
+        const cause = new TypeError('bad input');
+        const error = new RangeError('out of range', { cause });
+        error.code = 'E_RANGE';
+
+        const restored = roundTrip({ error });
+
+        expect(restored.error).toBeInstanceOf(RangeError);
+        expect(restored.error.message).toBe('out of range');
+        expect(restored.error.stack).toBe(error.stack);
+        expect(restored.error.code).toBe('E_RANGE');
+        expect(restored.error.cause).toBeInstanceOf(TypeError);
+        expect(restored.error.cause.message).toBe('bad input');
+        expect(Object.keys(restored.error)).toEqual(['code']);
+        expect('cause' in roundTrip(new Error('no cause'))).toBe(false);
+    });
+
+    it('should restore AggregateError with its errors', () => {
+        const restored = roundTrip(new AggregateError([new Error('a'), new SyntaxError('b')], 'many'));
+
+        expect(restored).toBeInstanceOf(AggregateError);
+        expect(restored.message).toBe('many');
+        expect(restored.errors.map((error) => error.constructor)).toEqual([Error, SyntaxError]);
+    });
+
+    it('should restore unregistered Error subclasses as their built-in base, keeping name and fields', () => {
+        const restored = roundTrip(new ValidationError('invalid email', 'email'));
+
+        expect(restored).toBeInstanceOf(Error);
+        expect(restored.name).toBe('Error');
+        expect(restored.field).toBe('email');
+
+        class NotFound extends TypeError {}
+        NotFound.prototype.name = 'NotFound';
+        const notFound = roundTrip(new NotFound('missing'));
+        expect(notFound).toBeInstanceOf(TypeError);
+        expect(String(notFound)).toBe('NotFound: missing');
+    });
+
+    it('should restore registered Error subclasses with message, stack and cause', () => {
+        store.register(ValidationError);
+        const error = new ValidationError('invalid email', 'email');
+        error.cause = 'typo';
+
+        const restored = roundTrip(error);
+
+        expect(restored).toBeInstanceOf(ValidationError);
+        expect(restored.message).toBe('invalid email');
+        expect(restored.stack).toBe(error.stack);
+        expect(restored.cause).toBe('typo');
+        expect(restored.field).toBe('email');
+    });
+
+    it('should keep circular references through error causes', () => {
+        const error = new Error('loop');
+        error.cause = { error };
+
+        const restored = roundTrip(error);
+
+        expect(restored.cause.error).toBe(restored);
+    });
+
+    it('should restore null-prototype objects', () => {
+        const dict = Object.create(null);
+        dict.toString = 'not a method';
+        dict.nested = Object.create(null);
+        dict.self = dict;
+
+        const restored = roundTrip(dict);
+
+        expect(Object.getPrototypeOf(restored)).toBeNull();
+        expect(Object.getPrototypeOf(restored.nested)).toBeNull();
+        expect(restored.toString).toBe('not a method');
+        expect(restored.self).toBe(restored);
+    });
+
+    it('should restore boxed primitives', () => {
+        const restored = roundTrip([new String('ab'), new Number(4), new Boolean(false), Object(10n)]);
+
+        expect(restored[0]).toBeInstanceOf(String);
+        expect(restored[0].valueOf()).toBe('ab');
+        expect(restored[1]).toBeInstanceOf(Number);
+        expect(restored[1].valueOf()).toBe(4);
+        expect(restored[2]).toBeInstanceOf(Boolean);
+        expect(restored[2].valueOf()).toBe(false);
+        expect(typeof restored[3]).toBe('object');
+        expect(restored[3].valueOf()).toBe(10n);
+    });
+
+    it('should keep holes in sparse arrays', () => {
+        const sparse = [1, , 3];
+        sparse.length = 5;
+
+        const restored = roundTrip({ sparse, nested: new Map([['k', [, 'x']]]) });
+
+        expect(restored.sparse.length).toBe(5);
+        expect(1 in restored.sparse).toBe(false);
+        expect(4 in restored.sparse).toBe(false);
+        expect(restored.sparse[2]).toBe(3);
+        expect(0 in restored.nested.get('k')).toBe(false);
+    });
+
+    it('should restore URL and URLSearchParams', () => {
+        const url = new URL('https://example.com/a?b=1#c');
+        const restored = roundTrip({ url, params: new URLSearchParams('q=x&q=y'), again: url });
+
+        expect(restored.url).toBeInstanceOf(URL);
+        expect(restored.url.href).toBe('https://example.com/a?b=1#c');
+        expect(restored.again).toBe(restored.url);
+        expect(restored.params).toBeInstanceOf(URLSearchParams);
+        expect(restored.params.getAll('q')).toEqual(['x', 'y']);
+    });
+
+    it('should accept built-in types in strict mode and with allowedTypes', () => {
+        const strict = new SuperLocalStorage({ prefix: 'builtin_', strict: true });
+        const value = { error: new TypeError('x'), dict: Object.create(null), url: new URL('https://example.com'), n: new Number(1) };
+
+        expect(strict.validate(value)).toEqual([]);
+        expect(strict.deserialize(strict.serialize(value), { allowedTypes: [] }).error).toBeInstanceOf(TypeError);
+    });
+
+    it('should reserve the builtin: type name prefix', () => {
+        expect(() => store.register(ValidationError, 'builtin:Error')).toThrow(
+            "Invalid type name builtin:Error: the 'builtin:' prefix is reserved for built-in types"
+        );
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage, SerializationError } from '../index.js';
+
+class Animal {
+    constructor(name = '') {
+        this.name = name;
+    }
+
+    speak() {
+        return `${this.name} makes a sound`;
+    }
+}
+
+class Dog extends Animal {
+    speak() {
+        return `${this.name} barks`;
+    }
+}
+
+class Puppy extends Dog {}
+
+describe('Class resolution', () => {
+    let store;
+
+    beforeEach(() => {
+        t.ls.clear();
+        store = new SuperLocalStorage('cls_');
+    });
+
+    it('should store subclasses as the most derived registered class, whatever the registration order', () => {
+        store.register(Animal);
+        store.register(Dog);
+
+        store.set('pets', [new Animal('generic'), new Dog('rex')]);
+        const [animal, dog] = store.get('pets');
+
+        expect(animal.constructor).toBe(Animal);
+        expect(dog).toBeInstanceOf(Dog);
+        expect(dog.speak()).toBe('rex barks');
+    });
+
+    it('should fall back to the closest registered ancestor', () => {
+        store.register(Animal);
+        store.register(Dog);
+
+        store.set('puppy', new Puppy('bit'));
+
+        const puppy = store.get('puppy');
+        expect(puppy.constructor).toBe(Dog);
+        expect(puppy.speak()).toBe('bit barks');
+    });
+
+    it('should stop matching a class once its type name is registered to another class', () => {
+        store.register(Animal, 'Pet');
+        store.register(Dog, 'Pet');
+
+        store.set('animal', new Animal('generic'));
+
+        expect(store.get('animal')).not.toBeInstanceOf(Animal);
+    });
+
+    it('namespaces should share the constructor lookup', () => {
+        store.register(Dog);
+
+        store.ns('kennel').set('rex', new Dog('rex'));
+
+        expect(store.ns('kennel').get('rex')).toBeInstanceOf(Dog);
+    });
+
+    it('requireExactClass should reject instances whose own class is not registered', () => {
+        const strict = new SuperLocalStorage('cls_', { requireExactClass: true });
+        strict.register(Animal);
+
+        expect(() => strict.set('dog', new Dog('rex'))).toThrow(SerializationError);
+        expect(() => strict.set('dog', new Dog('rex')))
+            .toThrow('Cannot store Dog instance at root: its class is not registered, only its ancestor Animal is');
+        expect(strict.has('dog')).toBe(false);
+
+        strict.register(Dog);
+        strict.set('dog', new Dog('rex'));
+        expect(strict.get('dog')).toBeInstanceOf(Dog);
+
+        // Unrelated plain objects are unaffected
+        strict.set('plain', { name: 'x' });
+        expect(strict.get('plain')).toEqual({ name: 'x' });
+    });
+
+    it('requireExactClass problems should be listed by validate() with their path', () => {
+        const strict = new SuperLocalStorage('cls_', { requireExactClass: true });
+        strict.register(Animal);
+        strict.register(Dog);
+
+        const problems = strict.validate({ pets: [new Animal('cat'), new Puppy('bit')], pup: new Puppy('rex') });
+
+        expect(problems.map((problem) => [problem.path, problem.valueType])).toEqual([
+            ['root.pets[1]', 'Puppy instance'],
+            ['root.pup', 'Puppy instance']
+        ]);
+        expect(problems[0]).toBeInstanceOf(SerializationError);
+        expect(problems[0].suggestion).toContain('only its ancestor Dog is');
+    });
+});
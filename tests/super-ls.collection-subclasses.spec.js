@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+class Inventory extends Map {
+    constructor() {
+        super();
+        this.owner = '';
+    }
+
+    total() {
+        return [...this.values()].reduce((sum, count) => sum + count, 0);
+    }
+}
+
+class TagSet extends Set {
+    has(tag) {
+        return super.has(tag.toLowerCase());
+    }
+}
+
+class Path extends Array {
+    last() {
+        return this[this.length - 1];
+    }
+}
+
+class Deadline extends Date {
+    isPast(now) {
+        return this.getTime() < now;
+    }
+}
+
+class Guarded extends Map {
+    set(key, value) {
+        if (key === 'locked') {
+            throw new Error('locked');
+        }
+        return super.set(key, value);
+    }
+}
+
+describe('Collection subclasses and extensibility', () => {
+    let store;
+
+    beforeEach(() => {
+        t.ls.clear();
+        store = new SuperLocalStorage('collections_');
+        store.register(Inventory);
+        store.register(TagSet);
+        store.register(Path);
+        store.register(Deadline);
+    });
+
+    const roundTrip = (value, target = store) => {
+        target.set('value', value);
+        return target.get('value');
+    };
+
+    it('should restore registered Map subclasses with their entries and fields', () => {
+        const inventory = new Inventory();
+        inventory.owner = 'alice';
+        inventory.set('sword', 1).set('potion', 3);
+
+        const restored = roundTrip(inventory);
+
+        expect(restored).toBeInstanceOf(Inventory);
+        expect(restored.owner).toBe('alice');
+        expect([...restored]).toEqual([['sword', 1], ['potion', 3]]);
+        expect(restored.total()).toBe(4);
+    });
+
+    it('should restore registered Set, Array and Date subclasses', () => {
+        const path = Path.from(['a', 'b']);
+        path[4] = 'e';
+        path.label = 'route';
+
+        const restored = roundTrip({
+            tags: new TagSet(['js', 'ts']),
+            path,
+            deadline: new Deadline(1000)
+        });
+
+        expect(restored.tags).toBeInstanceOf(TagSet);
+        expect(restored.tags.has('JS')).toBe(true);
+        expect(restored.path).toBeInstanceOf(Path);
+        expect(restored.path.length).toBe(5);
+        expect(2 in restored.path).toBe(false);
+        expect(restored.path.last()).toBe('e');
+        expect(restored.path.label).toBe('route');
+        expect(Object.keys(restored.path)).toEqual(['0', '1', '4', 'label']);
+        expect(restored.deadline).toBeInstanceOf(Deadline);
+        expect(restored.deadline.getTime()).toBe(1000);
+        expect(restored.deadline.isPast(2000)).toBe(true);
+    });
+
+    it('should restore entries without calling overridden methods', () => {
+        store.register(Guarded);
+        const guarded = new Guarded();
+        Map.prototype.set.call(guarded, 'locked', true);
+
+        expect(roundTrip(guarded).get('locked')).toBe(true);
+    });
+
+    it('should keep shared and circular references inside entries', () => {
+        const inventory = new Inventory();
+        const nested = new Inventory();
+        inventory.set('self', inventory).set('a', nested).set('b', nested);
+
+        const restored = roundTrip([inventory, nested]);
+
+        expect(restored[0].get('self')).toBe(restored[0]);
+        expect(restored[0].get('a')).toBe(restored[1]);
+        expect(restored[0].get('b')).toBe(restored[1]);
+    });
+
+    it('should refuse to store a field that refers back to the collection', () => {
+        const inventory = new Inventory();
+        inventory.owner = { inventory };
+
+        expect(() => store.set('inventory', inventory)).toThrow(
+            'Cannot store reference back to the Inventory instance at root.owner.inventory'
+        );
+        expect(store.has('inventory')).toBe(false);
+    });
+
+    it('should not keep frozen state by default', () => {
+        const restored = roundTrip(Object.freeze({ list: Object.freeze([1]) }));
+
+        expect(Object.isFrozen(restored)).toBe(false);
+        expect(Object.isFrozen(restored.list)).toBe(false);
+        expect(t.ls.get('collections_value')).not.toContain('Integrity');
+    });
+
+    it('should keep frozen, sealed and non-extensible objects with preserveExtensibility', () => {
+        const locking = new SuperLocalStorage({ prefix: 'collections_', preserveExtensibility: true });
+        locking.register(Inventory);
+        const inventory = Object.freeze(new Inventory().set('a', 1));
+        const config = Object.freeze({
+            list: Object.freeze([1, 2]),
+            sealed: Object.seal({ a: 1 }),
+            closed: Object.preventExtensions({ b: 2 }),
+            open: { c: 3 },
+            inventory
+        });
+
+        const restored = roundTrip({ config, again: config }, locking);
+
+        expect(restored.again).toBe(restored.config);
+        expect(Object.isFrozen(restored.config)).toBe(true);
+        expect(Object.isFrozen(restored.config.list)).toBe(true);
+        expect(Object.isSealed(restored.config.sealed)).toBe(true);
+        expect(Object.isFrozen(restored.config.sealed)).toBe(false);
+        expect(Object.isExtensible(restored.config.closed)).toBe(false);
+        expect(Object.isSealed(restored.config.closed)).toBe(false);
+        expect(Object.isExtensible(restored.config.open)).toBe(true);
+        expect(Object.isExtensible(restored)).toBe(true);
+        expect(Object.isFrozen(restored.config.inventory)).toBe(true);
+        expect(restored.config.inventory.get('a')).toBe(1);
+    });
+
+    it('should keep frozen circular graphs and frozen class instances with preserveExtensibility', () => {
+        class Point {
+            constructor(x = 0) {
+                this.x = x;
+            }
+        }
+        const locking = new SuperLocalStorage({ prefix: 'collections_', preserveExtensibility: true });
+        locking.register(Point);
+        const node = { point: Object.freeze(new Point(1)) };
+        node.self = node;
+        Object.freeze(node);
+
+        const restored = locking.deserialize(locking.serialize(node));
+
+        expect(restored.self).toBe(restored);
+        expect(Object.isFrozen(restored)).toBe(true);
+        expect(restored.point).toBeInstanceOf(Point);
+        expect(Object.isFrozen(restored.point)).toBe(true);
+        // Reading applies stored levels whether or not the reader has the option
+        expect(Object.isFrozen(store.deserialize(locking.serialize(node)))).toBe(true);
+    });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+import { compress, decompress } from '../utils/lz4.js';
+
+const headerOf = (rawKey) => JSON.parse(t.ls.get(rawKey).split('\n')[0]);
+
+const bigMap = (size = 2000) => new Map(Array.from({ length: size }, (_, i) => [`user-${i}`, { id: i, role: 'member' }]));
+
+class Catalog {
+    constructor(items = []) {
+        this.items = items;
+    }
+
+    count() {
+        return this.items.length;
+    }
+}
+
+describe('Compression', () => {
+    beforeEach(() => {
+        t.ls.clear();
+    });
+
+    it('should compress payloads above the threshold and read them back', () => {
+        const store = new SuperLocalStorage('cmp_', { compression: { threshold: 1024 } });
+        const users = bigMap();
+
+        store.set('users', users);
+
+        const header = headerOf('cmp_users');
+        expect(header.compression).toBe('lz4');
+        expect(header.rawSize).toBe(t.ls.serialize(users).length);
+        expect(store.get('users')).toEqual(users);
+    });
+
+    it('should leave small payloads uncompressed', () => {
+        const store = new SuperLocalStorage('cmp_', { compression: {} });
+
+        store.set('small', { a: 1 });
+
+        expect(headerOf('cmp_small').compression).toBeUndefined();
+        expect(store.get('small')).toEqual({ a: 1 });
+    });
+
+    it('should read entries written before compression was enabled, and vice versa', () => {
+        const plain = new SuperLocalStorage('cmp_');
+        const compressed = new SuperLocalStorage('cmp_', { compression: { threshold: 0 } });
+
+        plain.set('old', bigMap());
+        compressed.set('new', bigMap());
+
+        expect(compressed.get('old').size).toBe(2000);
+        expect(plain.get('new').size).toBe(2000);
+    });
+
+    it('should keep class instances, batches and encryption working', () => {
+        const store = new SuperLocalStorage('cmp_', {
+            compression: { threshold: 0 },
+            encryption: { keys: { k1: new Uint8Array(32).fill(7) }, active: 'k1' }
+        });
+        store.register(Catalog);
+
+        const items = Array.from({ length: 500 }, (_, i) => `item-${i}`);
+        store.set('catalog', new Catalog(items));
+        store.setMany({ a: items, b: items });
+
+        const catalog = store.get('catalog');
+        expect(catalog).toBeInstanceOf(Catalog);
+        expect(catalog.count()).toBe(500);
+        expect(headerOf('cmp_catalog')).toMatchObject({ compression: 'lz4', keyId: 'k1' });
+
+        const { values } = store.getMany(['a', 'b']);
+        expect(values.a).toBe(values.b);
+        expect(values.a).toEqual(items);
+    });
+
+    it('should accept a custom codec', () => {
+        const reverse = {
+            name: 'reverse',
+            compress: (bytes) => bytes.slice(0, -1).reverse(),
+            decompress: (bytes, size) => {
+                const out = new Uint8Array(size);
+                out.set(bytes.slice().reverse());
+                return out;
+            }
+        };
+        const store = new SuperLocalStorage('cmp_', { compression: { threshold: 0, algorithm: reverse } });
+
+        store.set('zero', new Uint8Array([1, 2, 3, 0]));
+        expect(headerOf('cmp_zero').compression).toBe('reverse');
+
+        expect(() => new SuperLocalStorage('cmp_').get('zero')).toThrow("compression algorithm 'reverse' is not configured");
+    });
+
+    it('should validate compression options', () => {
+        expect(() => new SuperLocalStorage({ compression: { algorithm: 'zstd' } })).toThrow("unknown algorithm 'zstd'");
+        expect(() => new SuperLocalStorage({ compression: { algorithm: { name: 'x' } } })).toThrow('needs name, compress() and decompress()');
+    });
+});
+
+describe('inspect() and stats()', () => {
+    beforeEach(() => {
+        t.ls.clear();
+    });
+
+    it('inspect() should describe how a key is stored', () => {
+        const store = new SuperLocalStorage('cmp_', { compression: { threshold: 1024 } });
+        store.set('users', bigMap(), { ttl: 60000 });
+        store.set('small', 1);
+
+        const users = store.inspect('users');
+        expect(users).toMatchObject({ key: 'users', revision: 1, batched: false, compression: 'lz4', keyId: null });
+        expect(users.size).toBe(headerOf('cmp_users').rawSize);
+        expect(users.compressedSize).toBeLessThan(users.size);
+        expect(users.ratio).toBeCloseTo(users.compressedSize / users.size);
+        expect(users.storedSize).toBe(t.ls.get('cmp_users').length);
+        expect(users.expiresAt).toBeGreaterThan(Date.now());
+
+        expect(store.inspect('small')).toMatchObject({ compression: null, ratio: 1 });
+        expect(store.inspect('missing')).toBeNull();
+    });
+
+    it('inspect() should handle legacy, encrypted and batched entries', () => {
+        const store = new SuperLocalStorage('cmp_', { encryption: { keys: { k1: new Uint8Array(32) }, active: 'k1' } });
+        t.ls.set('cmp_legacy', t.bugger.toBase64(t.ls.serialize('plain')));
+        store.set('secret', 'shh');
+        store.setMany({ a: 1, b: 2 });
+
+        expect(store.inspect('legacy')).toMatchObject({ revision: 0, size: t.ls.serialize('plain').length, keyId: null });
+        expect(store.inspect('secret')).toMatchObject({ keyId: 'k1', size: t.ls.serialize('shh').length });
+        expect(store.inspect('a')).toMatchObject({ batched: true, keyId: 'k1' });
+    });
+
+    it('stats() should total every key and count shared blobs once', () => {
+        const store = new SuperLocalStorage('cmp_', { compression: { threshold: 1024 } });
+        store.set('users', bigMap());
+        store.set('small', 1);
+        store.setMany({ a: bigMap(), b: 2 });
+
+        const stats = store.stats();
+
+        expect(stats.count).toBe(4);
+        expect(stats.compressed).toBe(3); // users, plus a and b through their shared blob
+        expect(Object.keys(stats.entries).sort()).toEqual(['a', 'b', 'small', 'users']);
+        expect(stats.size).toBe(stats.entries.users.size + stats.entries.small.size + stats.entries.a.size);
+        expect(stats.ratio).toBeLessThan(1);
+
+        const stored = t.ls.keys().filter((key) => key.startsWith('cmp_') && !key.endsWith(':refs'));
+        expect(stats.storedSize).toBe(stored.reduce((sum, key) => sum + t.ls.get(key).length, 0));
+    });
+});
+
+describe('LZ4 codec', () => {
+    it('should round-trip repetitive, random and tiny inputs', () => {
+        const inputs = [
+            new Uint8Array(0),
+            new Uint8Array([1, 2, 3]),
+            new Uint8Array(100000).fill(42),
+            Uint8Array.from({ length: 5000 }, () => Math.floor(Math.random() * 256)),
+            new TextEncoder().encode('abcabcabd'.repeat(1000))
+        ];
+
+        for (const input of inputs) {
+            expect(decompress(compress(input), input.length)).toEqual(input);
+        }
+    });
+
+    it('should reject corrupt blocks', () => {
+        const block = compress(new Uint8Array(1000).fill(1));
+
+        expect(() => decompress(block, 999)).toThrow('Corrupt LZ4 block');
+        expect(() => decompress(block.subarray(0, 3), 1000)).toThrow('Corrupt LZ4 block');
+    });
+});
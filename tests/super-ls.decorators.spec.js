@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import superLs, { SuperLocalStorage, serializable, transient, serializeAs, version } from '../index.js';
+import { store as fixtureStore, Session, Connection } from './fixtures/tsc-decorators.js';
+
+/**
+ * Applies decorators the way the standard decorators proposal does:
+ * field decorators first, then class decorators from the innermost out,
+ * then class initializers, and attaches the metadata object to the class.
+ * Test files are not transpiled, so no `@` syntax.
+ */
+const decorate = (ClassRef, { classDecorators = [], fields = {}, withMetadata = true }) => {
+    const metadata = withMetadata ? {} : undefined;
+    const initializers = [];
+
+    for (const [name, decorators] of Object.entries(fields)) {
+        for (const decorator of [...decorators].reverse()) {
+            decorator(undefined, { kind: 'field', name, static: false, private: false, metadata, addInitializer() {} });
+        }
+    }
+
+    for (const decorator of [...classDecorators].reverse()) {
+        decorator(ClassRef, { kind: 'class', name: ClassRef.name, metadata, addInitializer: (fn) => initializers.push(fn) });
+    }
+
+    if (metadata) {
+        Object.defineProperty(ClassRef, Symbol.metadata, { value: metadata, configurable: true });
+    }
+
+    for (const initializer of initializers) {
+        initializer.call(ClassRef);
+    }
+
+    return ClassRef;
+};
+
+describe('Decorators', () => {
+    let store;
+
+    beforeEach(() => {
+        t.ls.clear();
+        store = new SuperLocalStorage('dec_');
+    });
+
+    it('should register, skip transient fields and convert fields', () => {
+        class Player {
+            name = '';
+            socket = null;
+            joined = new Date(0);
+
+            greet() {
+                return `hi ${this.name}`;
+            }
+        }
+        decorate(Player, {
+            classDecorators: [serializable('GamePlayer', { store })],
+            fields: {
+                socket: [transient],
+                joined: [serializeAs((date) => date.toISOString(), (text) => new Date(text))]
+            }
+        });
+
+        const player = new Player();
+        player.name = 'alice';
+        player.socket = { open: true };
+        player.joined = new Date(1000);
+        store.set('player', player);
+
+        const raw = t.ls.deserialize(t.bugger.fromBase64(t.ls.get('dec_player').split('\n')[1]));
+        expect(raw.__super_type__).toBe('GamePlayer');
+        expect(raw.__data__).toEqual({ name: 'alice', joined: '1970-01-01T00:00:01.000Z' });
+
+        const restored = store.get('player');
+        expect(restored.greet()).toBe('hi alice');
+        expect(restored.socket).toBeNull();
+        expect(restored.joined).toEqual(new Date(1000));
+    });
+
+    it('@version should apply whatever the decorator order', () => {
+        class Score {
+            points = 0;
+        }
+        decorate(Score, {
+            classDecorators: [version(2, { 1: (data) => ({ points: data.value }) }), serializable({ store })]
+        });
+
+        t.ls.set('dec_old', `{"v":1}\n${t.bugger.toBase64(t.ls.serialize({ __super_type__: 'Score', __data__: { value: 7 } }))}`);
+
+        expect(store.get('old').points).toBe(7);
+        store.set('new', new Score());
+        const raw = t.ls.deserialize(t.bugger.fromBase64(t.ls.get('dec_new').split('\n')[1]));
+        expect(raw.__version__).toBe(2);
+    });
+
+    it('should register with the default instance unless a store is given', () => {
+        class Widget {
+            size = 1;
+        }
+        decorate(Widget, { classDecorators: [serializable('DecoratedWidget')] });
+
+        superLs.set('widget', new Widget());
+        expect(superLs.get('widget')).toBeInstanceOf(Widget);
+        expect(store.get('widget')).toBeNull();
+    });
+
+    it('register() should pick up annotations, including inherited field annotations', () => {
+        class Base {
+            cache = null;
+        }
+        decorate(Base, { classDecorators: [serializable({ store: [] })], fields: { cache: [transient] } });
+
+        class Derived extends Base {
+            value = 1;
+        }
+        store.register(Derived, 'CustomDerived');
+
+        const item = new Derived();
+        item.cache = { big: true };
+        store.set('item', item);
+
+        const restored = store.get('item');
+        expect(restored).toBeInstanceOf(Derived);
+        expect(restored.cache).toBeNull();
+        expect(restored.value).toBe(1);
+    });
+
+    it('should keep field annotations on their own class in tsc output without native Symbol.metadata', () => {
+        fixtureStore.register(Session);
+
+        const session = new Session();
+        session.socket = { open: true };
+        session.user = 'alice';
+        fixtureStore.set('session', session);
+
+        const connection = new Connection();
+        connection.socket = 'ws://kept';
+        connection.opened = new Date(1000);
+        fixtureStore.set('connection', connection);
+
+        expect(fixtureStore.get('session')).toEqual(Object.assign(new Session(), { user: 'alice' }));
+        expect(fixtureStore.get('connection').socket).toBe('ws://kept');
+        expect(fixtureStore.get('connection').opened).toEqual(new Date(1000));
+    });
+
+    it('field decorators should throw when the transpiler passes no metadata', () => {
+        class Loose {
+            cache = null;
+        }
+
+        expect(() => decorate(Loose, { fields: { cache: [transient] }, withMetadata: false }))
+            .toThrow('@transient on field cache needs decorator metadata');
+    });
+
+    it('should reject misplaced decorators', () => {
+        expect(() => serializable()(class {}, { kind: 'method', name: 'x' })).toThrow('@serializable can only decorate classes');
+        expect(() => transient(undefined, { kind: 'field', name: 'x', static: true })).toThrow('@transient cannot decorate static field x');
+        expect(() => serializeAs((v) => v)).toThrow('@serializeAs expects two conversion functions');
+    });
+});
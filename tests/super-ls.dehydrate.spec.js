@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage, DEHYDRATE, HYDRATE } from '../index.js';
+
+class Account {
+    #owner;
+    #balance;
+
+    constructor(owner, balance = 0) {
+        this.#owner = owner;
+        this.#balance = balance;
+    }
+
+    get owner() {
+        return this.#owner;
+    }
+
+    get balance() {
+        return this.#balance;
+    }
+
+    deposit(amount) {
+        this.#balance += amount;
+    }
+}
+
+class Wallet {
+    #coins;
+
+    constructor(coins = []) {
+        this.#coins = coins;
+    }
+
+    get coins() {
+        return this.#coins;
+    }
+
+    static [DEHYDRATE](wallet) {
+        return wallet.#coins;
+    }
+
+    static [HYDRATE](coins) {
+        return new Wallet(coins);
+    }
+}
+
+describe('Custom dehydration', () => {
+    let store;
+
+    beforeEach(() => {
+        t.ls.clear();
+        store = new SuperLocalStorage('dehydrate_');
+    });
+
+    it('should store #private fields through dehydrate and hydrate options', () => {
+        store.register(Account, {
+            dehydrate: (account) => ({ owner: account.owner, balance: account.balance }),
+            hydrate: (data) => new Account(data.owner, data.balance)
+        });
+
+        const account = new Account('alice', 10);
+        account.deposit(5);
+        store.set('account', account);
+
+        const restored = store.get('account');
+        expect(restored).toBeInstanceOf(Account);
+        expect(restored.owner).toBe('alice');
+        expect(restored.balance).toBe(15);
+
+        restored.deposit(1);
+        expect(restored.balance).toBe(16);
+    });
+
+    it('should use the static [DEHYDRATE] and [HYDRATE] methods, with any data shape', () => {
+        store.register(Wallet);
+
+        store.set('wallet', new Wallet([1, 2, 5]));
+
+        const restored = store.get('wallet');
+        expect(restored).toBeInstanceOf(Wallet);
+        expect(restored.coins).toEqual([1, 2, 5]);
+    });
+
+    it('should rehydrate registered classes and shared references inside dehydrated data', () => {
+        class Ledger {
+            #accounts;
+
+            constructor(accounts) {
+                this.#accounts = accounts;
+            }
+
+            get accounts() {
+                return this.#accounts;
+            }
+        }
+        store.register(Account, {
+            dehydrate: (account) => [account.owner, account.balance],
+            hydrate: ([owner, balance]) => new Account(owner, balance)
+        });
+        store.register(Ledger, {
+            dehydrate: (ledger) => ledger.accounts,
+            hydrate: (accounts) => new Ledger(accounts)
+        });
+
+        const shared = new Account('bob', 3);
+        store.set('books', { ledger: new Ledger([shared]), shared });
+
+        const { ledger, shared: restoredShared } = store.get('books');
+        expect(ledger).toBeInstanceOf(Ledger);
+        expect(ledger.accounts[0]).toBe(restoredShared);
+        expect(restoredShared.balance).toBe(3);
+    });
+
+    it('should run migrations on dehydrated data', () => {
+        store.register(Account, {
+            dehydrate: (account) => [account.owner, account.balance],
+            hydrate: ([owner, balance]) => new Account(owner, balance)
+        });
+        store.set('account', new Account('carol', 7));
+
+        store.register(Account, {
+            version: 2,
+            migrate: { 1: ([owner, balance]) => ({ owner, balance }) },
+            dehydrate: (account) => ({ owner: account.owner, balance: account.balance }),
+            hydrate: ({ owner, balance }) => new Account(owner, balance)
+        });
+
+        expect(store.get('account').balance).toBe(7);
+    });
+
+    it('should return the hydrated instance itself, keeping #private fields of hydrate-only classes', () => {
+        class Counter {
+            #count = 0;
+            label = '';
+
+            increment() {
+                return ++this.#count;
+            }
+        }
+        store.register(Counter, (data) => {
+            const counter = new Counter();
+            counter.label = data.label;
+            counter.increment();
+            return counter;
+        });
+
+        store.set('counter', Object.assign(new Counter(), { label: 'clicks' }));
+
+        const restored = store.get('counter');
+        expect(restored.label).toBe('clicks');
+        expect(restored.increment()).toBe(2);
+    });
+
+    it('should keep restoring cycles through placeholders for field-bag classes', () => {
+        class Node {
+            constructor() {
+                this.self = null;
+            }
+        }
+        store.register(Node);
+
+        const node = new Node();
+        node.self = node;
+        store.set('node', node);
+
+        const restored = store.get('node');
+        expect(restored).toBeInstanceOf(Node);
+        expect(restored.self).toBe(restored);
+    });
+
+    it('should refuse to store dehydrated data that refers back to the instance', () => {
+        class Loop {
+            constructor() {
+                this.self = this;
+            }
+        }
+        store.register(Loop, {
+            dehydrate: (loop) => ({ self: loop.self }),
+            hydrate: () => new Loop()
+        });
+
+        expect(() => store.set('loop', new Loop())).toThrow(
+            'Cannot store reference back to the Loop instance at root<dehydrated>.self: the data returned by dehydrate cannot contain the instance itself'
+        );
+        expect(store.has('loop')).toBe(false);
+    });
+
+    it('should require a hydrate function alongside dehydrate', () => {
+        expect(() => store.register(Account, { dehydrate: (account) => account.balance })).toThrow(
+            'Invalid registration for Account: dehydrate needs a hydrate function'
+        );
+    });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import crypto from 'node:crypto';
+import { SuperLocalStorage, MemoryBackend, nodeRuntime } from '../index.js';
+import { seal, open } from '../utils/chacha20poly1305.js';
+
+const key1 = new Uint8Array(32).fill(1);
+const key2 = new Uint8Array(32).fill(2);
+
+const headerOf = (rawKey) => JSON.parse(t.ls.get(rawKey).split('\n')[0]);
+
+class Session {
+    constructor(token = '') {
+        this.token = token;
+    }
+}
+
+describe('Encryption at rest', () => {
+    beforeEach(() => {
+        t.ls.clear();
+    });
+
+    it('should store encrypted payloads and read them back', () => {
+        const store = new SuperLocalStorage({ prefix: 'enc_', encryption: { keys: { k1: key1 }, active: 'k1' } });
+        store.register(Session);
+
+        store.set('session', new Session('secret-token'));
+
+        const raw = t.ls.get('enc_session');
+        const payload = t.bugger.fromBase64(raw.split('\n')[1]);
+        expect(Buffer.from(payload).includes('secret-token')).toBe(false);
+        expect(headerOf('enc_session').keyId).toBe('k1');
+
+        const session = store.get('session');
+        expect(session).toBeInstanceOf(Session);
+        expect(session.token).toBe('secret-token');
+    });
+
+    it('should accept a prefix string followed by options and Base64 keys', () => {
+        const store = new SuperLocalStorage('enc_', {
+            encryption: { keys: { k1: Buffer.from(key1).toString('base64') }, active: 'k1' }
+        });
+
+        store.set('a', new Map([['x', 1]]));
+
+        expect(store.get('a').get('x')).toBe(1);
+    });
+
+    it('should decrypt with whichever key wrote the entry', () => {
+        const old = new SuperLocalStorage('enc_', { encryption: { keys: { k1: key1 }, active: 'k1' } });
+        old.set('a', 'written with k1');
+
+        const rotated = new SuperLocalStorage('enc_', { encryption: { keys: { k1: key1, k2: key2 }, active: 'k2' } });
+        rotated.set('b', 'written with k2');
+
+        expect(rotated.get('a')).toBe('written with k1');
+        expect(rotated.get('b')).toBe('written with k2');
+        expect(headerOf('enc_b').keyId).toBe('k2');
+    });
+
+    it('reencryptAll() should move every entry to the active key', () => {
+        const plain = new SuperLocalStorage('enc_');
+        plain.set('legacy', 'plain text');
+        const old = new SuperLocalStorage('enc_', { encryption: { keys: { k1: key1 }, active: 'k1' } });
+        old.set('a', 1);
+        old.setMany({ b: 2, c: 3 });
+
+        const rotated = new SuperLocalStorage('enc_', { encryption: { keys: { k1: key1, k2: key2 }, active: 'k2' } });
+        expect(rotated.reencryptAll()).toBe(5); // legacy, a, the batch blob and its two references
+        expect(rotated.reencryptAll()).toBe(0);
+
+        const onlyK2 = new SuperLocalStorage('enc_', { encryption: { keys: { k2: key2 }, active: 'k2' } });
+        expect(onlyK2.getMany(['legacy', 'a', 'b', 'c']).values).toEqual({ legacy: 'plain text', a: 1, b: 2, c: 3 });
+        expect(onlyK2.getRevision('a')).toBe(1);
+    });
+
+    it('should fail loudly on unknown keys or tampered payloads', () => {
+        const store = new SuperLocalStorage('enc_', { encryption: { keys: { k1: key1 }, active: 'k1' } });
+        store.set('a', 'secret');
+
+        expect(() => new SuperLocalStorage('enc_').get('a')).toThrow("encryption key 'k1' is not configured");
+
+        const [header, payload] = t.ls.get('enc_a').split('\n');
+        const bytes = t.bugger.fromBase64(payload);
+        bytes[bytes.length - 1] ^= 1;
+        t.ls.set('enc_a', `${header}\n${t.bugger.toBase64(bytes)}`);
+
+        expect(() => store.get('a')).toThrow('authentication failed');
+    });
+
+    it('should reject payloads moved to another key or given another header', () => {
+        const store = new SuperLocalStorage('enc_', { encryption: { keys: { k1: key1 }, active: 'k1' } });
+        store.set('a', 'secret-a');
+        store.set('b', 'secret-b');
+        store.set('session', 'token', { ttl: 1000 });
+        store.setMany({ x: 1, y: 2 });
+
+        t.ls.set('enc_b', t.ls.get('enc_a'));
+        expect(() => store.get('b')).toThrow('authentication failed');
+
+        const [header, payload] = t.ls.get('enc_session').split('\n');
+        const extended = JSON.stringify({ ...JSON.parse(header), expiresAt: Date.now() + 60_000 });
+        t.ls.set('enc_session', `${extended}\n${payload}`);
+        expect(() => store.get('session')).toThrow('authentication failed');
+
+        t.ls.set('enc_y', t.ls.get('enc_x'));
+        expect(() => store.get('y')).toThrow('authentication failed');
+        expect(store.get('a')).toBe('secret-a');
+        expect(store.get('x')).toBe(1);
+    });
+
+    it('should still read encrypted entries written before headers were authenticated', () => {
+        const nonce = new Uint8Array(12).fill(7);
+        const sealed = seal(key1, nonce, t.ls.serialize('old secret'));
+        const payload = t.bugger.toBase64(new Uint8Array([...nonce, ...sealed]));
+        t.ls.set('enc_old', `${JSON.stringify({ v: 2, revision: 1, keyId: 'k1' })}\n${payload}`);
+
+        const store = new SuperLocalStorage('enc_', { encryption: { keys: { k1: key1 }, active: 'k1' } });
+        expect(store.get('old')).toBe('old secret');
+    });
+
+    it('reencryptAll() should bind legacy entries to their key and header', () => {
+        const nonce = new Uint8Array(12).fill(7);
+        const legacy = (value) => t.bugger.toBase64(new Uint8Array([...nonce, ...seal(key1, nonce, t.ls.serialize(value))]));
+        t.ls.set('enc_v2', `${JSON.stringify({ v: 2, revision: 1, keyId: 'k1' })}\n${legacy({ '~__data__': 'escaped' })}`);
+        t.ls.set('enc_v1', `${JSON.stringify({ v: 1, revision: 1, keyId: 'k1' })}\n${legacy({ '~__data__': 'unescaped' })}`);
+
+        const store = new SuperLocalStorage('enc_', { encryption: { keys: { k1: key1 }, active: 'k1' } });
+        expect(store.reencryptAll()).toBe(2);
+        expect(store.reencryptAll()).toBe(0);
+
+        expect(headerOf('enc_v2')).toEqual({ v: 3, revision: 1, keyId: 'k1' });
+        expect(store.get('v2')).toEqual({ __data__: 'escaped' });
+        expect(store.get('v1')).toEqual({ '~__data__': 'unescaped' });
+        expect(store.getRevision('v1')).toBe(1);
+
+        t.ls.set('enc_moved', t.ls.get('enc_v2'));
+        expect(() => store.get('moved')).toThrow('authentication failed');
+    });
+
+    it('should take nonces from the runtime unless randomBytes is given', () => {
+        const randomBytes = vi.fn((size) => new Uint8Array(size).fill(9));
+        const store = new SuperLocalStorage('enc_', {
+            runtime: { ...nodeRuntime, randomBytes },
+            backend: new MemoryBackend(),
+            encryption: { keys: { k1: key1 }, active: 'k1' }
+        });
+
+        store.set('a', 'secret');
+
+        expect(randomBytes).toHaveBeenCalledWith(12);
+        expect(store.get('a')).toBe('secret');
+        expect(() => new SuperLocalStorage('enc_', {
+            runtime: { ...nodeRuntime, randomBytes: undefined },
+            encryption: { keys: { k1: key1 }, active: 'k1' }
+        })).toThrow('the runtime has no randomBytes()');
+    });
+
+    it('namespaces should inherit encryption', () => {
+        const store = new SuperLocalStorage('enc_', { encryption: { keys: { k1: key1 }, active: 'k1' } });
+
+        store.ns('users').set('alice', 'pii');
+
+        expect(headerOf('enc_users:alice').keyId).toBe('k1');
+    });
+
+    it('should validate encryption options', () => {
+        expect(() => new SuperLocalStorage({ encryption: { keys: { k1: key1 }, active: 'k2' } }))
+            .toThrow("active key 'k2' is not in keys");
+        expect(() => new SuperLocalStorage({ encryption: { keys: { k1: new Uint8Array(16) }, active: 'k1' } }))
+            .toThrow('expected 32 bytes');
+        expect(() => new SuperLocalStorage().reencryptAll()).toThrow('requires the encryption option');
+    });
+});
+
+describe('ChaCha20-Poly1305', () => {
+    it('should match node:crypto', () => {
+        for (const length of [0, 1, 15, 16, 17, 63, 64, 65, 1000]) {
+            const key = crypto.randomBytes(32);
+            const nonce = crypto.randomBytes(12);
+            const plaintext = crypto.randomBytes(length);
+            const cipher = crypto.createCipheriv('chacha20-poly1305', key, nonce, { authTagLength: 16 });
+            const expected = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+            const sealed = seal(new Uint8Array(key), new Uint8Array(nonce), new Uint8Array(plaintext));
+
+            expect(Buffer.from(sealed).equals(expected)).toBe(true);
+            expect(Buffer.from(open(new Uint8Array(key), new Uint8Array(nonce), sealed)).equals(plaintext)).toBe(true);
+        }
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+describe('Key enumeration', () => {
+    let storage;
+    let other;
+
+    beforeEach(() => {
+        t.ls.clear();
+        storage = new SuperLocalStorage('app_');
+        other = new SuperLocalStorage('other_');
+    });
+
+    it('clean() should only remove keys with the instance prefix', () => {
+        storage.set('a', 1);
+        other.set('b', 2);
+        t.ls.set('raw', 'untouched');
+
+        storage.clean();
+
+        expect(storage.get('a')).toBeNull();
+        expect(other.get('b')).toBe(2);
+        expect(t.ls.get('raw')).toBe('untouched');
+    });
+
+    it('keys(), values() and entries() should only list own keys without prefix', () => {
+        storage.set('a', 1);
+        storage.set('b', new Map([['x', 2]]));
+        other.set('c', 3);
+
+        expect(storage.keys().sort()).toEqual(['a', 'b']);
+        expect(storage.values()).toContain(1);
+
+        const entries = Object.fromEntries(storage.entries());
+        expect(entries.a).toBe(1);
+        expect(entries.b).toBeInstanceOf(Map);
+        expect(entries.b.get('x')).toBe(2);
+    });
+
+    it('size() should count own keys', () => {
+        storage.set('a', 1);
+        storage.set('b', 2);
+        other.set('c', 3);
+
+        expect(storage.size()).toBe(2);
+        expect(other.size()).toBe(1);
+    });
+
+    it('scan() should page through keys until the cursor is null', () => {
+        for (let i = 0; i < 25; i++) {
+            storage.set(`item:${i}`, i);
+        }
+        other.set('item:99', 99);
+
+        const seen = [];
+        let cursor = null;
+        let pages = 0;
+        do {
+            const page = storage.scan({ cursor, limit: 10 });
+            expect(page.keys.length).toBeLessThanOrEqual(10);
+            seen.push(...page.keys);
+            cursor = page.cursor;
+            pages++;
+        } while (cursor !== null);
+
+        expect(pages).toBe(3);
+        expect(seen).toEqual(storage.keys().sort());
+    });
+
+    it('scan() should neither skip nor repeat keys when the store changes between pages', () => {
+        for (const key of ['b', 'd', 'f', 'h']) {
+            storage.set(key, key);
+        }
+
+        const first = storage.scan({ limit: 2 });
+        expect(first).toEqual({ keys: ['b', 'd'], cursor: 'd' });
+
+        storage.remove('b');
+        storage.set('a', 'a');
+        storage.set('e', 'e');
+
+        expect(storage.scan({ cursor: first.cursor, limit: 2 })).toEqual({ keys: ['e', 'f'], cursor: 'f' });
+        expect(storage.scan({ cursor: 'f', limit: 2 })).toEqual({ keys: ['h'], cursor: null });
+        expect(() => storage.scan({ cursor: 0 })).toThrow('Invalid scan cursor');
+    });
+
+    it('scan() should reject a limit that is not a positive integer', () => {
+        storage.set('a', 1);
+
+        for (const limit of [0, -1, 1.5, NaN, '10']) {
+            expect(() => storage.scan({ limit })).toThrow('Invalid scan limit: expected a positive integer');
+        }
+    });
+
+    it('scan() should return full pages of matching keys in order', () => {
+        for (const key of ['user:3', 'session:1', 'user:1', 'session:2', 'user:4', 'user:2']) {
+            storage.set(key, key);
+        }
+
+        const first = storage.scan({ limit: 2, match: 'user:*' });
+        expect(first).toEqual({ keys: ['user:1', 'user:2'], cursor: 'user:2' });
+        expect(storage.scan({ cursor: first.cursor, limit: 2, match: 'user:*' })).toEqual({ keys: ['user:3', 'user:4'], cursor: null });
+    });
+
+    it('scan() should filter keys with a glob pattern', () => {
+        storage.set('user:1', 'a');
+        storage.set('user:2', 'b');
+        storage.set('session:1', 'c');
+
+        const { keys, cursor } = storage.scan({ match: 'user:*' });
+
+        expect(keys.sort()).toEqual(['user:1', 'user:2']);
+        expect(cursor).toBeNull();
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+describe('Expiration', () => {
+    let storage;
+
+    beforeEach(() => {
+        t.ls.clear();
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+        storage = new SuperLocalStorage('ttl_');
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should return the value before the ttl elapses', () => {
+        storage.set('session', { token: 'abc' }, { ttl: 1000 });
+        vi.advanceTimersByTime(999);
+
+        expect(storage.get('session')).toEqual({ token: 'abc' });
+        expect(storage.has('session')).toBe(true);
+    });
+
+    it('should treat expired entries as missing and delete them on read', () => {
+        storage.set('session', { token: 'abc' }, { ttl: 1000 });
+        vi.advanceTimersByTime(1000);
+
+        expect(storage.get('session')).toBeNull();
+        expect(t.ls.get('ttl_session')).toBeNull();
+    });
+
+    it('should support expireAt as Date or epoch milliseconds', () => {
+        storage.set('a', 1, { expireAt: new Date('2026-01-01T00:00:05Z') });
+        storage.set('b', 2, { expireAt: Date.now() + 10000 });
+        vi.advanceTimersByTime(6000);
+
+        expect(storage.has('a')).toBe(false);
+        expect(storage.has('b')).toBe(true);
+    });
+
+    it('resolve() should recompute expired entries', () => {
+        storage.set('config', 'old', { ttl: 10 });
+        vi.advanceTimersByTime(10);
+
+        const value = storage.resolve('config', () => 'fresh', { ttl: 10 });
+
+        expect(value).toBe('fresh');
+        vi.advanceTimersByTime(10);
+        expect(storage.get('config')).toBeNull();
+    });
+
+    it('should keep the stored value shape unchanged', () => {
+        const value = new Map([['k', new Set([1, 2])]]);
+        storage.set('map', value, { ttl: 1000 });
+
+        const restored = storage.get('map');
+        expect(restored).toBeInstanceOf(Map);
+        expect(restored.get('k')).toEqual(new Set([1, 2]));
+    });
+
+    it('should remove the expiry when rewritten without options', () => {
+        storage.set('key', 1, { ttl: 10 });
+        storage.set('key', 2);
+        vi.advanceTimersByTime(100);
+
+        expect(storage.get('key')).toBe(2);
+    });
+
+    it('sweepExpired() should remove expired entries in bulk', () => {
+        const other = new SuperLocalStorage('other_');
+        storage.set('a', 1, { ttl: 10 });
+        storage.set('b', 2, { ttl: 10 });
+        storage.set('c', 3);
+        other.set('d', 4, { ttl: 10 });
+        vi.advanceTimersByTime(10);
+
+        expect(storage.sweepExpired()).toBe(2);
+        expect(storage.keys()).toEqual(['c']);
+        expect(t.ls.get('other_d')).not.toBeNull();
+    });
+
+    it('should read entries written as bare Base64 before envelopes existed', () => {
+        const bytes = t.ls.serialize({ legacy: true });
+        t.ls.set('ttl_old', t.bugger.toBase64(bytes));
+
+        expect(storage.get('old')).toEqual({ legacy: true });
+    });
+
+    it('should reject invalid ttl values', () => {
+        expect(() => storage.set('x', 1, { ttl: -1 })).toThrow('Invalid ttl');
+        expect(() => storage.set('x', 1, { expireAt: 'tomorrow' })).toThrow('Invalid expireAt');
+    });
+});
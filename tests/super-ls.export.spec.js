@@ -0,0 +1,262 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage, MemoryBackend, UnknownTypeEnvelope } from '../index.js';
+
+class Player {
+    constructor(name = '', score = 0) {
+        this.name = name;
+        this.score = score;
+    }
+}
+
+class Team {
+    constructor(players = []) {
+        this.players = players;
+    }
+}
+
+describe('JSON export and import', () => {
+    let store;
+
+    beforeEach(() => {
+        t.ls.clear();
+        store = new SuperLocalStorage('export_');
+        store.register(Player);
+        store.register(Team, { version: 2, migrate: { 1: (data) => data } });
+    });
+
+    const target = (options = {}) => {
+        const other = new SuperLocalStorage({ prefix: 'copy_', backend: new MemoryBackend(), ...options });
+        other.register(Player);
+        other.register(Team, { version: 2, migrate: { 1: (data) => data } });
+        return other;
+    };
+
+    const viaText = (doc) => JSON.parse(JSON.stringify(doc));
+
+    it('should write a versioned document with tagged values', () => {
+        store.set('settings', {
+            theme: new Map([['dark', true]]),
+            tags: new Set(['a']),
+            at: new Date('2024-01-02T03:04:05.006Z'),
+            big: 10n ** 20n,
+            pattern: /x+/gi,
+            bytes: new Uint8Array([1, 2, 255]),
+            special: [NaN, -0, Infinity, undefined]
+        });
+
+        expect(store.exportAll()).toEqual({
+            format: 'super-ls',
+            version: 1,
+            entries: [{
+                key: 'settings',
+                value: {
+                    theme: { $type: 'Map', entries: [['dark', true]] },
+                    tags: { $type: 'Set', values: ['a'] },
+                    at: { $type: 'Date', value: '2024-01-02T03:04:05.006Z' },
+                    big: { $type: 'bigint', value: '100000000000000000000' },
+                    pattern: { $type: 'RegExp', source: 'x+', flags: 'gi' },
+                    bytes: { $type: 'Uint8Array', base64: 'AQL/' },
+                    special: [
+                        { $type: 'number', value: 'NaN' },
+                        { $type: 'number', value: '-0' },
+                        { $type: 'number', value: 'Infinity' },
+                        { $type: 'undefined' }
+                    ]
+                }
+            }]
+        });
+    });
+
+    it('should tag registered classes with their name and version', () => {
+        store.set('team', new Team([new Player('alice', 3)]));
+
+        expect(store.exportAll().entries[0].value).toEqual({
+            $type: 'class',
+            name: 'Team',
+            version: 2,
+            data: { players: [{ $type: 'class', name: 'Player', data: { name: 'alice', score: 3 } }] }
+        });
+    });
+
+    it('should write shared and circular references as $id and $ref', () => {
+        const alice = new Player('alice');
+        const node = { name: 'root', players: [alice, alice] };
+        node.self = node;
+        store.set('graph', node);
+
+        const { value } = store.exportAll().entries[0];
+        expect(value.$id).toBe(1);
+        expect(value.self).toEqual({ $ref: 1 });
+        expect(value.players[1]).toEqual({ $ref: value.players[0].$id });
+
+        const copy = target();
+        copy.importAll(viaText(store.exportAll()));
+        const restored = copy.get('graph');
+        expect(restored.self).toBe(restored);
+        expect(restored.players[0]).toBeInstanceOf(Player);
+        expect(restored.players[1]).toBe(restored.players[0]);
+    });
+
+    it('should round-trip every supported type through JSON text', () => {
+        const sparse = [1, , 3];
+        const value = {
+            map: new Map([[{ id: 1 }, new Set([1n])]]),
+            date: new Date(0),
+            invalid: new Date(NaN),
+            floats: new Float64Array([0.5, -1]),
+            view: new DataView(new Uint8Array([9, 8]).buffer),
+            buffer: new Uint8Array([7]).buffer,
+            boxed: [new String('s'), Object(2n)],
+            error: new TypeError('boom'),
+            dict: Object.assign(Object.create(null), { a: 1 }),
+            url: new URL('https://example.com/x'),
+            sparse,
+            tricky: { $type: 'Map', $ref: 1, '~$id': 2, __proto__key: 1, __super_type__: 'Player', __data__: {} }
+        };
+        store.set('value', value);
+        const copy = target();
+
+        expect(copy.importAll(JSON.stringify(store.exportAll()))).toBe(1);
+
+        const restored = copy.get('value');
+        expect([...restored.map.keys()][0]).toEqual({ id: 1 });
+        expect([...restored.map.values()][0]).toEqual(new Set([1n]));
+        expect(restored.date.getTime()).toBe(0);
+        expect(Number.isNaN(restored.invalid.getTime())).toBe(true);
+        expect(restored.floats).toEqual(new Float64Array([0.5, -1]));
+        expect(restored.view.getUint8(1)).toBe(8);
+        expect(new Uint8Array(restored.buffer)).toEqual(new Uint8Array([7]));
+        expect(restored.boxed[0]).toBeInstanceOf(String);
+        expect(restored.boxed[1].valueOf()).toBe(2n);
+        expect(restored.error).toBeInstanceOf(TypeError);
+        expect(Object.getPrototypeOf(restored.dict)).toBeNull();
+        expect(restored.url.href).toBe('https://example.com/x');
+        expect(1 in restored.sparse).toBe(false);
+        expect(restored.tricky).toEqual(value.tricky);
+    });
+
+    it('should keep a JSON __proto__ key as data', () => {
+        const doc = JSON.parse('{"format":"super-ls","version":1,"entries":[{"key":"k","value":{"__proto__":{"polluted":true}}}]}');
+
+        store.importAll(doc);
+
+        const restored = store.get('k');
+        expect(Object.getPrototypeOf(restored)).toBe(Object.prototype);
+        expect(restored.polluted).toBeUndefined();
+        expect({}.polluted).toBeUndefined();
+    });
+
+    it('should filter with match, sort keys and keep expiration', () => {
+        store.set('user:b', 1);
+        store.set('user:a', 2, { ttl: 60_000 });
+        store.set('other', 3);
+
+        const doc = store.exportAll({ match: 'user:*' });
+
+        expect(doc.entries.map((entry) => entry.key)).toEqual(['user:a', 'user:b']);
+        expect(doc.entries[0].expiresAt).toBe(store.inspect('user:a').expiresAt);
+        expect(doc.entries[1]).not.toHaveProperty('expiresAt');
+
+        const copy = target();
+        copy.importAll(doc);
+        expect(copy.inspect('user:a').expiresAt).toBe(doc.entries[0].expiresAt);
+    });
+
+    it('should skip entries that expired since the export', () => {
+        const doc = { format: 'super-ls', version: 1, entries: [{ key: 'old', value: 1, expiresAt: Date.now() - 1 }] };
+
+        expect(store.importAll(doc)).toBe(0);
+        expect(store.has('old')).toBe(false);
+    });
+
+    it('should export values written by setMany() separately', () => {
+        const shared = new Player('bob');
+        store.setMany({ a: shared, b: [shared] });
+
+        const copy = target();
+        copy.importAll(store.exportAll());
+
+        expect(copy.get('a')).toBeInstanceOf(Player);
+        expect(copy.get('b')[0].name).toBe('bob');
+    });
+
+    it('should merge by default and replace on request', () => {
+        const copy = target();
+        copy.set('kept', 1);
+        copy.set('player', new Player('old'));
+        store.set('player', new Player('new'));
+
+        copy.importAll(store.exportAll());
+        expect(copy.get('kept')).toBe(1);
+        expect(copy.get('player').name).toBe('new');
+        expect(copy.getRevision('player')).toBe(2);
+
+        copy.importAll(store.exportAll(), { mode: 'replace' });
+        expect(copy.keys()).toEqual(['player']);
+    });
+
+    it('should notify watchers of imported keys', () => {
+        const copy = target();
+        const events = [];
+        copy.watch('*', ({ key, type, newValue }) => events.push([key, type, newValue]));
+        store.set('player', new Player('eve'));
+
+        copy.importAll(store.exportAll());
+
+        expect(events).toHaveLength(1);
+        expect(events[0][2]).toBeInstanceOf(Player);
+    });
+
+    it('should keep types the importing store does not know', () => {
+        store.set('player', new Player('zoe', 1));
+        const unaware = new SuperLocalStorage({ prefix: 'copy_', backend: new MemoryBackend(), onUnknownType: 'throw' });
+
+        unaware.importAll(store.exportAll());
+        expect(unaware.exportAll()).toEqual(store.exportAll());
+
+        unaware.register(Player);
+        expect(unaware.get('player')).toBeInstanceOf(Player);
+    });
+
+    it('should migrate class data from an older registration on read', () => {
+        const legacy = new SuperLocalStorage({ prefix: 'copy_', backend: new MemoryBackend() });
+        legacy.register(Player, { version: 1 });
+        legacy.set('player', new Player('ann', 5));
+        const doc = legacy.exportAll();
+
+        const current = new SuperLocalStorage({ prefix: 'copy_', backend: new MemoryBackend() });
+        current.register(Player, { version: 2, migrate: { 1: (data) => ({ ...data, score: data.score * 10 }) } });
+        current.importAll(doc);
+
+        expect(current.get('player').score).toBe(50);
+    });
+
+    it('should leave storage untouched when the document is invalid', () => {
+        store.set('keep', 1);
+
+        expect(() => store.importAll({ format: 'other', entries: [] })).toThrow(
+            "Invalid export document: expected format 'super-ls' with an entries array"
+        );
+        expect(() => store.importAll({ format: 'super-ls', version: 2, entries: [] })).toThrow(
+            'Cannot import export version 2: expected 1 or lower'
+        );
+        expect(() => store.importAll({
+            format: 'super-ls',
+            version: 1,
+            entries: [{ key: 'a', value: 1 }, { key: 'b', value: { $type: 'Mystery' } }]
+        }, { mode: 'replace' })).toThrow("Invalid export document: unknown type 'Mystery'");
+        expect(() => store.importAll(store.exportAll(), { mode: 'overwrite' })).toThrow(
+            "Invalid import mode 'overwrite': expected 'merge' or 'replace'"
+        );
+
+        expect(store.keys()).toEqual(['keep']);
+    });
+
+    it('should preserve unknown types as envelopes while exporting', () => {
+        store.set('player', new Player('kim'));
+        const unaware = new SuperLocalStorage({ prefix: 'export_', onUnknownType: 'plain' });
+
+        expect(unaware.exportAll().entries[0].value).toMatchObject({ $type: 'class', name: 'Player' });
+        expect(unaware.get('player')).not.toBeInstanceOf(UnknownTypeEnvelope);
+    });
+});
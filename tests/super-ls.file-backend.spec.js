@@ -0,0 +1,243 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { SuperLocalStorage } from '../index.js';
+import { FileBackend } from '../backends/FileBackend.js';
+
+class Note {
+    constructor(text = '') {
+        this.text = text;
+    }
+
+    shout() {
+        return this.text.toUpperCase();
+    }
+}
+
+describe('FileBackend', () => {
+    let dir;
+    let file;
+    const open = [];
+
+    const openBackend = (options) => {
+        const backend = new FileBackend(file, options);
+        open.push(backend);
+        return backend;
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'super-ls-'));
+        file = path.join(dir, 'store.log');
+    });
+
+    afterEach(() => {
+        for (const backend of open.splice(0)) {
+            try {
+                backend.close();
+            } catch {
+                // Already closed by the test
+            }
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should persist entries across reopening', () => {
+        const store = new SuperLocalStorage('app_', { backend: openBackend() });
+        store.register(Note);
+        store.set('note', new Note('hello'));
+        store.set('map', new Map([['a', 1]]));
+        store.set('gone', 1);
+        store.remove('gone');
+
+        const reopened = new SuperLocalStorage('app_', { backend: openBackend() });
+        reopened.register(Note);
+
+        expect(reopened.get('note').shout()).toBe('HELLO');
+        expect(reopened.get('map').get('a')).toBe(1);
+        expect(reopened.keys().sort()).toEqual(['map', 'note']);
+    });
+
+    it('should append one record per write and delete', () => {
+        const backend = openBackend();
+
+        backend.write('a', '1');
+        backend.write('a', '2');
+        backend.delete('a');
+        backend.delete('a'); // Missing keys are not logged
+        backend.write('b', 'line\nbreak');
+
+        expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(4);
+        expect(openBackend().read('b')).toBe('line\nbreak');
+    });
+
+    it('should cut off a torn last record and keep the rest', () => {
+        const backend = openBackend();
+        backend.write('a', '1');
+        backend.write('b', '2');
+        backend.close();
+
+        const intact = fs.readFileSync(file);
+        fs.appendFileSync(file, intact.subarray(0, 10)); // A write interrupted halfway
+
+        const reopened = openBackend();
+        expect(reopened.read('a')).toBe('1');
+        expect(reopened.read('b')).toBe('2');
+        expect(fs.readFileSync(file).equals(intact)).toBe(true);
+
+        reopened.write('c', '3');
+        expect(openBackend().list()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should cut off a complete last record with a bad checksum', () => {
+        const backend = openBackend();
+        backend.write('a', '1');
+        backend.write('b', '2');
+        backend.close();
+
+        const data = fs.readFileSync(file);
+        data[data.length - 3] ^= 1;
+        fs.writeFileSync(file, data);
+
+        expect(openBackend().list()).toEqual(['a']);
+    });
+
+    it('should refuse to open a log corrupted before its last record', () => {
+        const backend = openBackend();
+        backend.write('a', '1');
+        backend.write('b', '2');
+        backend.close();
+
+        const data = fs.readFileSync(file);
+        data[12] ^= 1;
+        fs.writeFileSync(file, data);
+
+        expect(() => new FileBackend(file)).toThrow('Corrupt record at byte 0');
+    });
+
+    it('should compact on a later turn of the event loop once the log is mostly garbage', async () => {
+        const backend = openBackend({ compactThreshold: 1024 });
+
+        for (let i = 0; i < 100; i++) {
+            backend.write('counter', String(i));
+        }
+        backend.write('other', 'x');
+        const grown = fs.statSync(file).size;
+
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        expect(fs.statSync(file).size).toBeLessThan(grown / 10);
+        expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(2);
+        expect(openBackend().read('counter')).toBe('99');
+
+        backend.write('after', 'compaction');
+        expect(openBackend().read('after')).toBe('compaction');
+    });
+
+    it('should copy entries a chunk at a time and keep writes made meanwhile', async () => {
+        const backend = openBackend({ compactThreshold: 1024 });
+        const value = 'x'.repeat(1024);
+        for (let round = 0; round < 2; round++) {
+            for (let i = 0; i < 200; i++) {
+                backend.write(`key${i}`, value + round);
+            }
+        }
+        const grown = fs.statSync(file).size;
+
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(fs.existsSync(file + '.compact')).toBe(true);
+
+        backend.write('key0', 'changed');
+        backend.delete('key199');
+        backend.write('added', 'during compaction');
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        expect(fs.existsSync(file + '.compact')).toBe(false);
+        expect(fs.statSync(file).size).toBeLessThan(grown * 0.6);
+
+        const reopened = openBackend();
+        expect(reopened.read('key0')).toBe('changed');
+        expect(reopened.read('key1')).toBe(value + 1);
+        expect(reopened.read('key199')).toBeNull();
+        expect(reopened.read('added')).toBe('during compaction');
+        expect(reopened.list()).toHaveLength(200);
+    });
+
+    it('should keep a clear() made during a compaction', async () => {
+        const backend = openBackend({ compactThreshold: 1024 });
+        const value = 'x'.repeat(1024);
+        for (let round = 0; round < 2; round++) {
+            for (let i = 0; i < 200; i++) {
+                backend.write(`key${i}`, value + round);
+            }
+        }
+
+        await new Promise((resolve) => setImmediate(resolve));
+        backend.clear();
+        backend.write('fresh', '1');
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        expect(openBackend().list()).toEqual(['fresh']);
+        expect(fs.readFileSync(file, 'utf8').trim().split('\n').length).toBeLessThan(100);
+    });
+
+    it('compact() should keep every live entry', () => {
+        const backend = openBackend({ compactThreshold: Infinity });
+        backend.write('a', '1');
+        backend.write('b', '2');
+        backend.clear();
+        backend.write('c', '3');
+
+        backend.compact();
+
+        expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(1);
+        expect(openBackend().list()).toEqual(['c']);
+    });
+
+    it('compact() should flush the directory after renaming the new log', () => {
+        const backend = openBackend({ compactThreshold: Infinity });
+        backend.write('a', '1');
+        const opened = vi.spyOn(fs, 'openSync');
+        const synced = vi.spyOn(fs, 'fsyncSync');
+
+        try {
+            backend.compact();
+
+            const directoryCall = opened.mock.calls.findIndex(([target]) => target === dir);
+            expect(directoryCall).not.toBe(-1);
+            expect(synced).toHaveBeenCalledWith(opened.mock.results[directoryCall].value);
+        } finally {
+            opened.mockRestore();
+            synced.mockRestore();
+        }
+    });
+
+    it('compact() should reopen the log when the rename fails', () => {
+        const backend = openBackend({ compactThreshold: Infinity });
+        backend.write('a', '1');
+        const renamed = vi.spyOn(fs, 'renameSync').mockImplementation(() => {
+            throw new Error('EBUSY');
+        });
+
+        try {
+            expect(() => backend.compact()).toThrow('EBUSY');
+        } finally {
+            renamed.mockRestore();
+        }
+
+        backend.write('b', '2');
+        expect(fs.existsSync(file + '.compact')).toBe(false);
+        expect(openBackend().list()).toEqual(['a', 'b']);
+    });
+
+    it('should discard a compaction that did not finish', () => {
+        const backend = openBackend();
+        backend.write('a', '1');
+        backend.close();
+        fs.writeFileSync(file + '.compact', 'partial');
+
+        expect(openBackend().read('a')).toBe('1');
+        expect(fs.existsSync(file + '.compact')).toBe(false);
+    });
+});
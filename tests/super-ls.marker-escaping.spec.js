@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+class Score {
+    constructor(value = 0) {
+        this.value = value;
+    }
+}
+
+describe('Marker escaping', () => {
+    let store;
+
+    beforeEach(() => {
+        t.ls.clear();
+        store = new SuperLocalStorage('esc_');
+        store.register(Score);
+    });
+
+    const writeLegacy = (key, value, header) => {
+        const payload = t.bugger.toBase64(t.ls.serialize(value));
+        t.ls.set(`esc_${key}`, header ? `${JSON.stringify(header)}\n${payload}` : payload);
+    };
+
+    it('should round-trip user objects that look like class wrappers', () => {
+        const foreign = { __super_type__: 'Score', __data__: { value: 7 }, __version__: 3 };
+
+        store.set('foreign', { payload: foreign });
+
+        const restored = store.get('foreign').payload;
+        expect(restored).toEqual(foreign);
+        expect(restored).not.toBeInstanceOf(Score);
+    });
+
+    it('should round-trip keys that already carry escape prefixes', () => {
+        const value = { '~__data__': 1, '~~__super_type__': 'x', '~other': 2, __data__: new Score(3) };
+
+        store.set('value', value);
+
+        const restored = store.get('value');
+        expect(restored).toEqual({ '~__data__': 1, '~~__super_type__': 'x', '~other': 2, __data__: expect.any(Score) });
+        expect(restored.__data__.value).toBe(3);
+    });
+
+    it('should escape marker-like keys in class fields and Maps', () => {
+        class Packet {
+            constructor() {
+                this.__super_type__ = 'Score';
+                this.__data__ = { value: 1 };
+            }
+        }
+        store.register(Packet);
+        const map = new Map([['k', { __super_type__: 'Score', __data__: {} }]]);
+
+        store.set('packet', new Packet());
+        store.set('map', map);
+
+        const packet = store.get('packet');
+        expect(packet).toBeInstanceOf(Packet);
+        expect(packet.__super_type__).toBe('Score');
+        expect(store.get('map').get('k')).toEqual({ __super_type__: 'Score', __data__: {} });
+        expect(store.deserialize(store.serialize(map))).toEqual(map);
+    });
+
+    it('should still read wrappers written before escaping (envelope v1 and bare Base64)', () => {
+        writeLegacy('v1', { score: { __super_type__: 'Score', __data__: { value: 5 } }, raw: { '~__data__': 1 } }, { v: 1 });
+        writeLegacy('v0', [{ __super_type__: 'Score', __data__: { value: 6 } }]);
+
+        const v1 = store.get('v1');
+        expect(v1.score).toBeInstanceOf(Score);
+        expect(v1.score.value).toBe(5);
+        expect(v1.raw).toEqual({ '~__data__': 1 });
+        expect(store.get('v0')[0].value).toBe(6);
+    });
+
+    it('should store new entries with envelope version 3', () => {
+        store.set('score', new Score(1));
+
+        expect(JSON.parse(t.ls.get('esc_score').split('\n')[0]).v).toBe(3);
+    });
+
+    it('should upgrade the envelope version when a migrated value is written back', () => {
+        writeLegacy('old', { __super_type__: 'Score', __data__: { value: 2 } }, { v: 1 });
+        store.register(Score, { version: 2, migrate: { 1: (data) => ({ value: data.value * 10 }) }, writeBack: true });
+
+        expect(store.get('old').value).toBe(20);
+        expect(JSON.parse(t.ls.get('esc_old').split('\n')[0]).v).toBe(3);
+        expect(store.get('old').value).toBe(20);
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+class Player {
+    constructor(name = '', score = 0) {
+        this.name = name;
+        this.score = score;
+    }
+
+    addScore(points) {
+        this.score += points;
+    }
+}
+
+describe('Namespaces', () => {
+    let storage;
+
+    beforeEach(() => {
+        t.ls.clear();
+        storage = new SuperLocalStorage('app_');
+    });
+
+    it('should store keys under prefix + namespace', () => {
+        const users = storage.namespace('users');
+        users.set('alice', { age: 30 });
+
+        expect(t.ls.get('app_users:alice')).not.toBeNull();
+        expect(users.get('alice')).toEqual({ age: 30 });
+        expect(storage.get('users:alice')).toEqual({ age: 30 });
+    });
+
+    it('should share the class registry with the parent', () => {
+        storage.register(Player);
+        const users = storage.ns('users');
+        users.set('hero', new Player('Alice', 10));
+
+        const hero = users.get('hero');
+        expect(hero).toBeInstanceOf(Player);
+        hero.addScore(5);
+        expect(hero.score).toBe(15);
+
+        class Badge {}
+        users.register(Badge);
+        expect(storage.registry.has('Badge')).toBe(true);
+    });
+
+    it('should nest namespaces', () => {
+        const cart = storage.ns('tenant:42').ns('cart');
+        cart.set('items', new Set(['apple']));
+
+        expect(t.ls.get('app_tenant:42:cart:items')).not.toBeNull();
+        expect(cart.keys()).toEqual(['items']);
+    });
+
+    it('clean(), keys() and sweepExpired() should be scoped to the namespace', () => {
+        const users = storage.ns('users');
+        const orders = storage.ns('orders');
+        users.set('a', 1, { expireAt: 0 });
+        users.set('b', 2);
+        orders.set('c', 3, { expireAt: 0 });
+
+        expect(users.keys().sort()).toEqual(['a', 'b']);
+        expect(users.sweepExpired()).toBe(1);
+        expect(orders.keys()).toEqual(['c']);
+
+        users.clean();
+        expect(users.size()).toBe(0);
+        expect(orders.size()).toBe(1);
+    });
+
+    it('should reject empty namespace names', () => {
+        expect(() => storage.namespace('')).toThrow('Invalid namespace');
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import v8 from 'node:v8';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { SuperLocalStorage, MemoryBackend, titanRuntime, nodeRuntime } from '../index.js';
+
+class Account {
+    constructor(owner = '', balance = 0) {
+        this.owner = owner;
+        this.balance = balance;
+    }
+
+    deposit(amount) {
+        this.balance += amount;
+        return this;
+    }
+}
+
+const richValue = () => {
+    const value = {
+        map: new Map([['a', 1]]),
+        set: new Set(['x']),
+        date: new Date(0),
+        big: 10n,
+        account: new Account('alice', 5)
+    };
+    value.self = value;
+    return value;
+};
+
+describe('Portable mode', () => {
+    it('nodeRuntime should round-trip rich values and class instances', () => {
+        const store = new SuperLocalStorage('port_', { runtime: nodeRuntime, backend: new MemoryBackend() });
+        store.register(Account);
+
+        store.set('value', { ...richValue(), bytes: new Uint8Array([1, 2, 3]) });
+        const value = store.get('value');
+
+        expect(value.map.get('a')).toBe(1);
+        expect(value.set.has('x')).toBe(true);
+        expect(value.big).toBe(10n);
+        expect(value.bytes).toEqual(new Uint8Array([1, 2, 3]));
+        expect(value.account.deposit(5).balance).toBe(10);
+    });
+
+    it('should read data written by the other runtime', () => {
+        // Titan stores the output of V8's ValueSerializer; v8.serialize() produces those bytes without nodeRuntime
+        const backend = new MemoryBackend();
+        const node = new SuperLocalStorage('port_', { runtime: nodeRuntime, backend });
+        node.register(Account);
+
+        const foreign = {
+            map: new Map([['a', 1]]),
+            date: new Date(0),
+            big: 10n,
+            account: { __super_type__: 'Account', __data__: { owner: 'alice', balance: 5 } }
+        };
+        foreign.self = foreign;
+        backend.write('port_fromTitan', `${JSON.stringify({ v: 3, revision: 1 })}\n${v8.serialize(foreign).toString('base64')}`);
+
+        const value = node.get('fromTitan');
+        expect(value.self).toBe(value);
+        expect(value.account).toBeInstanceOf(Account);
+        expect(value.map.get('a')).toBe(1);
+        expect(value.date.getTime()).toBe(0);
+
+        node.set('fromNode', richValue());
+        const payload = Buffer.from(backend.read('port_fromNode').split('\n')[1], 'base64');
+        const written = v8.deserialize(payload);
+
+        expect(written.self).toBe(written);
+        expect(written.account).toEqual({ __super_type__: 'Account', __data__: { owner: 'alice', balance: 5 } });
+        expect(payload.equals(v8.serialize(written))).toBe(true);
+    });
+
+    it('nodeRuntime should write standard V8 bytes, typed arrays included', () => {
+        const bytes = nodeRuntime.serialize({ view: new Float64Array([1.5]) });
+
+        expect(v8.deserialize(Buffer.from(bytes)).view).toEqual(new Float64Array([1.5]));
+        expect(nodeRuntime.toBase64(nodeRuntime.fromBase64('AQID'))).toBe('AQID');
+    });
+
+    it('both runtimes should provide random bytes for encryption nonces', () => {
+        const saved = globalThis.t.crypto;
+        globalThis.t.crypto = { randomBytes: (size) => '0aff'.repeat(size / 2) };
+        try {
+            expect(titanRuntime.randomBytes(4)).toEqual(new Uint8Array([0x0a, 0xff, 0x0a, 0xff]));
+        } finally {
+            globalThis.t.crypto = saved;
+        }
+
+        const nonce = nodeRuntime.randomBytes(12);
+        expect(nonce).toBeInstanceOf(Uint8Array);
+        expect(nonce).toHaveLength(12);
+        expect(nodeRuntime.randomBytes(12)).not.toEqual(nonce);
+    });
+
+    it('should detect the runtime and pick a matching default backend', () => {
+        expect(new SuperLocalStorage().runtime).toBe(titanRuntime);
+
+        const saved = globalThis.t;
+        delete globalThis.t;
+        try {
+            const warnings = [];
+            const logger = { warn: (message) => warnings.push(message) };
+            const store = new SuperLocalStorage({ prefix: 'port_', logger });
+            expect(store.runtime).toBe(nodeRuntime);
+            expect(store.backend).toBeInstanceOf(MemoryBackend);
+            expect(warnings).toEqual([]);
+
+            store.set('a', 1);
+            store.set('b', 2);
+            new SuperLocalStorage({ prefix: 'other_', logger }).set('c', 3);
+            expect(warnings).toHaveLength(1);
+            expect(warnings[0]).toContain('entries are kept in memory and lost when the process exits');
+            expect(store.get('b')).toBe(2);
+
+            store.setTemp('cache', { hits: 1 });
+            expect(store.getTemp('cache')).toEqual({ hits: 1 });
+
+            const explicit = new SuperLocalStorage({ prefix: 'port_', backend: new MemoryBackend(), logger });
+            explicit.set('a', 1);
+            expect(warnings).toHaveLength(1);
+        } finally {
+            globalThis.t = saved;
+        }
+    });
+
+    it('should import and run in plain Node.js without the Titan global', () => {
+        const entry = fileURLToPath(new URL('../index.js', import.meta.url));
+        const script = `
+            const { default: superLs, SuperLocalStorage } = await import(${JSON.stringify(entry)});
+            superLs.set('map', new Map([['k', [1, 2]]]));
+            const scoped = new SuperLocalStorage('app_');
+            scoped.ns('users').set('alice', new Set([1]));
+            console.log(JSON.stringify([superLs.get('map').get('k'), [...scoped.ns('users').get('alice')], scoped.keys()]));
+        `;
+
+        const result = spawnSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8', timeout: 30000 });
+
+        expect(result.stderr.match(/\[super-ls\] Titan's t\.ls is not available/g)).toHaveLength(1);
+        expect(result.stdout.trim()).toBe('[[1,2],[1],["users:alice"]]');
+    });
+});
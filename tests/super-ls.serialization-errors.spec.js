@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage, SerializationError } from '../index.js';
+
+class Player {
+    constructor(name = '') {
+        this.name = name;
+        this.onScore = null;
+    }
+}
+
+describe('Serialization errors', () => {
+    let store;
+
+    beforeEach(() => {
+        t.ls.clear();
+        store = new SuperLocalStorage('errors_');
+    });
+
+    const catchError = (fn) => {
+        try {
+            fn();
+        } catch (error) {
+            return error;
+        }
+        throw new Error('expected an error');
+    };
+
+    it('should throw a SerializationError with the path, type and a suggestion', () => {
+        const users = [{}, {}, {}, { name: 'dana', onChange: function notify() {} }];
+
+        const error = catchError(() => store.set('users', { users }));
+
+        expect(error).toBeInstanceOf(SerializationError);
+        expect(error.path).toBe('root.users[3].onChange');
+        expect(error.valueType).toBe('function notify');
+        expect(error.suggestion).toMatch(/recreate the function/);
+        expect(error.message).toBe(`Cannot store function notify at root.users[3].onChange: ${error.suggestion}`);
+        expect(store.has('users')).toBe(false);
+    });
+
+    it('should report weak collections, promises, symbols and host objects', () => {
+        const node = { nodeType: 1, nodeName: 'DIV' };
+        const cases = [
+            [new WeakMap(), 'WeakMap', /Map/],
+            [new WeakSet(), 'WeakSet', /Set/],
+            [Promise.resolve(1), 'Promise', /await/],
+            [Symbol('id'), 'symbol', /string/],
+            [node, 'host object Object', /node/]
+        ];
+
+        for (const [value, valueType, suggestion] of cases) {
+            const error = catchError(() => store.set('value', { value }));
+            expect(error.path).toBe('root.value');
+            expect(error.valueType).toBe(valueType);
+            expect(error.suggestion).toMatch(suggestion);
+        }
+    });
+
+    it('should describe paths through Maps, Sets, quoted keys and registered classes', () => {
+        store.register(Player);
+        const player = new Player('alice');
+        player.onScore = () => {};
+
+        expect(catchError(() => store.set('k', new Map([['alice', player]]))).path).toBe('root.get("alice").onScore');
+        expect(catchError(() => store.set('k', new Map([[{ id: 1 }, () => {}]]))).path).toBe('root<value #0>');
+        expect(catchError(() => store.set('k', new Set([1, new WeakMap()]))).path).toBe('root<#1>');
+        expect(catchError(() => store.set('k', { 'first name': () => {} })).path).toBe('root["first name"]');
+    });
+
+    it('should throw from serialize(), setMany() and transactions without writing', () => {
+        expect(() => store.serialize({ fn: () => {} })).toThrow(SerializationError);
+
+        const error = catchError(() => store.setMany({ a: 1, b: { fn: () => {} } }));
+        expect(error.path).toBe('entries[1].fn');
+        expect(store.has('a')).toBe(false);
+
+        expect(() => store.transaction((tx) => tx.set('c', new WeakSet()))).toThrow(SerializationError);
+        expect(store.has('c')).toBe(false);
+    });
+
+    it('should list every problem with validate() without writing anything', () => {
+        const state = {
+            ok: new Map([['a', 1]]),
+            handlers: [() => {}, 'fine', new WeakMap()],
+            pending: Promise.resolve()
+        };
+
+        const problems = store.validate(state);
+
+        expect(problems.map((problem) => problem.path)).toEqual(['root.handlers[0]', 'root.handlers[2]', 'root.pending']);
+        expect(problems.every((problem) => problem instanceof SerializationError)).toBe(true);
+        expect(store.keys()).toEqual([]);
+        expect(store.validate({ fine: [1, new Date(), new Set([2])] })).toEqual([]);
+    });
+
+    it('should wrap registered classes held in Maps and Sets', () => {
+        store.register(Player);
+
+        store.set('roster', new Map([['alice', new Player('alice')]]));
+        store.set('bench', new Set([new Player('bob')]));
+
+        expect(store.get('roster').get('alice')).toBeInstanceOf(Player);
+        expect([...store.get('bench')][0]).toBeInstanceOf(Player);
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage, SerializationError } from '../index.js';
+
+class Player {
+    constructor(name = '') {
+        this.name = name;
+    }
+}
+
+class QuotaError extends RangeError {}
+
+class Enemy {
+    constructor(name = '') {
+        this.name = name;
+    }
+}
+
+describe('Strict mode', () => {
+    let warnings;
+    let logger;
+
+    beforeEach(() => {
+        t.ls.clear();
+        warnings = [];
+        logger = { warn: (message) => warnings.push(message) };
+    });
+
+    it('should keep storing unregistered instances as plain objects by default', () => {
+        const store = new SuperLocalStorage({ prefix: 'loose_', logger });
+
+        store.set('enemy', new Enemy('orc'));
+
+        expect(store.get('enemy')).toEqual({ name: 'orc' });
+        expect(warnings).toEqual([]);
+    });
+
+    it('should throw on unregistered class instances with strict: true', () => {
+        const store = new SuperLocalStorage({ prefix: 'strict_', strict: true });
+        store.register(Player);
+
+        let error;
+        try {
+            store.set('party', { members: [new Player('alice'), new Enemy('orc')] });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).toBeInstanceOf(SerializationError);
+        expect(error.path).toBe('root.members[1]');
+        expect(error.valueType).toBe('Enemy instance');
+        expect(store.has('party')).toBe(false);
+    });
+
+    it('should accept plain objects, null-prototype objects and natively supported types', () => {
+        const store = new SuperLocalStorage({ prefix: 'strict_', strict: true });
+        const value = {
+            bare: Object.create(null),
+            list: [1, 2],
+            map: new Map([['a', 1]]),
+            set: new Set([1]),
+            date: new Date(0),
+            re: /x/g,
+            bytes: new Uint8Array([1, 2]),
+            buffer: new ArrayBuffer(4),
+            view: new DataView(new ArrayBuffer(2))
+        };
+
+        store.set('value', value);
+
+        const restored = store.get('value');
+        expect(restored.buffer).toBeInstanceOf(ArrayBuffer);
+        expect(restored.buffer.byteLength).toBe(4);
+        expect(store.validate(value)).toEqual([]);
+    });
+
+    it('should reject subclasses of built-in types', () => {
+        class Inventory extends Map {}
+        const store = new SuperLocalStorage({ prefix: 'strict_', strict: true });
+
+        expect(() => store.set('inventory', new Inventory())).toThrow('Cannot store Inventory instance at root');
+    });
+
+    it('should list unregistered instances in validate()', () => {
+        const store = new SuperLocalStorage({ prefix: 'strict_', strict: true });
+
+        const problems = store.validate([new Enemy('a'), { boss: new Enemy('b') }]);
+
+        expect(problems.map((problem) => problem.path)).toEqual(['root[0]', 'root[1].boss']);
+    });
+
+    it("should warn once per constructor with strict: 'warn' and still store the value", () => {
+        const store = new SuperLocalStorage({ prefix: 'warn_', strict: 'warn', logger });
+
+        store.set('enemies', [new Enemy('a'), new Enemy('b')]);
+        store.namespace('other').set('enemy', new Enemy('c'));
+        store.set('error', new QuotaError('boom'));
+        store.set('builtin', new RangeError('boom'));
+
+        expect(store.get('enemies')).toEqual([{ name: 'a' }, { name: 'b' }]);
+        expect(warnings).toHaveLength(2);
+        expect(warnings[0]).toBe(
+            '[super-ls] Enemy instance at root[0] is stored as a plain object: its class is not registered, so it will come back without its prototype'
+        );
+        expect(warnings[1]).toMatch(/^\[super-ls\] QuotaError instance at root /);
+    });
+
+    it('should reject invalid strict options', () => {
+        expect(() => new SuperLocalStorage({ strict: 'yes' })).toThrow("Invalid strict option: expected true, false or 'warn'");
+    });
+});
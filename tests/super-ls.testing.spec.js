@@ -0,0 +1,112 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import v8 from 'node:v8';
+import { SuperLocalStorage } from '../index.js';
+import { createFakeTitan, install, uninstall, expectRoundTrip, expectSameGraph } from '../testing.js';
+
+class Player {
+    constructor(name = '', score = 0) {
+        this.name = name;
+        this.score = score;
+    }
+}
+
+class Team {
+    constructor(members = []) {
+        this.members = members;
+    }
+}
+
+describe('super-ls/testing', () => {
+    afterEach(() => {
+        uninstall();
+    });
+
+    it('install() should replace the global t and uninstall() should restore it', () => {
+        const original = globalThis.t;
+
+        const fake = install();
+        expect(globalThis.t).toBe(fake);
+
+        const store = new SuperLocalStorage('fake_');
+        store.set('key', new Map([['a', 1]]));
+        expect(fake.ls.keys()).toEqual(['fake_key']);
+        expect(original.ls.get('fake_key')).toBeNull();
+
+        uninstall();
+        expect(globalThis.t).toBe(original);
+    });
+
+    it('install() calls should nest', () => {
+        const original = globalThis.t;
+        const outer = install();
+        install();
+
+        uninstall();
+        expect(globalThis.t).toBe(outer);
+        uninstall();
+        expect(globalThis.t).toBe(original);
+    });
+
+    it('the fake should behave like the native bindings', () => {
+        const fake = createFakeTitan();
+
+        expect(fake.ls.get('missing')).toBeNull();
+        fake.ls.set('n', 42);
+        expect(fake.ls.get('n')).toBe('42');
+
+        const bytes = fake.ls.serialize({ a: [1, 2] });
+        expect(v8.deserialize(Buffer.from(bytes))).toEqual({ a: [1, 2] });
+        expect(fake.bugger.fromBase64(fake.bugger.toBase64(bytes))).toEqual(bytes);
+        expect(fake.crypto.randomBytes(12)).toMatch(/^[0-9a-f]{24}$/);
+
+        fake.ls.register(Player, null, 'Player');
+        expect(fake.ls.hydrate('Player', { name: 'a', score: 1 })).toBeInstanceOf(Player);
+        expect(() => fake.ls.hydrate('Ghost', {})).toThrow("Type 'Ghost' is not registered");
+
+        fake.ls.setObject('temp', { live: true });
+        expect(fake.ls.getObject('temp')).toEqual({ live: true });
+    });
+
+    it('expectRoundTrip() should accept faithful round trips', () => {
+        install();
+        const alice = new Player('alice', 1);
+        const team = new Team([alice, alice]);
+        team.self = team;
+
+        const restored = expectRoundTrip(team, { classes: [Team, Player] });
+
+        expect(restored.members[0]).toBe(restored.members[1]);
+        expectRoundTrip({ map: new Map([[{ k: 1 }, new Set([1n])]]), date: new Date(5), re: /x/gi, nan: NaN, neg: -0 });
+    });
+
+    it('expectRoundTrip() should report lost prototypes with their path', () => {
+        install();
+
+        expect(() => expectRoundTrip({ team: new Team([new Player('bob')]) }, { classes: [Team] }))
+            .toThrow('value.team.members[0]: expected prototype Player, got Object');
+    });
+
+    it('expectSameGraph() should detect identity and cycle differences', () => {
+        const shared = { id: 1 };
+
+        expect(() => expectSameGraph([{ id: 1 }, { id: 1 }], [shared, shared]))
+            .toThrow('value[1]: expected a reference to an object seen earlier');
+
+        const copy = { id: 1 };
+        expect(() => expectSameGraph([copy, copy], [{ id: 1 }, { id: 1 }]))
+            .toThrow('value[1]: expected a distinct object');
+
+        expect(() => expectSameGraph({ a: 1, b: 2 }, { a: 1, c: 2 }))
+            .toThrow('value: keys differ (missing: [c], unexpected: [b])');
+    });
+
+    it('expectRoundTrip() should use the given store', () => {
+        install();
+        const store = new SuperLocalStorage('custom_');
+        store.register(Player);
+
+        expectRoundTrip(new Player('carol', 3), { store });
+
+        expect(store.keys()).toEqual([]);
+    });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+const JOURNAL_PREFIX = 'tx_\u0000journal:';
+
+describe('Transactions', () => {
+    let storage;
+
+    beforeEach(() => {
+        t.ls.clear();
+        storage = new SuperLocalStorage('tx_');
+    });
+
+    it('should commit staged writes together', () => {
+        storage.set('cart', ['apple']);
+        storage.set('inventory', new Map([['apple', 3]]));
+        storage.set('obsolete', true);
+
+        storage.transaction((tx) => {
+            const cart = tx.get('cart');
+            const inventory = tx.get('inventory');
+            cart.push('pear');
+            inventory.set('pear', inventory.get('pear') ?? 0);
+            tx.set('cart', cart);
+            tx.set('inventory', inventory);
+            tx.remove('obsolete');
+        });
+
+        expect(storage.get('cart')).toEqual(['apple', 'pear']);
+        expect(storage.get('inventory').get('pear')).toBe(0);
+        expect(storage.has('obsolete')).toBe(false);
+        expect(t.ls.keys().some((key) => key.startsWith(JOURNAL_PREFIX))).toBe(false);
+    });
+
+    it('should write nothing when the callback throws', () => {
+        storage.set('cart', ['apple']);
+
+        expect(() => storage.transaction((tx) => {
+            tx.set('cart', []);
+            tx.set('inventory', new Map());
+            throw new Error('payment failed');
+        })).toThrow('payment failed');
+
+        expect(storage.get('cart')).toEqual(['apple']);
+        expect(storage.has('inventory')).toBe(false);
+    });
+
+    it('should write nothing when a staged value cannot be serialized', () => {
+        expect(() => storage.transaction((tx) => {
+            tx.set('ok', 1);
+            tx.set('bad', { fn: () => {} });
+        })).toThrow();
+
+        expect(storage.has('ok')).toBe(false);
+    });
+
+    it('should commit values as they were when staged', () => {
+        storage.transaction((tx) => {
+            const cart = { items: ['apple'] };
+            tx.set('cart', cart);
+            cart.items.push('pear');
+
+            expect(tx.get('cart')).toEqual({ items: ['apple'] });
+        });
+
+        expect(storage.get('cart')).toEqual({ items: ['apple'] });
+    });
+
+    it('should throw at tx.set() when a value cannot be serialized', () => {
+        let reached = false;
+
+        expect(() => storage.transaction((tx) => {
+            tx.set('bad', { fn: () => {} });
+            reached = true;
+        })).toThrow('Cannot store function fn at root.fn');
+
+        expect(reached).toBe(false);
+    });
+
+    it('reads should see staged writes', () => {
+        storage.set('a', 1);
+
+        storage.transaction((tx) => {
+            tx.set('b', 2);
+            tx.remove('a');
+
+            expect(tx.get('b')).toBe(2);
+            expect(tx.has('a')).toBe(false);
+            expect(tx.get('a')).toBeNull();
+            expect(storage.get('b')).toBeNull();
+        });
+    });
+
+    it('should return the callback result and reject async callbacks', () => {
+        expect(storage.transaction(() => 42)).toBe(42);
+        expect(() => storage.transaction(async (tx) => tx.set('a', 1))).toThrow('must be synchronous');
+        expect(storage.has('a')).toBe(false);
+    });
+
+    it('should bump revisions and notify watchers after commit', () => {
+        const events = [];
+        storage.set('a', 1);
+        storage.watch('*', (event) => events.push(event));
+
+        storage.transaction((tx) => {
+            tx.set('a', 2);
+            tx.set('b', 3, { ttl: 60000 });
+        });
+
+        expect(storage.getRevision('a')).toBe(2);
+        expect(events.map(({ key, type, oldValue, newValue }) => [key, type, oldValue, newValue])).toEqual([
+            ['a', 'set', 1, 2],
+            ['b', 'set', undefined, 3]
+        ]);
+    });
+
+    describe('recoverTransactions()', () => {
+        const interruptCommit = () => {
+            storage.set('a', 'old-a');
+            storage.set('b', 'old-b');
+
+            // Simulate a crash right after the first change was applied
+            const set = t.ls.set;
+            let writes = 0;
+            const crash = vi.spyOn(t.ls, 'set').mockImplementation((key, value) => {
+                set(key, value);
+                if (!key.startsWith(JOURNAL_PREFIX) && ++writes === 1) {
+                    throw new Error('crash');
+                }
+            });
+
+            expect(() => storage.transaction((tx) => {
+                tx.set('a', 'new-a');
+                tx.remove('b');
+            })).toThrow('crash');
+            crash.mockRestore();
+
+            expect(storage.get('a')).toBe('new-a');
+            expect(storage.get('b')).toBe('old-b');
+        };
+
+        it('should roll interrupted commits forward', () => {
+            interruptCommit();
+
+            expect(new SuperLocalStorage('tx_').recoverTransactions()).toBe(1);
+
+            expect(storage.get('a')).toBe('new-a');
+            expect(storage.has('b')).toBe(false);
+            expect(t.ls.keys().some((key) => key.startsWith(JOURNAL_PREFIX))).toBe(false);
+        });
+
+        it('should roll interrupted commits back', () => {
+            interruptCommit();
+
+            expect(storage.recoverTransactions({ mode: 'back' })).toBe(1);
+
+            expect(storage.get('a')).toBe('old-a');
+            expect(storage.get('b')).toBe('old-b');
+        });
+
+        it('should discard journals that were not completely written', () => {
+            t.ls.set(`${JOURNAL_PREFIX}broken`, '{"ops":[{"rawKey":');
+
+            expect(storage.recoverTransactions()).toBe(0);
+            expect(t.ls.keys()).toEqual([]);
+        });
+
+        it('should reject unknown modes', () => {
+            expect(() => storage.recoverTransactions({ mode: 'sideways' })).toThrow('Invalid recovery mode');
+        });
+    });
+});
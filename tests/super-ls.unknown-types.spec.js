@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage, UnknownTypeEnvelope } from '../index.js';
+
+class Avatar {
+    constructor(url = '', frame = null) {
+        this.url = url;
+        this.frame = frame;
+    }
+}
+
+class Frame {
+    constructor(color = '') {
+        this.color = color;
+    }
+}
+
+describe('Unknown types', () => {
+    let writer;
+
+    beforeEach(() => {
+        t.ls.clear();
+        writer = new SuperLocalStorage('shared_');
+        writer.register(Avatar, { version: 2, migrate: { 1: (data) => data } });
+        writer.register(Frame);
+    });
+
+    const reader = (onUnknownType) => new SuperLocalStorage({ prefix: 'shared_', onUnknownType });
+
+    it("should return the data as a plain object with 'plain' (the default)", () => {
+        writer.set('avatar', new Avatar('a.png', new Frame('red')));
+
+        expect(reader().get('avatar')).toEqual({ url: 'a.png', frame: { color: 'red' } });
+        expect(reader('plain').get('avatar').frame).toEqual({ color: 'red' });
+    });
+
+    it("should throw with 'throw'", () => {
+        writer.set('avatar', new Avatar('a.png'));
+
+        expect(() => reader('throw').get('avatar')).toThrow('Cannot read Avatar: the type is not registered');
+    });
+
+    it('should pass type name, rehydrated data and version to a custom handler', () => {
+        writer.set('avatar', new Avatar('a.png', new Frame('red')));
+        const calls = [];
+
+        const value = reader((typeName, data, version) => {
+            calls.push([typeName, version]);
+            return { kind: typeName, ...data };
+        }).get('avatar');
+
+        expect(calls).toEqual([['Frame', 1], ['Avatar', 2]]);
+        expect(value).toEqual({ kind: 'Avatar', url: 'a.png', frame: { kind: 'Frame', color: 'red' } });
+    });
+
+    it("should return an UnknownTypeEnvelope with 'preserve' and write it back unchanged", () => {
+        writer.set('profile', { name: 'alice', avatar: new Avatar('a.png', new Frame('red')) });
+
+        const preserving = reader('preserve');
+        const profile = preserving.get('profile');
+
+        expect(profile.avatar).toBeInstanceOf(UnknownTypeEnvelope);
+        expect(profile.avatar.typeName).toBe('Avatar');
+        expect(profile.avatar.version).toBe(2);
+        expect(profile.avatar.data.frame).toEqual({ __super_type__: 'Frame', __data__: { color: 'red' } });
+
+        profile.name = 'alicia';
+        preserving.set('profile', profile);
+
+        const restored = writer.get('profile');
+        expect(restored.name).toBe('alicia');
+        expect(restored.avatar).toBeInstanceOf(Avatar);
+        expect(restored.avatar.frame).toBeInstanceOf(Frame);
+        expect(restored.avatar.frame.color).toBe('red');
+    });
+
+    it('should re-serialize preserved envelopes byte for byte', () => {
+        const shared = new Avatar('a.png', new Frame('red'));
+        const bytes = writer.serialize([shared, shared]);
+
+        const preserving = reader('preserve');
+        const [first, second] = preserving.deserialize(bytes);
+
+        expect(second).toBe(first);
+        expect(preserving.serialize([first, second])).toEqual(bytes);
+    });
+
+    it('should accept envelopes in strict mode', () => {
+        writer.set('avatar', new Avatar('a.png'));
+        const strict = new SuperLocalStorage({ prefix: 'shared_', onUnknownType: 'preserve', strict: true });
+
+        expect(() => strict.set('copy', strict.get('avatar'))).not.toThrow();
+        expect(writer.get('copy')).toBeInstanceOf(Avatar);
+    });
+
+    it('should reject invalid policies', () => {
+        expect(() => reader('keep')).toThrow("Invalid onUnknownType option: expected 'plain', 'throw', 'preserve' or a function");
+    });
+});
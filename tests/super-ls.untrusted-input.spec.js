@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage, SerializationError } from '../index.js';
+
+class Order {
+    constructor(id = 0, items = []) {
+        this.id = id;
+        this.items = items;
+    }
+}
+
+class LineItem {
+    constructor(sku = '') {
+        this.sku = sku;
+    }
+}
+
+class Admin {
+    constructor() {
+        this.root = true;
+    }
+}
+
+describe('Untrusted input', () => {
+    let store;
+
+    beforeEach(() => {
+        t.ls.clear();
+        store = new SuperLocalStorage('safe_');
+        store.register(Order);
+        store.register(LineItem);
+        store.register(Admin);
+    });
+
+    /** Serializes a value as an attacker would, bypassing super-ls */
+    const craft = (value) => t.ls.serialize(value);
+
+    it('should keep __proto__ keys as own data without touching prototypes', () => {
+        const payload = JSON.parse('{"user":{"__proto__":{"isAdmin":true},"name":"mallory"}}');
+
+        const value = store.deserialize(craft(payload));
+
+        expect(Object.getPrototypeOf(value.user)).toBe(Object.prototype);
+        expect(value.user.isAdmin).toBeUndefined();
+        expect(Object.hasOwn(value.user, '__proto__')).toBe(true);
+        expect({}.isAdmin).toBeUndefined();
+    });
+
+    it('should round-trip objects with own __proto__ and constructor keys through set()', () => {
+        const value = JSON.parse('{"__proto__":{"x":1},"constructor":{"name":"fake"},"nested":[{"__proto__":null}]}');
+
+        store.set('value', value);
+        const restored = store.get('value');
+
+        expect(Object.getPrototypeOf(restored)).toBe(Object.prototype);
+        expect(Object.hasOwn(restored, '__proto__')).toBe(true);
+        expect(restored.constructor).toEqual({ name: 'fake' });
+        expect(Object.getPrototypeOf(restored.nested[0])).toBe(Object.prototype);
+    });
+
+    it('should rehydrate nested wrappers inside objects that shadow constructor', () => {
+        const payload = { constructor: 'x', order: { __super_type__: 'Order', __data__: { id: 1, items: [] } } };
+
+        expect(store.deserialize(craft(payload)).order).toBeInstanceOf(Order);
+    });
+
+    it('should reject class data with keys that reach the prototype', () => {
+        for (const key of ['__proto__', 'constructor', 'prototype']) {
+            const data = JSON.parse(`{"id":1,"${key}":{"polluted":true}}`);
+            const bytes = craft({ __super_type__: 'Order', __data__: data });
+
+            expect(() => store.deserialize(bytes)).toThrow(`Cannot hydrate Order: stored data has the unsafe key '${key}'`);
+        }
+        expect(Order.prototype.polluted).toBeUndefined();
+    });
+
+    it('should refuse to store class fields that could not be read back', () => {
+        const order = new Order(1);
+        Object.defineProperty(order, 'constructor', { value: 'shadow', enumerable: true });
+        Object.defineProperty(order, 'prototype', { value: {}, enumerable: true });
+
+        expect(() => store.set('order', order)).toThrow(SerializationError);
+        expect(() => store.set('order', order)).toThrow("Cannot store field 'constructor' of Order at root.constructor");
+        expect(store.has('order')).toBe(false);
+        expect(store.validate({ order }).map((problem) => problem.path)).toEqual(['root.order.constructor', 'root.order.prototype']);
+
+        store.register(Order, {
+            dehydrate: (value) => ({ id: value.id, items: value.items, constructor: value.constructor }),
+            hydrate: (data) => Object.defineProperty(new Order(data.id, data.items), 'constructor', { value: data.constructor, enumerable: true })
+        });
+        store.set('order', order);
+
+        const restored = store.get('order');
+        expect(restored).toBeInstanceOf(Order);
+        expect(restored.constructor).toBe('shadow');
+    });
+
+    it('should only hydrate allowedTypes', () => {
+        const bytes = store.serialize(new Order(1, [new LineItem('a')]));
+
+        const order = store.deserialize(bytes, { allowedTypes: [Order, 'LineItem'] });
+        expect(order).toBeInstanceOf(Order);
+        expect(order.items[0]).toBeInstanceOf(LineItem);
+
+        expect(() => store.deserialize(bytes, { allowedTypes: [Order] })).toThrow(
+            "Cannot deserialize type 'LineItem': it is not in allowedTypes"
+        );
+        expect(() => store.deserialize(store.serialize({ who: new Admin() }), { allowedTypes: [] })).toThrow(
+            "Cannot deserialize type 'Admin': it is not in allowedTypes"
+        );
+    });
+
+    it('should apply allowedTypes to unregistered type names too', () => {
+        const bytes = craft({ __super_type__: 'Ghost', __data__: {} });
+
+        expect(() => store.deserialize(bytes, { allowedTypes: [Order] })).toThrow("Cannot deserialize type 'Ghost'");
+    });
+});
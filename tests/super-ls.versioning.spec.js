@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+class Player {
+    constructor(name = '', score = 0, level = 1) {
+        this.name = name;
+        this.score = score;
+        this.level = level;
+    }
+
+    describe() {
+        return `${this.name} (${this.score}, lvl ${this.level})`;
+    }
+}
+
+class LegacyPlayer {
+    constructor(name = '', points = 0) {
+        this.name = name;
+        this.points = points;
+    }
+}
+
+const hydrate = (data) => new Player(data.name, data.score, data.level);
+
+describe('Versioned class registrations', () => {
+    let writer;
+    let reader;
+
+    beforeEach(() => {
+        t.ls.clear();
+        writer = new SuperLocalStorage('ver_');
+        reader = new SuperLocalStorage('ver_');
+    });
+
+    it('should migrate unversioned data through every step', () => {
+        writer.register(LegacyPlayer, 'Player');
+        writer.set('hero', new LegacyPlayer('Alice', 10));
+
+        reader.register(Player, {
+            version: 3,
+            hydrate,
+            migrate: {
+                1: (data) => ({ name: data.name, score: data.points }),
+                2: (data) => ({ ...data, level: 5 })
+            }
+        });
+
+        const hero = reader.get('hero');
+        expect(hero).toBeInstanceOf(Player);
+        expect(hero.describe()).toBe('Alice (10, lvl 5)');
+    });
+
+    it('should only run the steps after the stored version', () => {
+        writer.register(Player, { version: 2, hydrate });
+        writer.set('hero', new Player('Bob', 3));
+
+        const calls = [];
+        reader.register(Player, {
+            version: 3,
+            hydrate,
+            migrate: {
+                1: (data) => { calls.push(1); return data; },
+                2: (data) => { calls.push(2); return { ...data, level: 9 }; }
+            }
+        });
+
+        expect(reader.get('hero').level).toBe(9);
+        expect(calls).toEqual([2]);
+    });
+
+    it('should not migrate data written with the current version', () => {
+        let migrations = 0;
+        const options = { version: 2, hydrate, migrate: { 1: (data) => { migrations++; return data; } } };
+        writer.register(Player, options);
+        reader.register(Player, options);
+
+        writer.set('hero', new Player('Carol', 7));
+
+        expect(reader.get('hero').name).toBe('Carol');
+        expect(migrations).toBe(0);
+    });
+
+    it('should write back the upgraded form when requested', () => {
+        writer.register(Player);
+        writer.set('hero', new Player('Dan', 1));
+
+        let migrations = 0;
+        reader.register(Player, {
+            version: 2,
+            hydrate,
+            writeBack: true,
+            migrate: { 1: (data) => { migrations++; return { ...data, level: 2 }; } }
+        });
+
+        expect(reader.get('hero').level).toBe(2);
+        expect(reader.get('hero').level).toBe(2);
+        expect(migrations).toBe(1);
+    });
+
+    it('should not write back values holding types the reader has not registered', () => {
+        writer.register(Player);
+        writer.register(LegacyPlayer);
+        writer.set('hero', { player: new Player('Dan', 1), rival: new LegacyPlayer('Eve', 4) });
+
+        reader.register(Player, { version: 2, hydrate, writeBack: true, migrate: { 1: (data) => ({ ...data, level: 2 }) } });
+
+        expect(reader.get('hero')).toMatchObject({ player: { level: 2 }, rival: { name: 'Eve', points: 4 } });
+        expect(writer.get('hero').rival).toBeInstanceOf(LegacyPlayer);
+    });
+
+    it('write-back should only rewrite the batch keys that hold a migrated value', () => {
+        writer.register(Player);
+        writer.setMany({ hero: new Player('Dan', 1), title: 'Champion' });
+
+        reader.register(Player, { version: 2, hydrate, writeBack: true, migrate: { 1: (data) => ({ ...data, level: 2 }) } });
+
+        expect(reader.get('title')).toBe('Champion');
+        expect(reader.inspect('title').batched).toBe(true);
+        expect(reader.get('hero').level).toBe(2);
+        expect(reader.inspect('hero').batched).toBe(false);
+    });
+
+    it('should throw when a migration step is missing', () => {
+        writer.register(Player);
+        writer.set('hero', new Player('Eve', 1));
+
+        reader.register(Player, { version: 3, migrate: { 2: (data) => data } });
+
+        expect(() => reader.get('hero')).toThrow('Missing migration for Player from version 1 to 2');
+    });
+
+    it('should throw when data is newer than the registration', () => {
+        writer.register(Player, { version: 4 });
+        writer.set('hero', new Player('Frank', 1));
+
+        reader.register(Player, { version: 2 });
+
+        expect(() => reader.get('hero')).toThrow('registered version is 2');
+    });
+
+    it('should reject invalid versions', () => {
+        expect(() => writer.register(Player, { version: 0 })).toThrow('Invalid version');
+    });
+});
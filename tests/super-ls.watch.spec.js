@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SuperLocalStorage } from '../index.js';
+
+describe('Change subscriptions', () => {
+    let storage;
+
+    beforeEach(() => {
+        t.ls.clear();
+        storage = new SuperLocalStorage('w_');
+    });
+
+    it('should notify on set with old and new values', () => {
+        const events = [];
+        storage.watch('theme', (event) => events.push(event));
+
+        storage.set('theme', 'light');
+        storage.set('theme', 'dark');
+
+        expect(events).toEqual([
+            { key: 'theme', type: 'set', oldValue: undefined, newValue: 'light' },
+            { key: 'theme', type: 'set', oldValue: 'light', newValue: 'dark' }
+        ]);
+    });
+
+    it('should notify on remove and clean', () => {
+        const events = [];
+        storage.set('a', 1);
+        storage.set('b', 2);
+        storage.watch('*', (event) => events.push(event));
+
+        storage.remove('a');
+        storage.clean();
+
+        expect(events).toEqual([
+            { key: 'a', type: 'remove', oldValue: 1, newValue: undefined },
+            { key: 'b', type: 'clean', oldValue: 2, newValue: undefined }
+        ]);
+    });
+
+    it('should notify on TTL expiry', () => {
+        const callback = vi.fn();
+        storage.set('session', 'token', { expireAt: 0 });
+        storage.watch('session', callback);
+
+        expect(storage.get('session')).toBeNull();
+        expect(callback).toHaveBeenCalledWith(
+            expect.objectContaining({ key: 'session', type: 'expire', oldValue: 'token' })
+        );
+    });
+
+    it('should only notify watchers whose pattern matches', () => {
+        const settings = vi.fn();
+        storage.watch('settings:*', settings);
+
+        storage.set('other', 1);
+        storage.set('settings:lang', 'en');
+
+        expect(settings).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report keys relative to the watching namespace', () => {
+        const events = [];
+        storage.watch('users:*', (event) => events.push(event.key));
+        const users = storage.ns('users');
+        users.watch('*', (event) => events.push(event.key));
+
+        users.set('alice', 1);
+
+        expect(events).toEqual(['users:alice', 'alice']);
+    });
+
+    it('unwatch() and the returned function should stop notifications', () => {
+        const a = vi.fn();
+        const b = vi.fn();
+        const stop = storage.watch('k', a);
+        storage.watch('k', b);
+
+        stop();
+        storage.set('k', 1);
+        storage.unwatch('k', b);
+        storage.set('k', 2);
+
+        expect(a).not.toHaveBeenCalled();
+        expect(b).toHaveBeenCalledTimes(1);
+    });
+
+    it('poll() should detect changes made by another thread through revisions', () => {
+        const events = [];
+        storage.set('config', 'v1');
+        storage.watch('config', (event) => events.push(event));
+
+        expect(storage.poll()).toBe(0);
+
+        // Simulate another thread writing with its own instance
+        const otherThread = new SuperLocalStorage('w_');
+        otherThread.set('config', 'v2');
+
+        expect(storage.poll()).toBe(1);
+        expect(events).toEqual([{ key: 'config', type: 'set', oldValue: undefined, newValue: 'v2' }]);
+
+        otherThread.remove('config');
+        storage.poll();
+        expect(events[1]).toMatchObject({ key: 'config', type: 'remove' });
+    });
+
+    it('poll() should not report local writes again', () => {
+        const callback = vi.fn();
+        storage.watch('k', callback);
+        storage.set('k', 1);
+
+        storage.poll();
+
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report an undecodable old value as undefined instead of throwing', () => {
+        class Badge {
+            constructor(label = '') {
+                this.label = label;
+            }
+        }
+        const writer = new SuperLocalStorage('w_');
+        writer.register(Badge);
+        writer.set('badge', new Badge('gold'));
+        const reader = new SuperLocalStorage({ prefix: 'w_', onUnknownType: 'throw' });
+        const events = [];
+        reader.watch('badge', (event) => events.push(event));
+
+        expect(() => reader.set('badge', 'plain')).not.toThrow();
+        expect(events).toEqual([{ key: 'badge', type: 'set', oldValue: undefined, newValue: 'plain' }]);
+        expect(() => reader.remove('badge')).not.toThrow();
+    });
+
+    it('poll() should skip entries it cannot read and report them once', () => {
+        class Badge {
+            constructor(label = '') {
+                this.label = label;
+            }
+        }
+        const warnings = [];
+        const reader = new SuperLocalStorage({ prefix: 'w_', onUnknownType: 'throw', logger: { warn: (message) => warnings.push(message) } });
+        const events = [];
+        reader.watch('*', (event) => events.push(event));
+
+        const writer = new SuperLocalStorage('w_');
+        writer.register(Badge);
+        writer.set('badge', new Badge('gold'));
+        writer.set('plain', 1);
+
+        expect(reader.poll()).toBe(1);
+        expect(events).toEqual([{ key: 'plain', type: 'set', oldValue: undefined, newValue: 1 }]);
+        expect(warnings).toHaveLength(1);
+        expect(warnings[0]).toContain("[super-ls] Cannot read changed key 'badge': Cannot read Badge: the type is not registered");
+
+        expect(reader.poll()).toBe(0);
+        expect(warnings).toHaveLength(1);
+    });
+
+    it('should keep notifying other watchers when one throws', () => {
+        const warnings = [];
+        const logged = new SuperLocalStorage({ prefix: 'w_', logger: { warn: (message) => warnings.push(message) } });
+        const ok = vi.fn();
+        logged.watch('k', () => { throw new Error('boom'); });
+        logged.watch('k', ok);
+
+        logged.set('k', 1);
+
+        expect(ok).toHaveBeenCalled();
+        expect(warnings).toHaveLength(1);
+        expect(warnings[0]).toContain("[super-ls] Watch callback for 'k' failed: Error: boom");
+    });
+});
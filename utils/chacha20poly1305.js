@@ -0,0 +1,288 @@
+// /src/utils/chacha20poly1305.js
+
+/**
+ * @fileoverview Pure-JS ChaCha20-Poly1305 AEAD (RFC 8439).
+ *
+ * Titan actions run synchronously and the runtime offers no synchronous AEAD
+ * primitive, so super-ls ships its own. Sealed output is `ciphertext || tag`.
+ */
+
+/** @constant {number} Key length in bytes */
+export const KEY_LENGTH = 32;
+
+/** @constant {number} Nonce length in bytes */
+export const NONCE_LENGTH = 12;
+
+/** @constant {number} Authentication tag length in bytes */
+export const TAG_LENGTH = 16;
+
+/** @constant {number[]} ChaCha20 constant "expand 32-byte k" */
+const SIGMA = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+/** @constant {bigint} Poly1305 prime 2^130 - 5 */
+const POLY1305_PRIME = (1n << 130n) - 5n;
+
+/** @constant {bigint} Mask for the low 128 bits */
+const MASK_128 = (1n << 128n) - 1n;
+
+/**
+ * Reads a little-endian 32-bit word
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Byte offset
+ * @returns {number} Unsigned word
+ */
+const readWord = (bytes, offset) =>
+    (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+
+/**
+ * Runs one ChaCha20 quarter round on the working state
+ * @param {Uint32Array} x - Working state
+ * @param {number} a - Index
+ * @param {number} b - Index
+ * @param {number} c - Index
+ * @param {number} d - Index
+ */
+const quarterRound = (x, a, b, c, d) => {
+    x[a] += x[b]; x[d] ^= x[a]; x[d] = (x[d] << 16) | (x[d] >>> 16);
+    x[c] += x[d]; x[b] ^= x[c]; x[b] = (x[b] << 12) | (x[b] >>> 20);
+    x[a] += x[b]; x[d] ^= x[a]; x[d] = (x[d] << 8) | (x[d] >>> 24);
+    x[c] += x[d]; x[b] ^= x[c]; x[b] = (x[b] << 7) | (x[b] >>> 25);
+};
+
+/**
+ * Produces one 64-byte ChaCha20 keystream block
+ * @param {Uint8Array} key - 32-byte key
+ * @param {number} counter - Block counter
+ * @param {Uint8Array} nonce - 12-byte nonce
+ * @returns {Uint8Array} Keystream block
+ */
+const chachaBlock = (key, counter, nonce) => {
+    const state = new Uint32Array(16);
+    state.set(SIGMA, 0);
+    for (let i = 0; i < 8; i++) {
+        state[4 + i] = readWord(key, i * 4);
+    }
+    state[12] = counter;
+    for (let i = 0; i < 3; i++) {
+        state[13 + i] = readWord(nonce, i * 4);
+    }
+
+    const x = state.slice();
+    for (let round = 0; round < 10; round++) {
+        quarterRound(x, 0, 4, 8, 12);
+        quarterRound(x, 1, 5, 9, 13);
+        quarterRound(x, 2, 6, 10, 14);
+        quarterRound(x, 3, 7, 11, 15);
+        quarterRound(x, 0, 5, 10, 15);
+        quarterRound(x, 1, 6, 11, 12);
+        quarterRound(x, 2, 7, 8, 13);
+        quarterRound(x, 3, 4, 9, 14);
+    }
+
+    const out = new Uint8Array(64);
+    for (let i = 0; i < 16; i++) {
+        const word = (x[i] + state[i]) >>> 0;
+        out[i * 4] = word & 0xff;
+        out[i * 4 + 1] = (word >>> 8) & 0xff;
+        out[i * 4 + 2] = (word >>> 16) & 0xff;
+        out[i * 4 + 3] = word >>> 24;
+    }
+    return out;
+};
+
+/**
+ * XORs data with the ChaCha20 keystream
+ * @param {Uint8Array} key - 32-byte key
+ * @param {Uint8Array} nonce - 12-byte nonce
+ * @param {number} counter - Initial block counter
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Uint8Array} Output bytes
+ */
+const chacha20 = (key, nonce, counter, data) => {
+    const out = new Uint8Array(data.length);
+    for (let offset = 0; offset < data.length; offset += 64, counter++) {
+        const block = chachaBlock(key, counter, nonce);
+        const end = Math.min(64, data.length - offset);
+        for (let i = 0; i < end; i++) {
+            out[offset + i] = data[offset + i] ^ block[i];
+        }
+    }
+    return out;
+};
+
+/**
+ * Splits up to 17 little-endian bytes into ten 13-bit limbs
+ * @param {Uint8Array} bytes - 17-byte buffer
+ * @returns {number[]} Limbs, least significant first
+ */
+const toLimbs = (bytes) => {
+    const limbs = new Array(10);
+    for (let k = 0; k < 10; k++) {
+        const bit = k * 13;
+        const i = bit >> 3;
+        const word = bytes[i] | (bytes[i + 1] << 8) | ((bytes[i + 2] ?? 0) << 16);
+        limbs[k] = (word >>> (bit & 7)) & 0x1fff;
+    }
+    return limbs;
+};
+
+/**
+ * Computes a Poly1305 tag.
+ *
+ * The accumulator is kept in 13-bit limbs so every partial product stays
+ * exact in a double; BigInt is only used once, for the final reduction.
+ *
+ * @param {Uint8Array} oneTimeKey - 32-byte one-time key (r || s)
+ * @param {Uint8Array} message - Authenticated bytes
+ * @returns {Uint8Array} 16-byte tag
+ */
+const poly1305 = (oneTimeKey, message) => {
+    const rBytes = new Uint8Array(17);
+    rBytes.set(oneTimeKey.subarray(0, 16));
+    rBytes[3] &= 15; rBytes[7] &= 15; rBytes[11] &= 15; rBytes[15] &= 15;
+    rBytes[4] &= 252; rBytes[8] &= 252; rBytes[12] &= 252;
+    const r = toLimbs(rBytes);
+    const r5 = r.map((limb) => limb * 5);
+
+    const h = new Array(10).fill(0);
+    const block = new Uint8Array(17);
+    const d = new Array(10);
+
+    for (let offset = 0; offset < message.length; offset += 16) {
+        const length = Math.min(16, message.length - offset);
+        block.fill(0);
+        block.set(message.subarray(offset, offset + length));
+        block[length] = 1;
+
+        const m = toLimbs(block);
+        for (let i = 0; i < 10; i++) {
+            h[i] += m[i];
+        }
+
+        // h *= r (mod 2^130 - 5), using 2^130 ≡ 5 for the wrapped products
+        for (let i = 0; i < 10; i++) {
+            let sum = 0;
+            for (let j = 0; j < 10; j++) {
+                sum += h[j] * (j <= i ? r[i - j] : r5[i - j + 10]);
+            }
+            d[i] = sum;
+        }
+
+        let carry = 0;
+        for (let i = 0; i < 10; i++) {
+            d[i] += carry;
+            carry = Math.floor(d[i] / 8192);
+            h[i] = d[i] - carry * 8192;
+        }
+        h[0] += carry * 5;
+        carry = Math.floor(h[0] / 8192);
+        h[0] -= carry * 8192;
+        h[1] += carry;
+    }
+
+    let acc = 0n;
+    for (let k = 9; k >= 0; k--) {
+        acc = (acc << 13n) + BigInt(h[k]);
+    }
+    acc %= POLY1305_PRIME;
+
+    let s = 0n;
+    for (let i = 15; i >= 0; i--) {
+        s = (s << 8n) + BigInt(oneTimeKey[16 + i]);
+    }
+
+    let tag = (acc + s) & MASK_128;
+    const out = new Uint8Array(TAG_LENGTH);
+    for (let i = 0; i < TAG_LENGTH; i++) {
+        out[i] = Number(tag & 0xffn);
+        tag >>= 8n;
+    }
+    return out;
+};
+
+/**
+ * Builds the Poly1305 input for the AEAD construction
+ * @param {Uint8Array} aad - Additional authenticated data
+ * @param {Uint8Array} ciphertext - Ciphertext
+ * @returns {Uint8Array} aad || pad || ciphertext || pad || len(aad) || len(ciphertext)
+ */
+const macData = (aad, ciphertext) => {
+    const pad = (length) => (16 - (length % 16)) % 16;
+    const aadEnd = aad.length + pad(aad.length);
+    const ctEnd = aadEnd + ciphertext.length + pad(ciphertext.length);
+    const data = new Uint8Array(ctEnd + 16);
+    const view = new DataView(data.buffer);
+
+    data.set(aad, 0);
+    data.set(ciphertext, aadEnd);
+    view.setUint32(ctEnd, aad.length, true);
+    view.setUint32(ctEnd + 8, ciphertext.length, true);
+    return data;
+};
+
+/**
+ * Validates key and nonce lengths
+ * @param {Uint8Array} key - Key to check
+ * @param {Uint8Array} nonce - Nonce to check
+ * @throws {Error} If either has the wrong length
+ */
+const checkParams = (key, nonce) => {
+    if (!(key instanceof Uint8Array) || key.length !== KEY_LENGTH) {
+        throw new Error(`Invalid ChaCha20-Poly1305 key: expected ${KEY_LENGTH} bytes`);
+    }
+    if (!(nonce instanceof Uint8Array) || nonce.length !== NONCE_LENGTH) {
+        throw new Error(`Invalid ChaCha20-Poly1305 nonce: expected ${NONCE_LENGTH} bytes`);
+    }
+};
+
+/**
+ * Encrypts and authenticates data
+ * @param {Uint8Array} key - 32-byte key
+ * @param {Uint8Array} nonce - 12-byte nonce, never reused with the same key
+ * @param {Uint8Array} plaintext - Data to encrypt
+ * @param {Uint8Array} [aad=new Uint8Array(0)] - Additional authenticated data
+ * @returns {Uint8Array} ciphertext || 16-byte tag
+ * @throws {Error} If key or nonce has the wrong length
+ */
+export function seal(key, nonce, plaintext, aad = new Uint8Array(0)) {
+    checkParams(key, nonce);
+
+    const ciphertext = chacha20(key, nonce, 1, plaintext);
+    const tag = poly1305(chachaBlock(key, 0, nonce).subarray(0, 32), macData(aad, ciphertext));
+
+    const sealed = new Uint8Array(ciphertext.length + TAG_LENGTH);
+    sealed.set(ciphertext, 0);
+    sealed.set(tag, ciphertext.length);
+    return sealed;
+}
+
+/**
+ * Verifies and decrypts data produced by seal()
+ * @param {Uint8Array} key - 32-byte key
+ * @param {Uint8Array} nonce - Nonce used by seal()
+ * @param {Uint8Array} sealed - ciphertext || tag
+ * @param {Uint8Array} [aad=new Uint8Array(0)] - Additional authenticated data
+ * @returns {Uint8Array} Plaintext
+ * @throws {Error} If the tag does not match (wrong key or tampered data)
+ */
+export function open(key, nonce, sealed, aad = new Uint8Array(0)) {
+    checkParams(key, nonce);
+
+    if (sealed.length < TAG_LENGTH) {
+        throw new Error('ChaCha20-Poly1305 authentication failed');
+    }
+
+    const ciphertext = sealed.subarray(0, sealed.length - TAG_LENGTH);
+    const tag = sealed.subarray(sealed.length - TAG_LENGTH);
+    const expected = poly1305(chachaBlock(key, 0, nonce).subarray(0, 32), macData(aad, ciphertext));
+
+    let diff = 0;
+    for (let i = 0; i < TAG_LENGTH; i++) {
+        diff |= tag[i] ^ expected[i];
+    }
+    if (diff !== 0) {
+        throw new Error('ChaCha20-Poly1305 authentication failed');
+    }
+
+    return chacha20(key, nonce, 1, ciphertext);
+}
@@ -0,0 +1,31 @@
+// /src/utils/crc32.js
+
+/**
+ * @fileoverview CRC-32 (IEEE 802.3), used to detect torn or corrupt log records.
+ */
+
+/** @constant {Uint32Array} Lookup table for the reflected polynomial 0xEDB88320 */
+const TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+/**
+ * Computes the CRC-32 of a byte sequence
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,180 @@
+// /src/utils/lz4.js
+
+/**
+ * @fileoverview Pure-JS LZ4 block codec.
+ *
+ * Produces raw LZ4 blocks (no frame header); the caller stores the
+ * uncompressed length, which decompress() needs to size its output.
+ */
+
+/** @constant {number} Shortest match LZ4 can encode */
+const MIN_MATCH = 4;
+
+/** @constant {number} The last bytes of a block are always literals */
+const LAST_LITERALS = 5;
+
+/** @constant {number} No match may start within this many bytes of the end */
+const MF_LIMIT = 12;
+
+/** @constant {number} Largest back-reference distance */
+const MAX_OFFSET = 65535;
+
+/** @constant {number} Bits of the match-finder hash table index */
+const HASH_LOG = 16;
+
+/**
+ * Reads a 32-bit little-endian word for hashing and comparison
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Byte offset
+ * @returns {number} Signed word
+ */
+const readWord = (bytes, offset) =>
+    bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+
+/**
+ * Writes the 255-run extension of a length field
+ * @param {Uint8Array} out - Output buffer
+ * @param {number} op - Output position
+ * @param {number} length - Remaining length (field value minus 15)
+ * @returns {number} New output position
+ */
+const writeLength = (out, op, length) => {
+    while (length >= 255) {
+        out[op++] = 255;
+        length -= 255;
+    }
+    out[op++] = length;
+    return op;
+};
+
+/**
+ * Writes one sequence: literals followed by an optional match
+ * @param {Uint8Array} out - Output buffer
+ * @param {number} op - Output position
+ * @param {Uint8Array} src - Input bytes
+ * @param {number} anchor - Start of the pending literals
+ * @param {number} literals - Number of literal bytes
+ * @param {number} offset - Match distance (ignored when matchLength is 0)
+ * @param {number} matchLength - Match length, 0 for the final literals-only sequence
+ * @returns {number} New output position
+ */
+const writeSequence = (out, op, src, anchor, literals, offset, matchLength) => {
+    const token = op++;
+    const extra = matchLength - MIN_MATCH;
+
+    out[token] = (Math.min(literals, 15) << 4) | (matchLength ? Math.min(extra, 15) : 0);
+    if (literals >= 15) {
+        op = writeLength(out, op, literals - 15);
+    }
+
+    out.set(src.subarray(anchor, anchor + literals), op);
+    op += literals;
+
+    if (matchLength) {
+        out[op++] = offset & 0xff;
+        out[op++] = offset >>> 8;
+        if (extra >= 15) {
+            op = writeLength(out, op, extra - 15);
+        }
+    }
+
+    return op;
+};
+
+/**
+ * Compresses bytes into an LZ4 block
+ * @param {Uint8Array} src - Data to compress
+ * @returns {Uint8Array} LZ4 block
+ */
+export function compress(src) {
+    const length = src.length;
+    const out = new Uint8Array(length + Math.ceil(length / 255) + 16);
+    const table = new Int32Array(1 << HASH_LOG).fill(-1);
+    const matchLimit = length - LAST_LITERALS;
+
+    let ip = 0;
+    let op = 0;
+    let anchor = 0;
+
+    while (ip + MF_LIMIT < length) {
+        const word = readWord(src, ip);
+        const hash = Math.imul(word, 2654435761) >>> (32 - HASH_LOG);
+        const ref = table[hash];
+        table[hash] = ip;
+
+        if (ref < 0 || ip - ref > MAX_OFFSET || readWord(src, ref) !== word) {
+            ip++;
+            continue;
+        }
+
+        let matchLength = MIN_MATCH;
+        while (ip + matchLength < matchLimit && src[ip + matchLength] === src[ref + matchLength]) {
+            matchLength++;
+        }
+
+        op = writeSequence(out, op, src, anchor, ip - anchor, ip - ref, matchLength);
+        ip += matchLength;
+        anchor = ip;
+    }
+
+    op = writeSequence(out, op, src, anchor, length - anchor, 0, 0);
+    return out.slice(0, op);
+}
+
+/**
+ * Decompresses an LZ4 block
+ * @param {Uint8Array} src - LZ4 block
+ * @param {number} size - Uncompressed length
+ * @returns {Uint8Array} Decompressed bytes
+ * @throws {Error} If the block is corrupt or does not decompress to `size` bytes
+ */
+export function decompress(src, size) {
+    const out = new Uint8Array(size);
+    let ip = 0;
+    let op = 0;
+
+    const readLength = (length) => {
+        if (length === 15) {
+            let byte;
+            do {
+                byte = src[ip++];
+                length += byte;
+            } while (byte === 255);
+        }
+        return length;
+    };
+
+    while (ip < src.length) {
+        const token = src[ip++];
+
+        const literals = readLength(token >>> 4);
+        if (ip + literals > src.length || op + literals > size) {
+            throw new Error('Corrupt LZ4 block: literals out of bounds');
+        }
+        out.set(src.subarray(ip, ip + literals), op);
+        ip += literals;
+        op += literals;
+
+        if (ip >= src.length) {
+            break;
+        }
+
+        const offset = src[ip] | (src[ip + 1] << 8);
+        ip += 2;
+        const matchLength = readLength(token & 15) + MIN_MATCH;
+        if (offset === 0 || offset > op || op + matchLength > size) {
+            throw new Error('Corrupt LZ4 block: match out of bounds');
+        }
+
+        // Byte by byte: the match may overlap the bytes it is producing
+        for (let i = 0; i < matchLength; i++, op++) {
+            out[op] = out[op - offset];
+        }
+    }
+
+    if (op !== size) {
+        throw new Error(`Corrupt LZ4 block: expected ${size} bytes, got ${op}`);
+    }
+
+    return out;
+}
@@ -0,0 +1,116 @@
+// /src/utils/runtime.js
+
+/**
+ * @fileoverview Runtime adapters: the host primitives super-ls relies on.
+ *
+ * Under Titan Planet they map to the native `t.ls`/`t.bugger` bindings.
+ * Elsewhere (Node.js) they use `node:v8`, `Buffer` and Web Crypto. Both produce standard
+ * V8 ValueSerializer bytes, so data written in one runtime reads in the other.
+ */
+
+/**
+ * @typedef {Object} Runtime
+ * @property {'titan'|'node'} name - Runtime identifier
+ * @property {function(any): Uint8Array} serialize - V8-serializes a value
+ * @property {function(Uint8Array): any} deserialize - Restores a V8-serialized value
+ * @property {function(Uint8Array): string} toBase64 - Base64-encodes bytes
+ * @property {function(string): Uint8Array} fromBase64 - Decodes Base64
+ * @property {function(number): Uint8Array} randomBytes - Cryptographically secure random bytes (encryption nonces)
+ * @property {function(Function, Function|null, string): void} register - Registers a class with the native registry
+ * @property {function(string, Object): any} hydrate - Creates an instance through the native registry (throws if unavailable)
+ * @property {function(string, any): void} setObject - Stores a value in thread-local memory
+ * @property {function(string): any} getObject - Reads a value from thread-local memory
+ */
+
+/**
+ * Decodes a hexadecimal string
+ * @param {string} hex - Hex digits, two per byte
+ * @returns {Uint8Array} Decoded bytes
+ */
+const fromHex = (hex) => {
+    const bytes = new Uint8Array(hex.length >> 1);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
+};
+
+/**
+ * Titan Planet's native bindings. `t` is looked up on every call.
+ * `t.crypto.randomBytes()` returns hex, which is decoded to bytes.
+ * @type {Runtime}
+ */
+export const titanRuntime = {
+    name: 'titan',
+    serialize: (value) => t.ls.serialize(value),
+    deserialize: (bytes) => t.ls.deserialize(bytes),
+    toBase64: (bytes) => t.bugger.toBase64(bytes),
+    fromBase64: (base64) => t.bugger.fromBase64(base64),
+    randomBytes: (size) => fromHex(t.crypto.randomBytes(size)),
+    register: (ClassRef, hydrate, typeName) => t.ls.register(ClassRef, hydrate, typeName),
+    hydrate: (typeName, data) => t.ls.hydrate(typeName, data),
+    setObject: (key, value) => t.ls.setObject(key, value),
+    getObject: (key) => t.ls.getObject(key)
+};
+
+/**
+ * Values stored with setTemp() when running outside Titan
+ * @type {Map<string, any>}
+ */
+const tempObjects = new Map();
+
+/**
+ * Loads node:v8 on first use, without a static import that would break Titan bundles
+ * @returns {typeof import('node:v8')} The node:v8 module
+ * @throws {Error} If the host cannot load built-in modules synchronously
+ */
+const loadV8 = () => {
+    const v8 = globalThis.process?.getBuiltinModule?.('node:v8');
+    if (!v8) {
+        throw new Error('super-ls needs Titan Planet or Node.js 20.16+ (process.getBuiltinModule) to serialize values');
+    }
+    return v8;
+};
+
+/**
+ * Node.js implementation.
+ *
+ * Uses the base v8.Serializer rather than v8.serialize(): the latter encodes
+ * typed arrays as Node-specific host objects that Titan could not read.
+ * There is no native class registry, so hydration always takes the local path.
+ *
+ * @type {Runtime}
+ */
+export const nodeRuntime = {
+    name: 'node',
+    serialize: (value) => {
+        const serializer = new (loadV8().Serializer)();
+        serializer.writeHeader();
+        serializer.writeValue(value);
+        const buffer = serializer.releaseBuffer();
+        return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    },
+    deserialize: (bytes) => {
+        const deserializer = new (loadV8().Deserializer)(bytes);
+        deserializer.readHeader();
+        return deserializer.readValue();
+    },
+    toBase64: (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64'),
+    fromBase64: (base64) => new Uint8Array(Buffer.from(base64, 'base64')),
+    randomBytes: (size) => globalThis.crypto.getRandomValues(new Uint8Array(size)),
+    register: () => {},
+    hydrate: (typeName) => {
+        throw new Error(`No native class registry for ${typeName}`);
+    },
+    setObject: (key, value) => {
+        tempObjects.set(key, value);
+    },
+    getObject: (key) => tempObjects.get(key)
+};
+
+/**
+ * Picks the runtime super-ls is running in
+ * @returns {Runtime} titanRuntime when the global `t.ls` bindings exist, nodeRuntime otherwise
+ */
+export const detectRuntime = () =>
+    typeof globalThis.t?.ls?.serialize === 'function' ? titanRuntime : nodeRuntime;